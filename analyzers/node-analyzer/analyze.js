@@ -8,388 +8,40 @@
 const madge = require('madge');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const glob = require('glob');
-const cp = require('child_process');
-const execSync = (cmd, options) => {
-  return cp.execSync(cmd, {
-    maxBuffer: 1024 * 1024 * 50, // 50MB
-    ...options
-  });
-};
-const { Project } = require('ts-morph');
+const { Project, Node, SyntaxKind } = require('ts-morph');
+const { parse: parseSfc } = require('@vue/compiler-sfc');
 const { extractSnapshotsForFile } = require('./snapshotExtractors');
+const { parseUnifiedDiff, mapHunksToMethods, buildChangeScope, buildClassificationScope, formatHunks } = require('./diffParser');
+const FrontendGranularAnalyzer = require('./granularAnalyzer');
+const FFISScorer = require('./ffisScorer');
+const { findImpactedModules, findCircularDependencies, diffDependencyGraphs } = require('./dependencyImpact');
+const { isStyleFile, parseStylesheet, toStyleRanges, buildCssModuleUsageIndex, attachAffectedComponents, findAffectedComponents } = require('./styleAnalyzer');
+const { extractAstFacts } = require('./astFacts');
+const { AnalysisThresholds } = require('../shared/constants');
+const { FrontendChangeClassifier } = require('../shared/classifiers');
+const { loadConfig } = require('../shared/config');
+const { GitRepository, EMPTY_TREE } = require('../shared/git');
+
+// 暂存区与工作区的伪引用，用于 --staged / --worktree 模式
+const INDEX_REF = ':index';
+const WORKTREE_REF = ':worktree';
+
+// 包裹组件函数的高阶函数，被包裹的函数按组件提取
+const COMPONENT_WRAPPERS = new Set(['memo', 'forwardRef', 'observer']);
+
+// 参与 git 变更分析的前端文件扩展名（Angular 外部模板按 .component.html 识别）
+const FRONTEND_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.vue', '.svelte', '.css', '.scss', '.sass', '.less'];
+
+// Vue Options API 中作为方法输出的选项及其方法类型
+const VUE_OPTION_SECTIONS = { methods: 'method', computed: 'computed', watch: 'watch' };
 
 /**
- * 前端代码修改分类器 - 适用于 React / Vue / JS/TS
+ * 去掉值为 undefined 的选项
  */
-class FrontendChangeClassifier {
-  
-  static get CATEGORIES() {
-    return {
-      F1: { code: 'F1', name: '组件行为变更', description: 'useEffect / methods 中的逻辑变化' },
-      F2: { code: 'F2', name: 'UI结构调整', description: 'JSX/Template 中的标签结构调整' },
-      F3: { code: 'F3', name: '样式改动', description: '类名变化、内联样式/模块CSS/SCSS调整' },
-      F4: { code: 'F4', name: '交互事件修改', description: 'onClick / @click 等事件绑定/方法重写' },
-      F5: { code: 'F5', name: '依赖/配置变动', description: 'router/store/i18n 配置、env、构建工具配置' }
-    };
-  }
-
-  /**
-   * 对文件进行前端代码分类
-   */
-  static classifyFile(filePath, fileInfo) {
-    const indicators = [];
-    const categoryScores = {
-      F1: 0, F2: 0, F3: 0, F4: 0, F5: 0
-    };
-
-    // F1: 组件行为变更检测
-    categoryScores.F1 = this.calculateBehaviorChangeScore(filePath, fileInfo, indicators);
-    
-    // F2: UI结构调整检测
-    categoryScores.F2 = this.calculateUIStructureScore(filePath, fileInfo, indicators);
-    
-    // F3: 样式改动检测
-    categoryScores.F3 = this.calculateStyleChangeScore(filePath, fileInfo, indicators);
-    
-    // F4: 交互事件修改检测
-    categoryScores.F4 = this.calculateEventChangeScore(filePath, fileInfo, indicators);
-    
-    // F5: 依赖/配置变动检测
-    categoryScores.F5 = this.calculateDependencyChangeScore(filePath, fileInfo, indicators);
-
-    // 选择得分最高的类别
-    const bestCategory = Object.keys(categoryScores).reduce((a, b) => 
-      categoryScores[a] > categoryScores[b] ? a : b
-    );
-
-    const confidence = Math.min(categoryScores[bestCategory], 100) / 100;
-    const category = this.CATEGORIES[bestCategory];
-
-    return {
-      filePath: fileInfo.relativePath,
-      classification: {
-        category: bestCategory,
-        categoryName: category.name,
-        description: category.description,
-        reason: this.buildReason(bestCategory, indicators),
-        confidence: confidence,
-        indicators: indicators
-      },
-      changedMethods: fileInfo.methods ? fileInfo.methods.map(m => m.name) : []
-    };
-  }
-
-  /**
-   * F1: 计算组件行为变更分数
-   */
-  static calculateBehaviorChangeScore(filePath, fileInfo, indicators) {
-    let score = 0;
-    const content = fileInfo.content || '';
-
-    // React Hooks 相关
-    if (content.includes('useEffect') || content.includes('useState') || content.includes('useCallback')) {
-      score += 30;
-      indicators.push('检测到React Hooks使用');
-    }
-
-    // Vue生命周期方法
-    if (content.includes('mounted') || content.includes('created') || content.includes('beforeDestroy')) {
-      score += 30;
-      indicators.push('检测到Vue生命周期方法');
-    }
-
-    // 状态管理相关
-    if (content.includes('setState') || content.includes('this.state') || content.includes('reactive') || content.includes('ref(')) {
-      score += 25;
-      indicators.push('检测到状态管理逻辑');
-    }
-
-    // 业务逻辑方法名
-    const methods = fileInfo.methods || [];
-    methods.forEach(method => {
-      const methodName = method.name.toLowerCase();
-      if (methodName.includes('handle') || methodName.includes('process') || 
-          methodName.includes('fetch') || methodName.includes('submit') ||
-          methodName.includes('validate') || methodName.includes('calculate')) {
-        score += 15;
-        indicators.push(`业务逻辑方法: ${method.name}`);
-      }
-    });
-
-    // 异步处理
-    if (content.includes('async') || content.includes('await') || content.includes('.then(') || content.includes('Promise')) {
-      score += 20;
-      indicators.push('检测到异步处理逻辑');
-    }
-
-    return Math.min(score, 100);
-  }
-
-  /**
-   * F2: 计算UI结构调整分数
-   */
-  static calculateUIStructureScore(filePath, fileInfo, indicators) {
-    let score = 0;
-    const content = fileInfo.content || '';
-
-    // JSX 结构变化
-    const jsxElements = content.match(/<[A-Z][A-Za-z0-9]*|<[a-z][a-z0-9-]*/g) || [];
-    if (jsxElements.length > 5) {
-      score += 35;
-      indicators.push(`检测到${jsxElements.length}个JSX元素`);
-    }
-
-    // Vue template 结构
-    if (content.includes('<template>') || content.includes('v-if') || content.includes('v-for')) {
-      score += 35;
-      indicators.push('检测到Vue模板结构');
-    }
-
-    // 组件文件类型
-    if (filePath.endsWith('.jsx') || filePath.endsWith('.tsx') || filePath.endsWith('.vue')) {
-      score += 20;
-      indicators.push('组件文件类型');
-    }
-
-    // 布局相关组件
-    const layoutElements = ['div', 'section', 'article', 'header', 'footer', 'nav', 'main'];
-    layoutElements.forEach(element => {
-      if (content.includes(`<${element}`) || content.includes(`<${element.toUpperCase()}`)) {
-        score += 5;
-        indicators.push(`布局元素: ${element}`);
-      }
-    });
-
-    // 条件渲染
-    if (content.includes('v-if') || content.includes('v-show') || content.includes('{') && content.includes('?')) {
-      score += 15;
-      indicators.push('检测到条件渲染');
-    }
-
-    return Math.min(score, 100);
-  }
-
-  /**
-   * F3: 计算样式改动分数
-   */
-  static calculateStyleChangeScore(filePath, fileInfo, indicators) {
-    let score = 0;
-    const content = fileInfo.content || '';
-
-    // CSS/SCSS文件
-    if (filePath.endsWith('.css') || filePath.endsWith('.scss') || filePath.endsWith('.sass') || filePath.endsWith('.less')) {
-      score += 40;
-      indicators.push('样式文件');
-    }
-
-    // 样式相关导入
-    if (content.includes("import") && (content.includes(".css") || content.includes(".scss") || content.includes(".sass"))) {
-      score += 25;
-      indicators.push('检测到样式文件导入');
-    }
-
-    // 内联样式
-    if (content.includes('style=') || content.includes('styled-components') || content.includes('emotion')) {
-      score += 30;
-      indicators.push('检测到内联样式或CSS-in-JS');
-    }
-
-    // className 变化
-    const classNameMatches = content.match(/className=["|'`][^"'`]*["|'`]/g) || [];
-    if (classNameMatches.length > 0) {
-      score += 20;
-      indicators.push(`检测到${classNameMatches.length}个className`);
-    }
-
-    // CSS模块
-    if (content.includes('.module.css') || content.includes('styles.') || content.includes('classes.')) {
-      score += 25;
-      indicators.push('检测到CSS模块使用');
-    }
-
-    // Tailwind CSS
-    if (content.includes('tailwind') || content.match(/class.*=.*["'`][^"'`]*\b(bg-|text-|p-|m-|w-|h-)/)) {
-      score += 25;
-      indicators.push('检测到Tailwind CSS');
-    }
-
-    return Math.min(score, 100);
-  }
-
-  /**
-   * F4: 计算交互事件修改分数
-   */
-  static calculateEventChangeScore(filePath, fileInfo, indicators) {
-    let score = 0;
-    const content = fileInfo.content || '';
-
-    // React 事件处理
-    const reactEvents = ['onClick', 'onChange', 'onSubmit', 'onBlur', 'onFocus', 'onMouseOver', 'onKeyPress'];
-    reactEvents.forEach(event => {
-      if (content.includes(event)) {
-        score += 15;
-        indicators.push(`检测到React事件: ${event}`);
-      }
-    });
-
-    // Vue 事件处理
-    const vueEvents = ['@click', '@change', '@submit', '@blur', '@focus', 'v-on:'];
-    vueEvents.forEach(event => {
-      if (content.includes(event)) {
-        score += 15;
-        indicators.push(`检测到Vue事件: ${event}`);
-      }
-    });
-
-    // 事件处理方法
-    const methods = fileInfo.methods || [];
-    methods.forEach(method => {
-      const methodName = method.name.toLowerCase();
-      if (methodName.startsWith('on') || methodName.startsWith('handle') || 
-          methodName.includes('click') || methodName.includes('change') ||
-          methodName.includes('submit') || methodName.includes('toggle')) {
-        score += 10;
-        indicators.push(`事件处理方法: ${method.name}`);
-      }
-    });
-
-    // 原生DOM事件
-    if (content.includes('addEventListener') || content.includes('removeEventListener')) {
-      score += 20;
-      indicators.push('检测到原生DOM事件绑定');
-    }
-
-    // 表单处理
-    if (content.includes('<form') || content.includes('<input') || content.includes('<button')) {
-      score += 15;
-      indicators.push('检测到表单交互元素');
-    }
-
-    return Math.min(score, 100);
-  }
-
-  /**
-   * F5: 计算依赖/配置变动分数
-   */
-  static calculateDependencyChangeScore(filePath, fileInfo, indicators) {
-    let score = 0;
-
-    // 配置文件
-    const configFiles = [
-      'package.json', 'webpack.config.js', 'vite.config.js', 'vue.config.js',
-      'babel.config.js', 'tsconfig.json', '.env', 'tailwind.config.js',
-      'next.config.js', 'nuxt.config.js', 'angular.json'
-    ];
-    
-    if (configFiles.some(config => filePath.includes(config))) {
-      score += 50;
-      indicators.push('配置文件修改');
-    }
-
-    // 路由配置
-    if (filePath.includes('router') || filePath.includes('route') || filePath.includes('Routes')) {
-      score += 40;
-      indicators.push('路由配置文件');
-    }
-
-    // 状态管理配置
-    if (filePath.includes('store') || filePath.includes('redux') || filePath.includes('vuex') || filePath.includes('pinia')) {
-      score += 35;
-      indicators.push('状态管理配置');
-    }
-
-    // 国际化配置
-    if (filePath.includes('i18n') || filePath.includes('locale') || filePath.includes('lang')) {
-      score += 30;
-      indicators.push('国际化配置');
-    }
-
-    // 依赖导入变化
-    const imports = fileInfo.imports || [];
-    if (imports.length > 0) {
-      score += Math.min(imports.length * 5, 25);
-      indicators.push(`检测到${imports.length}个导入依赖`);
-    }
-
-    // 环境变量使用
-    const content = fileInfo.content || '';
-    if (content.includes('process.env') || content.includes('import.meta.env')) {
-      score += 20;
-      indicators.push('检测到环境变量使用');
-    }
-
-    return Math.min(score, 100);
-  }
-
-  /**
-   * 构建分类原因说明
-   */
-  static buildReason(category, indicators) {
-    const categoryName = this.CATEGORIES[category].name;
-    if (indicators.length === 0) {
-      return `分类为${categoryName}`;
-    }
-    return `分类为${categoryName}，主要依据: ${indicators.slice(0, 3).join(', ')}`;
-  }
-
-  /**
-   * 批量分类文件
-   */
-  static classifyChanges(files) {
-    const classifications = files.map(file => this.classifyFile(file.relativePath, file));
-    const summary = this.generateSummary(classifications);
-    
-    return { classifications, summary };
-  }
-
-  /**
-   * 生成分类摘要
-   */
-  static generateSummary(classifications) {
-    const categoryStats = {};
-    let totalConfidence = 0;
-    const detailedClassifications = {};
-
-    // 初始化统计
-    Object.keys(this.CATEGORIES).forEach(category => {
-      categoryStats[category] = 0;
-      detailedClassifications[category] = [];
-    });
-
-    // 统计分类结果
-    classifications.forEach(classification => {
-      const category = classification.classification.category;
-      categoryStats[category]++;
-      totalConfidence += classification.classification.confidence;
-      detailedClassifications[category].push(classification);
-    });
-
-    return {
-      totalFiles: classifications.length,
-      categoryStats,
-      averageConfidence: classifications.length > 0 ? totalConfidence / classifications.length : 0,
-      detailedClassifications
-    };
-  }
-
-  getCategoryDisplayName(category) {
-    const names = {
-      // 后端分类
-      'A1': '业务逻辑变更',
-      'A2': '接口变更',
-      'A3': '数据结构变更', 
-      'A4': '中间件/框架调整',
-      'A5': '非功能性修改',
-      // 前端分类
-      'F1': '组件行为变更',
-      'F2': 'UI结构调整',
-      'F3': '样式改动',
-      'F4': '交互事件修改',
-      'F5': '依赖/配置变动'
-    };
-    return names[category] || '未知类型';
-  }
+function _definedOptions(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
 }
 
 class FrontendAnalyzer {
@@ -397,10 +49,12 @@ class FrontendAnalyzer {
     this.targetDir = path.resolve(targetDir);
     this.options = {
       includeNodeModules: false,
-      // 支持 .vue 文件以便提取组件快照
-      filePattern: '**/*.{js,jsx,ts,tsx,vue}',
+      // 支持 .vue / .svelte / Angular 模板文件以便提取组件快照，样式文件解析选择器与变量
+      filePattern: '**/*.{js,jsx,ts,tsx,vue,svelte,component.html,css,scss,sass,less}',
       exclude: ['node_modules/**', 'dist/**', 'build/**', '**/*.test.*', '**/*.spec.*'],
       maxDepth: 15, // 增加递归深度以支持微服务项目
+      // 反向依赖影响传播的最大深度
+      impactDepth: AnalysisThresholds.MAX_DEPENDENCY_DEPTH,
       // Git变更分析选项
       enableGitAnalysis: options.enableGitAnalysis || false,
       branch: options.branch || 'master',
@@ -409,13 +63,48 @@ class FrontendAnalyzer {
       until: options.until || null,
       startCommit: options.startCommit || null,
       endCommit: options.endCommit || null,
-      ...options
+      // 合并提交处理方式：first-parent / each-parent / skip
+      mergeMode: options.mergeMode || 'first-parent',
+      // 相对基准分支（--base）的 merge-base 分析
+      base: options.base || null,
+      // 暂存区（--staged）/ 工作区（--worktree）分析
+      staged: options.staged || false,
+      worktree: options.worktree || false,
+      // 项目配置文件路径（.diffsense.json / .diffsenserc），默认从目标目录向上查找到仓库根目录
+      configPath: options.configPath || null,
+      // 在分类结果中附带评分过程（classification.explanation）
+      explain: options.explain || false,
+      // 未传值（undefined）的选项不覆盖上面的默认值
+      ..._definedOptions(options)
     };
     this.project = null;
+    // 自定义分类规则与权重覆盖，分类器与细粒度分析器共用
+    this.config = this.loadProjectConfig();
+    this.granularAnalyzer = new FrontendGranularAnalyzer(this.config);
     // 初始化快照容器
     this.componentSnapshots = [];
     // Git变更信息
     this.gitChanges = null;
+    // 按提交 sha 缓存的依赖图
+    this.dependencyGraphCache = new Map();
+    // CSS Module 类名引用索引（Git 模式下按需构建）
+    this.cssModuleUsageIndex = null;
+  }
+
+  /**
+   * 加载项目配置：显式指定的 configPath 必须存在，否则从目标目录向上查找
+   * @returns {Object|null} 没有配置文件时返回 null
+   */
+  loadProjectConfig() {
+    const { configPath } = this.options;
+    if (configPath && !fs.existsSync(configPath)) {
+      throw new Error(`配置文件不存在: ${configPath}`);
+    }
+    const config = loadConfig(configPath ? path.resolve(configPath) : this.targetDir);
+    if (config) {
+      console.error(`⚙️  使用项目配置: ${config.file}（${config.rules.length} 条自定义规则）`);
+    }
+    return config;
   }
 
   async analyze() {
@@ -435,6 +124,8 @@ class FrontendAnalyzer {
         // 添加前端分类结果
         changeClassifications: [],
         classificationSummary: {},
+        // FFIS 文件重要度评分（与数据库 file_metrics 字段对应）
+        fileMetrics: [],
         // 添加错误信息
         errors: []
       };
@@ -451,34 +142,21 @@ class FrontendAnalyzer {
           // 如果有多个提交，为每个提交分别分析变更的文件
           if (this.gitChanges.commits && this.gitChanges.commits.length > 0) {
             console.error(`📝 开始分析 ${this.gitChanges.commits.length} 个提交的变更文件...`);
+            // 当前工作区的依赖图
+            result.dependencies = await this.analyzeDependencies();
+            const repoRoot = this.findRepoRoot();
             const commitResults = [];
             for (const commitInfo of this.gitChanges.commits) {
-              console.error(`📝 分析提交 ${commitInfo.commitHash}: ${commitInfo.changedFilesCount} 个文件`);
-              if (commitInfo.changedFiles && commitInfo.changedFiles.length > 0) {
-                // 分析该提交的变更文件
-                const commitFiles = await this.analyzeChangedFilesForCommit(commitInfo.changedFiles, commitInfo.commitId);
-                console.error(`📝 提交 ${commitInfo.commitHash} 分析完成: ${commitFiles.length} 个文件`);
-                
-                // 应用前端代码分类
-                const { classifications, summary } = FrontendChangeClassifier.classifyChanges(commitFiles);
-                
-                commitResults.push({
-                  ...commitInfo,
-                  files: commitFiles,
-                  changeClassifications: classifications,
-                  classificationSummary: summary
-                });
-              } else {
-                // 没有变更文件，仍然添加提交信息
-                commitResults.push({
-                  ...commitInfo,
-                  files: [],
-                  changeClassifications: [],
-                  classificationSummary: { totalFiles: 0, categoryStats: {}, averageConfidence: 0 }
-                });
-              }
+              commitResults.push(await this.analyzeCommit(commitInfo, repoRoot));
             }
             result.commits = commitResults;
+            result.fileMetrics = this.buildFileMetrics(commitResults.flatMap(commit => commit.files));
+
+            // --base 模式：分支相对 merge-base 的累计变更作为一个整体分析
+            if (this.gitChanges.cumulative) {
+              result.cumulative = await this.analyzeCommit(this.gitChanges.cumulative, repoRoot);
+            }
+            result.riskAssessment = this.assessRisk(result.cumulative ? [result.cumulative] : commitResults);
             console.error(`📝 所有提交分析完成，共 ${commitResults.length} 个提交结果`);
           } else {
             console.error(`⚠️  Git分析未找到提交`);
@@ -508,9 +186,17 @@ class FrontendAnalyzer {
 
         // 3. 应用前端代码分类
         if (result.files && result.files.length > 0) {
-          const { classifications, summary } = FrontendChangeClassifier.classifyChanges(result.files);
+          const { classifications, summary } = FrontendChangeClassifier.classifyChanges(result.files, this.config, { explain: this.options.explain, extractFacts: extractAstFacts });
           result.changeClassifications = classifications;
           result.classificationSummary = summary;
+
+          // 4. FFIS 文件重要度评分
+          const snapshots = this.componentSnapshots.map(snapshot => ({
+            ...snapshot,
+            filePath: path.relative(this.targetDir, snapshot.filePath).replace(/\\/g, '/')
+          }));
+          result.files = this.scoreFilesWithFFIS(result.files, dependencyGraph.graph, classifications, snapshots);
+          result.fileMetrics = this.buildFileMetrics(result.files);
         }
       } else {
         // 当启用Git分析时，初始化dependencies为空结构，避免generateSummary出错
@@ -539,12 +225,104 @@ class FrontendAnalyzer {
     }
   }
 
-  async analyzeDependencies() {
+  /**
+   * 分析单个提交（或提交范围、暂存区等伪提交）的变更：
+   * 变更分类、细粒度修改类型、FFIS 评分、影响传播与依赖图差异
+   */
+  async analyzeCommit(commitInfo, repoRoot) {
+    console.error(`📝 分析提交 ${commitInfo.commitHash || commitInfo.commitId}: ${commitInfo.changedFilesCount} 个文件`);
+    if (!commitInfo.changedFiles || commitInfo.changedFiles.length === 0) {
+      // 没有变更文件，仍然返回提交信息
+      return {
+        ...commitInfo,
+        files: [],
+        changeClassifications: [],
+        classificationSummary: FrontendChangeClassifier.generateSummary([], this.config),
+        modifications: [],
+        granularErrors: [],
+        impactedBy: [],
+        dependencyChanges: { addedEdges: [], removedEdges: [], newCircular: [], resolvedCircular: [] }
+      };
+    }
+
+    // 分析该提交的变更文件
+    // 合并提交使用 diffRef 指定的父提交范围
+    const diffRef = commitInfo.diffRef || commitInfo.commitId;
+    const commitFiles = await this.analyzeChangedFilesForCommit(commitInfo.changedFiles, diffRef, commitInfo.changes);
+    console.error(`📝 提交 ${commitInfo.commitHash || commitInfo.commitId} 分析完成: ${commitFiles.length} 个文件`);
+
+    // 提交前后的依赖图，FFIS 与影响传播使用提交后的依赖图
+    const { beforeRef, afterRef } = this.resolveCommitRefs(diffRef);
+    const beforeGraph = await this.analyzeDependenciesAtRef(repoRoot, beforeRef);
+    const dependencyGraph = await this.analyzeDependenciesAtRef(repoRoot, afterRef);
+    const renames = {};
+    (commitInfo.changes || []).filter(change => change.status === 'renamed').forEach(change => {
+      renames[change.oldPath] = change.path;
+    });
+    // 任一端依赖分析失败时无法判断边和循环的增减，不报告依赖变化
+    const dependencyChanges = beforeGraph.error || dependencyGraph.error
+      ? { addedEdges: [], removedEdges: [], newCircular: [], resolvedCircular: [] }
+      : diffDependencyGraphs(beforeGraph, dependencyGraph, renames);
+
+    // 删除的文件：找出仍引用它的文件，并把这些引用补回依赖图用于影响传播
+    const impactGraph = { ...dependencyGraph.graph };
+    commitFiles.filter(file => file.changeStatus === 'deleted').forEach(file => {
+      file.danglingImporters = this.findDanglingImporters(repoRoot, afterRef, file.relativePath, beforeGraph.graph, renames);
+      file.danglingImporters.forEach(importer => {
+        impactGraph[importer.file] = [...(impactGraph[importer.file] || []), file.relativePath];
+      });
+    });
+
+    // 应用前端代码分类（仅针对变更涉及的方法与行）
+    const readBeforeContent = oldPath =>
+      this.readFileAtRef(beforeRef, path.relative(repoRoot, path.join(this.targetDir, oldPath)).split(path.sep).join('/'));
+    const scopes = commitFiles.map(file => buildClassificationScope(file, readBeforeContent));
+    const { classifications, summary } = FrontendChangeClassifier.classifyChanges(scopes, this.config, { explain: this.options.explain, extractFacts: extractAstFacts });
+
+    // 细粒度修改类型分析
+    const { modifications, errors: granularErrors } = this.analyzeGranularChanges(commitFiles, scopes);
+
+    // FFIS 文件重要度评分
+    const scoredFiles = this.scoreFilesWithFFIS(commitFiles, dependencyGraph.graph, classifications);
+
+    // 反向依赖影响传播
+    const impactedBy = this.findImpactedBy(commitFiles, impactGraph, repoRoot, afterRef);
+
+    return {
+      ...commitInfo,
+      files: scoredFiles,
+      changeClassifications: classifications,
+      classificationSummary: summary,
+      modifications,
+      granularErrors,
+      impactedBy,
+      dependencyChanges
+    };
+  }
+
+  async analyzeDependencies(baseDir = this.targetDir) {
     console.error('📦 分析模块依赖关系...');
     
     try {
-      const res = await madge(this.targetDir, {
-        fileExtensions: ['js', 'jsx', 'ts', 'tsx'],
+      // madge 没有 Svelte 检测器，按 JS 解析 .svelte 会因模板语法整体失败：
+      // 遍历时跳过 .svelte 依赖并记录导入方，随后由 addSvelteDependencies 单独解析
+      const svelteImports = [];
+      const res = await madge(baseDir, {
+        fileExtensions: ['js', 'jsx', 'ts', 'tsx', 'vue'],
+        // .vue 由 detective-vue2 解析 <script> / <script setup>，lang="ts" 时与 .ts 文件一样保留类型导入
+        detectiveOptions: {
+          vue: { skipTypeImports: false }
+        },
+        // 未提供 tsConfig 时 filing-cabinet 会把 .vue 文件整体当作 JS 解析来判断模块类型并失败；
+        // 提供后 .vue 的导入改走 TypeScript 模块解析，allowJs 使其能解析到 .js 文件
+        tsConfig: { compilerOptions: { allowJs: true } },
+        dependencyFilter: (dependency, importer) => {
+          if (dependency.endsWith('.svelte')) {
+            svelteImports.push([importer, dependency]);
+            return false;
+          }
+          return true;
+        },
         excludeRegExp: this.options.exclude.map(pattern => {
           // 修复正则表达式构建
           const regexPattern = pattern.replace(/\*\*/g, '.*').replace(/\*/g, '[^/]*');
@@ -554,7 +332,8 @@ class FrontendAnalyzer {
       });
 
       const dependencies = res.obj();
-      const circular = res.circular();
+      const svelteFileCount = this.addSvelteDependencies(dependencies, baseDir, svelteImports);
+      const circular = svelteFileCount > 0 ? findCircularDependencies(dependencies) : res.circular();
       
       console.error(`📊 发现 ${Object.keys(dependencies).length} 个模块`);
       if (circular.length > 0) {
@@ -573,8 +352,148 @@ class FrontendAnalyzer {
 
     } catch (error) {
       console.error('依赖分析失败:', error.message);
-      return { graph: {}, circular: [], stats: { totalFiles: 0, totalDependencies: 0, circularCount: 0 } };
+      // error 标记该依赖图无效，调用方不应把它当作"没有依赖"参与比较
+      return { graph: {}, circular: [], stats: { totalFiles: 0, totalDependencies: 0, circularCount: 0 }, error: error.message };
+    }
+  }
+
+  /**
+   * 将 Svelte 组件补充到 madge 依赖图：导入 .svelte 的边，以及 .svelte 文件 <script> 中可解析到文件的相对导入
+   * @param {Object} graph madge 依赖图（就地修改）
+   * @param {Array} svelteImports madge 遍历时跳过的 [导入方, .svelte 文件]（绝对路径）
+   * @returns {number} 加入依赖图的 Svelte 文件数
+   */
+  addSvelteDependencies(graph, baseDir, svelteImports) {
+    const toKey = file => path.relative(baseDir, file).replace(/\\/g, '/');
+    const files = glob.sync('**/*.svelte', { cwd: baseDir, ignore: this.options.exclude, nodir: true });
+
+    files.forEach(relativePath => {
+      const key = relativePath.replace(/\\/g, '/');
+      const content = fs.readFileSync(path.join(baseDir, relativePath), 'utf-8');
+      const deps = extractAstFacts(content, relativePath).imports
+        .filter(fact => fact.name.startsWith('.'))
+        .map(fact => this.resolveImportPath(key, fact.name, baseDir))
+        .filter(dep => fs.existsSync(path.join(baseDir, dep)));
+      graph[key] = [...new Set(deps)].sort();
+    });
+
+    svelteImports.forEach(([importer, dependency]) => {
+      const from = toKey(importer);
+      const to = toKey(dependency);
+      if (graph[from] && graph[to] && !graph[from].includes(to)) {
+        graph[from] = [...graph[from], to].sort();
+      }
+    });
+
+    return files.length;
+  }
+
+  /**
+   * 分析指定提交处的依赖图：检出到临时 worktree 后运行 madge，结果按提交 sha 缓存
+   * 引用无法解析（如初始提交的父提交）时返回空依赖图；
+   * 检出或 madge 失败时返回带 error 字段的空依赖图，且不写入缓存
+   */
+  async analyzeDependenciesAtRef(repoRoot, ref) {
+    const emptyGraph = { graph: {}, circular: [], stats: { totalFiles: 0, totalDependencies: 0, circularCount: 0 } };
+
+    if (ref === WORKTREE_REF) {
+      return await this.analyzeDependencies();
+    }
+    if (ref === INDEX_REF) {
+      return await this.analyzeDependenciesAtIndex(repoRoot);
+    }
+
+    const sha = this.resolveRef(ref);
+    if (!sha) {
+      return emptyGraph;
+    }
+
+    if (this.dependencyGraphCache.has(sha)) {
+      return this.dependencyGraphCache.get(sha);
+    }
+
+    const worktreeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'diffsense-worktree-'));
+    let dependencyGraph;
+    try {
+      this.getRepository().addWorktree(worktreeDir, sha);
+      const targetInWorktree = path.join(worktreeDir, path.relative(repoRoot, this.targetDir));
+      dependencyGraph = await this.analyzeDependencies(targetInWorktree);
+    } catch (error) {
+      console.error(`⚠️  无法在提交 ${ref} 处分析依赖: ${error.message}`);
+      return { ...emptyGraph, error: error.message };
+    } finally {
+      this.getRepository().removeWorktree(worktreeDir);
+    }
+
+    if (!dependencyGraph.error) {
+      this.dependencyGraphCache.set(sha, dependencyGraph);
+    }
+    return dependencyGraph;
+  }
+
+  /**
+   * 分析暂存区内容的依赖图：通过 git checkout-index 导出到临时目录后运行 madge
+   */
+  async analyzeDependenciesAtIndex(repoRoot) {
+    const indexDir = fs.mkdtempSync(path.join(os.tmpdir(), 'diffsense-index-'));
+    try {
+      this.getRepository().checkoutIndex(indexDir);
+      return await this.analyzeDependencies(path.join(indexDir, path.relative(repoRoot, this.targetDir)));
+    } catch (error) {
+      console.error(`⚠️  无法分析暂存区依赖: ${error.message}`);
+      return { graph: {}, circular: [], stats: { totalFiles: 0, totalDependencies: 0, circularCount: 0 }, error: error.message };
+    } finally {
+      fs.rmSync(indexDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * 比较两个引用之间的循环依赖，只报告变更引入或消除的循环，历史遗留的循环不计入
+   * 基准取两个引用的 merge-base，避免基准分支上的后续变化被算作本次变更
+   */
+  async analyzeCircularDiff(baseRef, headRef = 'HEAD') {
+    const repoRoot = this.findRepoRoot();
+    const headSha = this.resolveRef(headRef);
+    const baseSha = this.resolveRef(baseRef);
+    if (!headSha || !baseSha) {
+      throw new Error(`无法解析引用: ${!baseSha ? baseRef : headRef}`);
+    }
+
+    // 没有共同祖先时直接与基准比较
+    const mergeBase = this.getRepository().mergeBase(baseSha, headSha) || baseSha;
+
+    console.error(`🔁 比较循环依赖: ${baseRef} (${mergeBase.substring(0, 7)}) -> ${headRef} (${headSha.substring(0, 7)})`);
+    const baseGraph = await this.analyzeDependenciesAtRef(repoRoot, mergeBase);
+    const headGraph = await this.analyzeDependenciesAtRef(repoRoot, headSha);
+    // 任一端分析失败时空依赖图会让所有已有循环显示为新增，按分析失败处理
+    const failed = [[baseRef, baseGraph], [headRef, headGraph]].find(([, graph]) => graph.error);
+    if (failed) {
+      throw new Error(`无法分析 ${failed[0]} 处的依赖: ${failed[1].error}`);
     }
+    // 文件移动不应被视为引入新循环
+    const renames = {};
+    this.buildChangeSet(repoRoot, this.listChangedFiles([mergeBase, headSha])).changes
+      .filter(change => change.status === 'renamed')
+      .forEach(change => {
+        renames[change.oldPath] = change.path;
+      });
+    const { newCircular, resolvedCircular } = diffDependencyGraphs(baseGraph, headGraph, renames);
+
+    return {
+      timestamp: new Date().toISOString(),
+      targetDir: this.targetDir,
+      baseRef,
+      headRef,
+      mergeBase,
+      introduced: newCircular,
+      resolved: resolvedCircular,
+      stats: {
+        baseCount: baseGraph.circular.length,
+        headCount: headGraph.circular.length,
+        introducedCount: newCircular.length,
+        resolvedCount: resolvedCircular.length
+      }
+    };
   }
 
   async analyzeCode() {
@@ -595,10 +514,18 @@ class FrontendAnalyzer {
     const fileInfos = [];
 
     // 初始化TypeScript项目
-    this.project = new Project({
-      tsConfigFilePath: this.findTsConfig(),
-      skipAddingFilesFromTsConfig: true
-    });
+    this.project = this.createProject();
+
+    // 预先加载所有JS/TS文件，使跨文件的符号解析可用
+    files
+      .filter(filePath => ['.js', '.jsx', '.ts', '.tsx'].includes(path.extname(filePath)))
+      .forEach(filePath => {
+        try {
+          this.project.addSourceFileAtPath(filePath);
+        } catch (error) {
+          console.error(`加载文件失败 ${filePath}:`, error.message);
+        }
+      });
 
     for (const filePath of files) {
       try {
@@ -628,8 +555,24 @@ class FrontendAnalyzer {
               }
             });
 
-            // 创建调用关系边
-            if (method.calls && method.calls.length > 0) {
+            // 创建调用关系边（优先使用解析后的调用目标）
+            if (method.resolvedCalls && method.resolvedCalls.length > 0) {
+              method.resolvedCalls.forEach(call => {
+                const targetId = call.external
+                  ? `${call.module}:${call.method}`
+                  : `${call.file}:${call.method}`;
+                callGraphEdges.push({
+                  data: {
+                    id: `${nodeId}->${targetId}`,
+                    source: nodeId,
+                    target: targetId,
+                    type: 'calls',
+                    external: call.external,
+                    resolved: call.resolved
+                  }
+                });
+              });
+            } else if (method.calls && method.calls.length > 0) {
               method.calls.forEach(calledMethod => {
                 const targetId = `${fileInfo.relativePath}:${calledMethod}`;
                 callGraphEdges.push({
@@ -650,6 +593,12 @@ class FrontendAnalyzer {
       }
     }
 
+    // CSS Module 选择器关联到使用其类名的组件
+    this.cssModuleUsageIndex = buildCssModuleUsageIndex(fileInfos);
+    fileInfos
+      .filter(fileInfo => fileInfo.styles)
+      .forEach(fileInfo => attachAffectedComponents(fileInfo.styles, fileInfo.relativePath, this.cssModuleUsageIndex));
+
     return {
       methods,
       callGraph: { nodes: callGraphNodes, edges: callGraphEdges },
@@ -680,8 +629,15 @@ class FrontendAnalyzer {
         const sourceFile = this.project.createSourceFile(filePath, content, { overwrite: true });
         this.analyzeTypeScriptFile(sourceFile, fileInfo);
       } else if (ext === '.js' || ext === '.jsx') {
-        // JavaScript分析
-        this.analyzeJavaScriptFile(content, fileInfo);
+        // JavaScript分析（allowJs）
+        const sourceFile = this.project.createSourceFile(filePath, content, { overwrite: true });
+        this.analyzeJavaScriptFile(sourceFile, fileInfo);
+      } else if (ext === '.vue') {
+        this.analyzeVueFile(filePath, content, fileInfo);
+      } else if (ext === '.svelte') {
+        this.analyzeSvelteFile(filePath, content, fileInfo);
+      } else if (isStyleFile(filePath)) {
+        this.analyzeStyleFile(relativePath, content, fileInfo);
       }
     } catch (error) {
       console.error(`解析文件失败 ${relativePath}:`, error.message);
@@ -691,113 +647,639 @@ class FrontendAnalyzer {
   }
 
   analyzeTypeScriptFile(sourceFile, fileInfo) {
-    // 分析函数和方法
-    const functions = sourceFile.getFunctions();
-    const classes = sourceFile.getClasses();
-    const arrowFunctions = sourceFile.getVariableStatements()
-      .flatMap(stmt => stmt.getDeclarations())
-      .filter(decl => decl.getInitializer()?.getKind() === 204); // ArrowFunction
+    // 先收集导入信息，供调用目标解析使用
+    sourceFile.getImportDeclarations().forEach(imp => {
+      const aliases = {};
+      imp.getNamedImports().forEach(ni => {
+        if (ni.getAliasNode()) {
+          aliases[ni.getAliasNode().getText()] = ni.getName();
+        }
+      });
+      fileInfo.imports.push({
+        module: imp.getModuleSpecifierValue(),
+        imports: imp.getNamedImports().map(ni => ni.getName()),
+        defaultImport: imp.getDefaultImport()?.getText() || null,
+        namespaceImport: imp.getNamespaceImport()?.getText() || null,
+        aliases
+      });
+    });
 
     // 普通函数
-    functions.forEach(func => {
-      const name = func.getName() || 'anonymous';
-      fileInfo.methods.push({
-        name: name,
-        signature: `${name}(${func.getParameters().map(p => p.getName()).join(', ')})`,
-        type: 'function',
-        line: func.getStartLineNumber(),
-        calls: this.extractCallsFromNode(func)
-      });
+    sourceFile.getFunctions().forEach(func => {
+      const name = func.getName() || 'default';
+      // 与函数表达式相同：大写命名且渲染 JSX 的函数声明记为组件
+      const type = /^[A-Z]/.test(name) && this.rendersJsx(func) ? 'component' : 'function';
+      fileInfo.methods.push(this.createMethodRecord(name, type, func, fileInfo, func));
     });
 
     // 类方法
-    classes.forEach(cls => {
-      const className = cls.getName();
+    sourceFile.getClasses().forEach(cls => {
+      const className = cls.getName() || 'default';
       cls.getMethods().forEach(method => {
-        const methodName = method.getName();
-        fileInfo.methods.push({
-          name: `${className}.${methodName}`,
-          signature: `${className}.${methodName}(${method.getParameters().map(p => p.getName()).join(', ')})`,
-          type: 'method',
-          line: method.getStartLineNumber(),
-          calls: this.extractCallsFromNode(method)
-        });
+        fileInfo.methods.push(this.createMethodRecord(`${className}.${method.getName()}`, 'method', method, fileInfo, cls));
       });
     });
 
-    // 分析导入导出
-    sourceFile.getImportDeclarations().forEach(imp => {
-      fileInfo.imports.push({
-        module: imp.getModuleSpecifierValue(),
-        imports: imp.getNamedImports().map(ni => ni.getName())
+    // 类属性上的箭头函数（handleClick = () => {}）
+    sourceFile.getClasses().forEach(cls => {
+      const className = cls.getName() || 'default';
+      cls.getProperties().forEach(prop => {
+        const initializer = prop.getInitializer();
+        if (initializer && (Node.isArrowFunction(initializer) || Node.isFunctionExpression(initializer))) {
+          fileInfo.methods.push(this.createMethodRecord(`${className}.${prop.getName()}`, 'method', initializer, fileInfo, cls));
+        }
       });
     });
 
+    // 变量声明的函数（const foo = async () => {} / const Foo = memo(() => ...)）与对象字面量方法
+    sourceFile.getVariableStatements().forEach(stmt => stmt.getDeclarations().forEach(decl => {
+      const initializer = decl.getInitializer();
+      if (!initializer || !Node.isIdentifier(decl.getNameNode())) return;
+
+      const fn = this.unwrapFunctionExpression(initializer);
+      if (fn) {
+        fileInfo.methods.push(this.createFunctionExpressionRecord(decl.getName(), fn, fileInfo, stmt));
+      } else if (Node.isObjectLiteralExpression(initializer)) {
+        initializer.getProperties().forEach(prop => {
+          let member = null;
+          if (Node.isMethodDeclaration(prop)) {
+            member = prop;
+          } else if (Node.isPropertyAssignment(prop)) {
+            member = this.unwrapFunctionExpression(prop.getInitializer())?.node || null;
+          }
+          if (member) {
+            fileInfo.methods.push(this.createMethodRecord(`${decl.getName()}.${prop.getName()}`, 'method', member, fileInfo, stmt));
+          }
+        });
+      }
+    }));
+
+    // 匿名默认导出（export default () => ... / export default memo(function Foo() {})）
+    sourceFile.getExportAssignments().forEach(assignment => {
+      if (assignment.isExportEquals()) return;
+      const fn = this.unwrapFunctionExpression(assignment.getExpression());
+      if (fn) {
+        const ownName = Node.isFunctionExpression(fn.node) ? fn.node.getName() : null;
+        const record = this.createFunctionExpressionRecord(ownName || 'default', fn, fileInfo, null);
+        record.isExported = true;
+        fileInfo.methods.push(record);
+      }
+    });
+
+    // 分析导出（export ... from / export { ... }）
+    const declaredExports = new Set();
     sourceFile.getExportDeclarations().forEach(exp => {
+      const names = exp.getNamedExports().map(ne => ne.getName());
+      names.forEach(name => declaredExports.add(name));
       fileInfo.exports.push({
         module: exp.getModuleSpecifierValue(),
-        exports: exp.getNamedExports().map(ne => ne.getName())
+        exports: names
       });
     });
-  }
-
-  analyzeJavaScriptFile(content, fileInfo) {
-    // 简单的正则匹配分析JavaScript
-    const functionRegex = /function\s+(\w+)\s*\([^)]*\)/g;
-    const arrowFunctionRegex = /(?:const|let|var)\s+(\w+)\s*=\s*\([^)]*\)\s*=>/g;
-    const methodRegex = /(\w+)\s*:\s*function\s*\([^)]*\)/g;
-
-    let match;
 
-    // 普通函数
-    while ((match = functionRegex.exec(content)) !== null) {
-      fileInfo.methods.push({
-        name: match[1],
-        signature: match[0],
-        type: 'function',
-        line: content.substring(0, match.index).split('\n').length,
-        calls: []
-      });
-    }
-
-    // 箭头函数
-    while ((match = arrowFunctionRegex.exec(content)) !== null) {
-      fileInfo.methods.push({
-        name: match[1],
-        signature: match[0],
-        type: 'arrow-function',
-        line: content.substring(0, match.index).split('\n').length,
-        calls: []
+    // 本文件内声明的导出（export function / export default / module.exports）
+    const localExports = [];
+    sourceFile.getExportedDeclarations().forEach((declarations, name) => {
+      if (declaredExports.has(name)) return;
+      if (declarations.some(declaration => declaration.getSourceFile() === sourceFile)) {
+        localExports.push(name);
+      }
+    });
+    if (localExports.length > 0) {
+      fileInfo.exports.push({
+        module: null,
+        exports: localExports
       });
     }
+    this.markExportedMethods(fileInfo);
+  }
 
-    // 对象方法
-    while ((match = methodRegex.exec(content)) !== null) {
-      fileInfo.methods.push({
-        name: match[1],
-        signature: match[0],
-        type: 'method',
-        line: content.substring(0, match.index).split('\n').length,
-        calls: []
-      });
+  /**
+   * 分析单文件组件中的一个 <script> 块：按 lang 作为 TS/JS 分析
+   * 块内容前补齐空行，使方法行号与组件文件中的行号一致
+   * @param {number} startLine 块内容起始所在行（即 <script> 标签所在行）
+   * @returns {SourceFile}
+   */
+  analyzeScriptBlock(filePath, blockName, lang, startLine, blockContent, fileInfo) {
+    const blockExt = { ts: '.ts', tsx: '.tsx', jsx: '.jsx' }[lang] || '.js';
+    const sourceFile = this.project.createSourceFile(
+      `${filePath}.${blockName}${blockExt}`,
+      '\n'.repeat(startLine - 1) + blockContent,
+      { overwrite: true }
+    );
+
+    if (blockExt === '.ts' || blockExt === '.tsx') {
+      this.analyzeTypeScriptFile(sourceFile, fileInfo);
+    } else {
+      this.analyzeJavaScriptFile(sourceFile, fileInfo);
     }
+    return sourceFile;
   }
 
-  extractCallsFromNode(node) {
-    // 简化的调用提取逻辑
-    const calls = [];
-    const text = node.getText();
-    const callRegex = /(\w+)\s*\(/g;
-    
+  /**
+   * 分析 Vue 单文件组件：<script> 与 <script setup> 分别按 TS/JS 分析
+   */
+  analyzeVueFile(filePath, content, fileInfo) {
+    const { descriptor, errors } = parseSfc(content, { filename: filePath });
+    if (errors && errors.length > 0) {
+      console.error(`⚠️  Vue文件解析存在错误 ${fileInfo.relativePath}: ${errors[0].message}`);
+    }
+
+    [descriptor.script, descriptor.scriptSetup].filter(Boolean).forEach(block => {
+      const blockName = block.setup ? 'setup' : 'script';
+      const sourceFile = this.analyzeScriptBlock(filePath, blockName, block.lang || 'js', block.loc.start.line, block.content, fileInfo);
+      if (!block.setup) {
+        this.extractVueOptionMethods(sourceFile, fileInfo);
+      }
+    });
+  }
+
+  /**
+   * 分析 Svelte 组件：实例脚本与 context="module" 脚本分别按 TS/JS 分析
+   */
+  analyzeSvelteFile(filePath, content, fileInfo) {
+    const scriptRegex = /<script\b([^>]*)>([\s\S]*?)<\/script>/g;
     let match;
-    while ((match = callRegex.exec(text)) !== null) {
-      const functionName = match[1];
-      if (functionName !== 'if' && functionName !== 'for' && functionName !== 'while') {
-        calls.push(functionName);
+    while ((match = scriptRegex.exec(content)) !== null) {
+      const attributes = match[1];
+      const langMatch = attributes.match(/lang\s*=\s*["'](\w+)["']/);
+      const blockName = /context\s*=\s*["']module["']/.test(attributes) ? 'module' : 'instance';
+      const contentStart = match.index + match[0].indexOf('>') + 1;
+      const startLine = content.slice(0, contentStart).split('\n').length;
+      this.analyzeScriptBlock(filePath, blockName, langMatch ? langMatch[1] : 'js', startLine, match[2], fileInfo);
+    }
+  }
+
+  /**
+   * 提取 Options API 组件（export default { ... } / defineComponent({ ... })）中的
+   * methods / computed / watch 条目，按 "选项.名称" 命名，如 methods.submit、computed.total
+   */
+  extractVueOptionMethods(sourceFile, fileInfo) {
+    const assignment = sourceFile.getExportAssignments().find(exp => !exp.isExportEquals());
+    if (!assignment) return;
+
+    let options = assignment.getExpression();
+    if (Node.isCallExpression(options)) {
+      options = options.getArguments()[0];
+    }
+    if (!options || !Node.isObjectLiteralExpression(options)) return;
+
+    Object.entries(VUE_OPTION_SECTIONS).forEach(([section, type]) => {
+      const sectionProp = options.getProperty(section);
+      const members = sectionProp && Node.isPropertyAssignment(sectionProp) ? sectionProp.getInitializer() : null;
+      if (!members || !Node.isObjectLiteralExpression(members)) return;
+
+      members.getProperties().forEach(prop => {
+        const nameNode = typeof prop.getNameNode === 'function' ? prop.getNameNode() : null;
+        if (!nameNode) return;
+        const key = Node.isStringLiteral(nameNode) ? nameNode.getLiteralValue() : nameNode.getText();
+        const name = `${section}.${key}`;
+
+        this.getVueOptionFunctions(prop, type).forEach(({ suffix, node }) => {
+          fileInfo.methods.push(this.createMethodRecord(`${name}${suffix}`, type, node, fileInfo));
+        });
+      });
+    });
+  }
+
+  /**
+   * 获取选项条目对应的函数节点：
+   * 方法简写或函数值直接使用；computed 的 { get, set } 分别输出（set 以 .set 结尾）；watch 的 { handler } 取 handler
+   */
+  getVueOptionFunctions(prop, type) {
+    if (Node.isMethodDeclaration(prop)) {
+      return [{ suffix: '', node: prop }];
+    }
+    if (!Node.isPropertyAssignment(prop)) return [];
+
+    const initializer = prop.getInitializer();
+    const fn = this.unwrapFunctionExpression(initializer);
+    if (fn) {
+      return [{ suffix: '', node: fn.node }];
+    }
+    if (!initializer || !Node.isObjectLiteralExpression(initializer)) return [];
+
+    const accessors = type === 'computed' ? { get: '', set: '.set' } : type === 'watch' ? { handler: '' } : {};
+    return Object.entries(accessors)
+      .map(([accessor, suffix]) => {
+        const member = initializer.getProperty(accessor);
+        if (!member) return null;
+        if (Node.isMethodDeclaration(member)) return { suffix, node: member };
+        const memberFn = Node.isPropertyAssignment(member) ? this.unwrapFunctionExpression(member.getInitializer()) : null;
+        return memberFn ? { suffix, node: memberFn.node } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * 解析样式文件：选择器、自定义属性、SCSS/LESS 变量与 mixin
+   */
+  analyzeStyleFile(relativePath, content, fileInfo) {
+    fileInfo.styles = parseStylesheet(content, relativePath);
+    if (fileInfo.styles.parseError) {
+      console.error(`⚠️  样式解析失败 ${relativePath}: ${fileInfo.styles.parseError}`);
+    }
+  }
+
+  /**
+   * 根据导出列表补充方法的导出状态（如 export { foo }、module.exports = { foo }）
+   * 对象/类成员以所属对象名判断
+   */
+  markExportedMethods(fileInfo) {
+    const exportedNames = new Set(fileInfo.exports.filter(exp => !exp.module).flatMap(exp => exp.exports));
+    fileInfo.methods.forEach(method => {
+      if (!method.isExported && exportedNames.has(method.name.split('.')[0])) {
+        method.isExported = true;
+      }
+    });
+  }
+
+  /**
+   * 分析 JavaScript 文件：与 TypeScript 共用同一套 AST 提取，额外识别 CommonJS 导入导出
+   */
+  analyzeJavaScriptFile(sourceFile, fileInfo) {
+    // require() 视为导入，先于方法提取收集以便解析调用目标
+    sourceFile.getDescendantsOfKind(SyntaxKind.CallExpression).forEach(callExpr => {
+      const args = callExpr.getArguments();
+      if (callExpr.getExpression().getText() !== 'require' || args.length !== 1 || !Node.isStringLiteral(args[0])) {
+        return;
+      }
+
+      const importInfo = {
+        module: args[0].getLiteralValue(),
+        imports: [],
+        defaultImport: null,
+        namespaceImport: null,
+        aliases: {}
+      };
+
+      const declaration = callExpr.getParentIfKind(SyntaxKind.VariableDeclaration);
+      const nameNode = declaration ? declaration.getNameNode() : null;
+      if (nameNode && Node.isIdentifier(nameNode)) {
+        importInfo.defaultImport = nameNode.getText();
+      } else if (nameNode && Node.isObjectBindingPattern(nameNode)) {
+        nameNode.getElements().forEach(element => {
+          const imported = element.getPropertyNameNode()?.getText() || element.getName();
+          importInfo.imports.push(imported);
+          if (imported !== element.getName()) {
+            importInfo.aliases[element.getName()] = imported;
+          }
+        });
+      }
+
+      fileInfo.imports.push(importInfo);
+    });
+
+    this.analyzeTypeScriptFile(sourceFile, fileInfo);
+
+    // exports.foo = function () {} / module.exports.foo = () => {}
+    const commonJsExports = [];
+    sourceFile.getStatements().forEach(statement => {
+      if (!Node.isExpressionStatement(statement)) return;
+      const expression = statement.getExpression();
+      if (!Node.isBinaryExpression(expression) || expression.getOperatorToken().getKind() !== SyntaxKind.EqualsToken) return;
+
+      const left = expression.getLeft();
+      if (!Node.isPropertyAccessExpression(left)) return;
+      const owner = left.getExpression().getText();
+      if (owner !== 'exports' && owner !== 'module.exports') return;
+
+      const name = left.getName();
+      const fn = this.unwrapFunctionExpression(expression.getRight());
+      commonJsExports.push(name);
+      if (fn && !fileInfo.methods.some(m => m.name === name)) {
+        fileInfo.methods.push(this.createFunctionExpressionRecord(name, fn, fileInfo, null));
       }
+    });
+
+    const knownExports = new Set(fileInfo.exports.flatMap(exp => exp.exports));
+    const missingExports = commonJsExports.filter(name => !knownExports.has(name));
+    if (missingExports.length > 0) {
+      fileInfo.exports.push({
+        module: null,
+        exports: missingExports
+      });
     }
-    
-    return [...new Set(calls)]; // 去重
+    this.markExportedMethods(fileInfo);
+  }
+
+  /**
+   * 构建方法记录（字段与 shared/types.js 中的 MethodInfo 对齐），附带解析后的调用目标
+   * @param {string} name 方法名
+   * @param {string} type function / method / arrow-function
+   * @param {Node} node 函数节点
+   * @param {Object} fileInfo 所属文件信息
+   * @param {Node} [exportNode] 决定导出状态的声明节点（函数、类或变量语句）
+   */
+  createMethodRecord(name, type, node, fileInfo, exportNode = null) {
+    const resolvedCalls = this.extractCallsFromNode(node, fileInfo);
+    const parameters = node.getParameters().map(param => ({
+      name: param.getName(),
+      type: this.getTypeText(param.getTypeNode(), () => param.getType(), param),
+      optional: param.isOptional(),
+      defaultValue: param.getInitializer()?.getText() || null
+    }));
+    const startLine = node.getStartLineNumber();
+
+    return {
+      name,
+      signature: `${name}(${parameters.map(p => p.name).join(', ')})`,
+      type,
+      line: startLine,
+      startLine,
+      endLine: node.getEndLineNumber(),
+      parameters,
+      returnType: this.getTypeText(node.getReturnTypeNode(), () => node.getReturnType(), node),
+      isAsync: typeof node.isAsync === 'function' ? node.isAsync() : false,
+      isGenerator: typeof node.isGenerator === 'function' ? node.isGenerator() : false,
+      isExported: Boolean(exportNode && typeof exportNode.isExported === 'function' && exportNode.isExported()),
+      calls: [...new Set(resolvedCalls.map(call => call.name))],
+      resolvedCalls
+    };
+  }
+
+  /**
+   * 识别函数表达式，支持 memo / forwardRef 等高阶组件包裹（可嵌套，如 memo(forwardRef(...))）
+   * @returns {{ node: Node, wrappers: Array<string> } | null}
+   */
+  unwrapFunctionExpression(expression) {
+    const wrappers = [];
+    let current = expression;
+
+    while (current) {
+      if (Node.isParenthesizedExpression(current) || Node.isAsExpression(current)) {
+        current = current.getExpression();
+      } else if (Node.isArrowFunction(current) || Node.isFunctionExpression(current)) {
+        return { node: current, wrappers };
+      } else if (Node.isCallExpression(current) && COMPONENT_WRAPPERS.has(current.getExpression().getText().replace(/^React\./, ''))) {
+        wrappers.push(current.getExpression().getText().replace(/^React\./, ''));
+        current = current.getArguments()[0];
+      } else {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 为函数表达式构建方法记录，被 memo / forwardRef 包裹或大写命名且渲染 JSX 的记为组件
+   */
+  createFunctionExpressionRecord(name, fn, fileInfo, exportNode) {
+    let type = Node.isArrowFunction(fn.node) ? 'arrow-function' : 'function';
+    if (fn.wrappers.length > 0 || (/^[A-Z]/.test(name) && this.rendersJsx(fn.node))) {
+      type = 'component';
+    }
+    const record = this.createMethodRecord(name, type, fn.node, fileInfo, exportNode);
+    if (fn.wrappers.length > 0) {
+      record.wrappers = fn.wrappers;
+    }
+    return record;
+  }
+
+  /**
+   * 判断函数体内是否包含 JSX 元素或片段
+   */
+  rendersJsx(node) {
+    return Boolean(node.getFirstDescendant(d =>
+      Node.isJsxElement(d) || Node.isJsxSelfClosingElement(d) || Node.isJsxFragment(d)
+    ));
+  }
+
+  /**
+   * 获取类型文本：优先使用显式类型注解，否则使用类型检查器推断的类型
+   */
+  getTypeText(typeNode, getInferredType, enclosingNode) {
+    if (typeNode) {
+      return typeNode.getText();
+    }
+    try {
+      return getInferredType().getText(enclosingNode);
+    } catch (error) {
+      return 'any';
+    }
+  }
+
+  /**
+   * 提取节点内的函数调用，并解析调用目标所在的文件与方法
+   * @returns {Array} [{ name, method, file, module, external, resolved }]
+   */
+  extractCallsFromNode(node, fileInfo) {
+    const calls = new Map();
+
+    node.getDescendantsOfKind(SyntaxKind.CallExpression).forEach(callExpr => {
+      const target = this.resolveCallTarget(callExpr.getExpression(), fileInfo);
+      if (!target) return;
+      const key = `${target.external ? target.module : target.file}:${target.method}`;
+      if (!calls.has(key)) {
+        calls.set(key, target);
+      }
+    });
+
+    return [...calls.values()];
+  }
+
+  /**
+   * 解析调用目标：依次尝试 ts-morph 符号解析、导入声明匹配、同文件方法
+   */
+  resolveCallTarget(expression, fileInfo) {
+    let nameNode = null;
+    let rootName = null;
+
+    if (Node.isIdentifier(expression)) {
+      nameNode = expression;
+      rootName = expression.getText();
+    } else if (Node.isPropertyAccessExpression(expression)) {
+      nameNode = expression.getNameNode();
+      let root = expression.getExpression();
+      while (Node.isPropertyAccessExpression(root)) {
+        root = root.getExpression();
+      }
+      rootName = Node.isIdentifier(root) ? root.getText() : null;
+    } else {
+      // 立即执行函数、元素访问等无法静态确定名称的调用
+      return null;
+    }
+
+    const name = nameNode.getText();
+    return this.resolveCallBySymbol(nameNode, name)
+      || this.resolveCallByImports(name, rootName, fileInfo)
+      || {
+        name,
+        method: this.findLocalMethodName(name, fileInfo) || name,
+        file: fileInfo.relativePath,
+        module: null,
+        external: false,
+        resolved: false
+      };
+  }
+
+  /**
+   * 通过类型检查器找到被调用符号的声明位置
+   */
+  resolveCallBySymbol(nameNode, name) {
+    let symbol;
+    try {
+      symbol = nameNode.getSymbol();
+      if (symbol && symbol.isAlias()) {
+        symbol = symbol.getAliasedSymbol() || symbol;
+      }
+    } catch (error) {
+      return null;
+    }
+
+    const declaration = symbol?.getDeclarations()[0];
+    if (!declaration) {
+      return null;
+    }
+
+    const declarationFile = declaration.getSourceFile();
+    const declarationPath = declarationFile.getFilePath();
+    if (declarationFile.isInNodeModules() || declarationFile.isFromExternalLibrary()) {
+      return {
+        name,
+        method: name,
+        file: null,
+        module: this.getPackageName(declarationPath),
+        external: true,
+        resolved: true
+      };
+    }
+
+    const relativePath = path.relative(this.targetDir, declarationPath).replace(/\\/g, '/');
+    return {
+      name,
+      method: this.getDeclarationName(declaration, name),
+      file: relativePath,
+      module: null,
+      external: relativePath.startsWith('..'),
+      resolved: true
+    };
+  }
+
+  /**
+   * 通过 fileInfo.imports 中的导入声明匹配调用目标
+   */
+  resolveCallByImports(name, rootName, fileInfo) {
+    if (!rootName) {
+      return null;
+    }
+
+    for (const imp of fileInfo.imports || []) {
+      let importedName = null;
+      if (imp.namespaceImport && imp.namespaceImport === rootName) {
+        importedName = name;
+      } else if (imp.defaultImport && imp.defaultImport === rootName) {
+        importedName = rootName === name ? 'default' : name;
+      } else {
+        const original = (imp.aliases && imp.aliases[rootName]) || (imp.imports.includes(rootName) ? rootName : null);
+        if (original) {
+          importedName = rootName === name ? original : `${original}.${name}`;
+        }
+      }
+
+      if (!importedName) continue;
+
+      if (imp.module.startsWith('.')) {
+        return {
+          name,
+          method: importedName,
+          file: this.resolveImportPath(fileInfo.relativePath, imp.module),
+          module: null,
+          external: false,
+          resolved: true
+        };
+      }
+
+      return {
+        name,
+        method: importedName,
+        file: null,
+        module: imp.module,
+        external: true,
+        resolved: true
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * 计算声明对应的方法名，类方法使用 Class.method 形式，与方法节点保持一致
+   */
+  getDeclarationName(declaration, fallbackName) {
+    if (Node.isMethodDeclaration(declaration)) {
+      const parentClass = declaration.getParentIfKind(SyntaxKind.ClassDeclaration);
+      if (parentClass && parentClass.getName()) {
+        return `${parentClass.getName()}.${declaration.getName()}`;
+      }
+    }
+    // 对象字面量方法：const api = { get() {} } -> api.get
+    if (Node.isMethodDeclaration(declaration) || Node.isPropertyAssignment(declaration)) {
+      const owner = declaration.getParentIfKind(SyntaxKind.ObjectLiteralExpression)?.getParentIfKind(SyntaxKind.VariableDeclaration);
+      if (owner && Node.isIdentifier(owner.getNameNode())) {
+        return `${owner.getName()}.${declaration.getName()}`;
+      }
+    }
+    if (typeof declaration.getName === 'function' && declaration.getName()) {
+      return declaration.getName();
+    }
+    return fallbackName;
+  }
+
+  /**
+   * 在同文件方法中查找被调用的方法名
+   */
+  findLocalMethodName(name, fileInfo) {
+    const method = (fileInfo.methods || []).find(m => m.name === name || m.name.endsWith(`.${name}`));
+    return method ? method.name : null;
+  }
+
+  /**
+   * 从 node_modules 路径中提取 npm 包名
+   */
+  getPackageName(filePath) {
+    const normalized = filePath.replace(/\\/g, '/');
+    if (/\/typescript\/lib\/lib\.[^/]*\.d\.ts$/.test(normalized)) {
+      return 'builtin';
+    }
+    const segments = normalized.split('/node_modules/').pop().split('/');
+    let packageName = segments[0].startsWith('@') ? `${segments[0]}/${segments[1]}` : segments[0];
+    if (packageName.startsWith('@types/')) {
+      packageName = packageName.substring('@types/'.length);
+    }
+    return packageName;
+  }
+
+  /**
+   * 将相对导入路径解析为相对于目标目录（或 baseDir）的文件路径
+   */
+  resolveImportPath(fromRelativePath, moduleSpecifier, baseDir = this.targetDir) {
+    const basePath = path.posix.normalize(path.posix.join(path.posix.dirname(fromRelativePath), moduleSpecifier));
+    const extensions = ['.ts', '.tsx', '.js', '.jsx', '.vue', '.svelte'];
+    const candidates = [
+      basePath,
+      ...extensions.map(ext => `${basePath}${ext}`),
+      ...extensions.map(ext => `${basePath}/index${ext}`)
+    ];
+
+    const existing = candidates.find(candidate => {
+      const fullPath = path.join(baseDir, candidate);
+      return fs.existsSync(fullPath) && fs.statSync(fullPath).isFile();
+    });
+    return existing || basePath;
+  }
+
+  /**
+   * 创建 ts-morph 项目，开启 allowJs 使 JavaScript 文件走同一套 AST 分析
+   */
+  createProject() {
+    return new Project({
+      tsConfigFilePath: this.findTsConfig(),
+      skipAddingFilesFromTsConfig: true,
+      compilerOptions: {
+        allowJs: true
+      }
+    });
   }
 
   findTsConfig() {
@@ -839,8 +1321,14 @@ class FrontendAnalyzer {
    */
   async analyzeGitChanges() {
     try {
-      // 如果指定了提交数量，分别分析每个提交
-      if (this.options.commits) {
+      if (this.options.base) {
+        return await this.analyzeBranchAgainstBase();
+      } else if (this.options.staged) {
+        return await this.analyzeStagedChanges();
+      } else if (this.options.worktree) {
+        return await this.analyzeWorkingTreeChanges();
+      } else if (this.options.commits) {
+        // 如果指定了提交数量，分别分析每个提交
         return await this.analyzeCommitsIndividually();
       } else if (this.options.since) {
         return await this.analyzeCommitsByDate();
@@ -863,135 +1351,24 @@ class FrontendAnalyzer {
    * 分别分析每个提交
    */
   async analyzeCommitsIndividually() {
-    const commits = [];
     const numCommits = parseInt(this.options.commits, 10);
     
-    // 获取仓库根目录（向上查找.git目录）
-    let repoRoot = this.targetDir;
-    let foundGit = false;
-    while (repoRoot !== path.dirname(repoRoot)) {
-      if (fs.existsSync(path.join(repoRoot, '.git'))) {
-        foundGit = true;
-        break;
-      }
-      repoRoot = path.dirname(repoRoot);
-    }
-    
-    if (!foundGit) {
-      console.error(`❌ 未找到Git仓库（从 ${this.targetDir} 向上查找）`);
-      throw new Error(`未找到Git仓库，请确保在Git仓库目录中运行分析`);
-    }
+    const repo = this.getRepository();
+    const repoRoot = repo.root;
     
     console.error(`📁 Git仓库根目录: ${repoRoot}`);
     console.error(`📁 分析目标目录: ${this.targetDir}`);
     
     // 获取最近N个提交的信息
     const branch = this.options.branch || 'HEAD';
-    const logCmd = `git log --format="%H|%s|%an|%ae|%ai" -n ${numCommits} ${branch}`;
-    console.error(`📝 执行Git命令: ${logCmd}`);
+    const revisions = ['-n', String(numCommits), branch];
+    console.error(`📝 读取提交日志: git log ${revisions.join(' ')}`);
     
     try {
-      const logOutput = execSync(logCmd, { cwd: repoRoot, encoding: 'utf-8' });
-      const commitLines = logOutput.trim().split('\n').filter(line => line.length > 0);
+      const logCommits = repo.log(revisions);
       
-      console.error(`📝 找到 ${commitLines.length} 个提交，开始分别分析...`);
-      
-      for (let i = 0; i < commitLines.length; i++) {
-        const [commitHash, message, authorName, authorEmail, authorDate] = commitLines[i].split('|');
-        
-        try {
-          // 获取该提交的变更文件
-          let changedFiles = [];
-          if (i === 0) {
-            // 第一个提交（最新的），与它的父提交比较
-            try {
-              const parentCmd = `git rev-parse ${commitHash}^`;
-              const parentHash = execSync(parentCmd, { 
-                cwd: repoRoot, 
-                encoding: 'utf-8',
-                stdio: ['pipe', 'pipe', 'ignore']
-              }).trim();
-              if (parentHash) {
-                const diffCmd = `git diff --name-only ${parentHash} ${commitHash}`;
-                const diffOutput = execSync(diffCmd, { cwd: repoRoot, encoding: 'utf-8' });
-                changedFiles = diffOutput.trim().split('\n').filter(file => file.length > 0);
-              }
-            } catch (e) {
-              // 如果没有父提交（初始提交），获取该提交的所有文件
-              try {
-                const showCmd = `git show --name-only --format="" ${commitHash}`;
-                const showOutput = execSync(showCmd, { cwd: repoRoot, encoding: 'utf-8' });
-                changedFiles = showOutput.trim().split('\n').filter(file => file.length > 0);
-              } catch (showError) {
-                // 如果获取文件列表也失败，使用空数组
-                changedFiles = [];
-              }
-            }
-          } else {
-            // 其他提交，与它的父提交比较
-            const parentHash = commitLines[i + 1] ? commitLines[i + 1].split('|')[0] : null;
-            if (parentHash) {
-              try {
-                const diffCmd = `git diff --name-only ${parentHash} ${commitHash}`;
-                const diffOutput = execSync(diffCmd, { cwd: repoRoot, encoding: 'utf-8' });
-                changedFiles = diffOutput.trim().split('\n').filter(file => file.length > 0);
-              } catch (e) {
-                // diff失败，使用空数组
-                changedFiles = [];
-              }
-            }
-          }
-          
-          // 过滤前端相关文件，并转换为相对于targetDir的路径
-          const frontendFiles = changedFiles
-            .filter(file => {
-              const ext = path.extname(file).toLowerCase();
-              return ['.js', '.jsx', '.ts', '.tsx', '.vue', '.css', '.scss', '.sass', '.less'].includes(ext);
-            })
-            .map(file => {
-              // 如果文件路径是相对于仓库根目录的，需要检查是否在targetDir内
-              const fullPath = path.join(repoRoot, file);
-              const relativePath = path.relative(this.targetDir, fullPath);
-              // 如果文件不在targetDir内，返回null（会被过滤掉）
-              if (relativePath.startsWith('..')) {
-                return null;
-              }
-              return relativePath.replace(/\\/g, '/');
-            })
-            .filter(file => file !== null);
-          
-          commits.push({
-            commitId: commitHash,
-            commitHash: commitHash.substring(0, 7),
-            message: message,
-            author: {
-              name: authorName,
-              email: authorEmail
-            },
-            timestamp: new Date(authorDate).toISOString(),
-            changedFilesCount: frontendFiles.length,
-            changedFiles: frontendFiles
-          });
-          
-          console.error(`✅ 分析提交 ${commitHash.substring(0, 7)}: ${frontendFiles.length}个文件`);
-        } catch (error) {
-          console.error(`❌ 分析提交 ${commitHash.substring(0, 7)} 失败:`, error.message);
-          // 即使分析失败，也添加一个空结果
-          commits.push({
-            commitId: commitHash,
-            commitHash: commitHash.substring(0, 7),
-            message: message,
-            author: {
-              name: authorName || 'Unknown',
-              email: authorEmail || 'unknown@example.com'
-            },
-            timestamp: new Date(authorDate).toISOString(),
-            changedFilesCount: 0,
-            changedFiles: [],
-            error: error.message
-          });
-        }
-      }
+      console.error(`📝 找到 ${logCommits.length} 个提交，开始分别分析...`);
+      const commits = this.buildEntriesForCommits(repoRoot, logCommits);
       
       console.error(`📝 Git变更分析完成: 共分析 ${commits.length} 个提交`);
       
@@ -1003,7 +1380,8 @@ class FrontendAnalyzer {
           since: this.options.since,
           until: this.options.until,
           startCommit: this.options.startCommit,
-          endCommit: this.options.endCommit
+          endCommit: this.options.endCommit,
+          mergeMode: this.options.mergeMode
         }
       };
     } catch (error) {
@@ -1019,50 +1397,120 @@ class FrontendAnalyzer {
   }
 
   /**
-   * 按日期分析提交
+   * 为 git log 返回的每个提交生成待分析的条目，单个提交失败时记录为带 error 的空结果
    */
-  async analyzeCommitsByDate() {
-    // 获取仓库根目录
-    let repoRoot = this.targetDir;
-    while (repoRoot !== path.dirname(repoRoot)) {
-      if (fs.existsSync(path.join(repoRoot, '.git'))) {
-        break;
+  buildEntriesForCommits(repoRoot, logCommits) {
+    const commits = [];
+    for (const logCommit of logCommits) {
+      const commitHash = logCommit.hash;
+      
+      try {
+        // 与真实的父提交（commit^N）比较，而不是 git log 中的下一行
+        const entries = this.buildCommitEntries(repoRoot, logCommit);
+        commits.push(...entries);
+        
+        const frontendFiles = entries.flatMap(entry => entry.changedFiles);
+        console.error(`✅ 分析提交 ${commitHash.substring(0, 7)}: ${frontendFiles.length}个文件`);
+      } catch (error) {
+        console.error(`❌ 分析提交 ${commitHash.substring(0, 7)} 失败:`, error.message);
+        // 即使分析失败，也添加一个空结果
+        commits.push({
+          ...this.buildCommitInfo(logCommit),
+          changedFilesCount: 0,
+          changedFiles: [],
+          error: error.message
+        });
       }
-      repoRoot = path.dirname(repoRoot);
     }
+    return commits;
+  }
+
+  /**
+   * 将 git log 记录转换为提交结果中的提交信息
+   * message 为标题行，body 为完整正文；author 与 committer 分开记录，coAuthors 来自 Co-authored-by 尾注
+   */
+  buildCommitInfo(commit) {
+    return {
+      commitId: commit.hash,
+      commitHash: commit.hash.substring(0, 7),
+      message: commit.subject,
+      body: commit.body,
+      author: {
+        name: commit.author.name || 'Unknown',
+        email: commit.author.email || 'unknown@example.com'
+      },
+      committer: {
+        name: commit.committer.name,
+        email: commit.committer.email,
+        timestamp: new Date(commit.committer.date).toISOString()
+      },
+      coAuthors: commit.coAuthors,
+      timestamp: new Date(commit.author.date).toISOString(),
+      parents: commit.parents
+    };
+  }
+
+  /**
+   * 根据提交的真实父提交生成待分析的条目：
+   * 普通提交与父提交（初始提交与空树）比较；合并提交按 mergeMode 处理——
+   * first-parent 仅与第一个父提交比较，each-parent 与每个父提交分别比较，skip 跳过不分析
+   * @param {Object} commit GitRepository.log 返回的提交记录
+   * @returns {Array} 提交条目（each-parent 模式下一个合并提交对应多个条目）
+   */
+  buildCommitEntries(repoRoot, commit) {
+    const baseInfo = this.buildCommitInfo(commit);
+    const { commitId: commitHash, parents } = baseInfo;
+    const isMerge = parents.length > 1;
+    const mergeMode = this.options.mergeMode || 'first-parent';
+
+    if (isMerge && mergeMode === 'skip') {
+      console.error(`⏭️  跳过合并提交 ${baseInfo.commitHash}`);
+      return [{ ...baseInfo, isMerge: true, skipped: true, changedFilesCount: 0, changedFiles: [], changes: [] }];
+    }
+
+    const parentIndexes = isMerge && mergeMode === 'each-parent' ? parents.map((_, index) => index + 1) : [1];
+    return parentIndexes.map(parentIndex => {
+      const parent = parents[parentIndex - 1] || null;
+      const { changedFiles, changes } = this.buildChangeSet(
+        repoRoot,
+        this.listChangedFiles([parent || EMPTY_TREE, commitHash])
+      );
+      const entry = { ...baseInfo, changedFilesCount: changedFiles.length, changedFiles, changes };
+      if (isMerge) {
+        entry.isMerge = true;
+        entry.parentIndex = parentIndex;
+        entry.parent = parent;
+        // 合并提交按 commit^N..commit 比较，避免 git show 输出组合 diff
+        entry.diffRef = `${commitHash}^${parentIndex}..${commitHash}`;
+      }
+      return entry;
+    });
+  }
+
+  /**
+   * 按日期分析提交：git log --since / --until 选出的每个提交分别与其父提交比较
+   */
+  async analyzeCommitsByDate() {
+    const repo = this.getRepository();
+    const repoRoot = repo.root;
     
-    let cmd = `git diff --name-only --since="${this.options.since}"`;
+    const revisions = [`--since=${this.options.since}`];
     if (this.options.until) {
-      cmd += ` --until="${this.options.until}"`;
+      revisions.push(`--until=${this.options.until}`);
     }
-    const output = execSync(cmd, { cwd: repoRoot, encoding: 'utf-8' });
-    const changedFiles = output.trim().split('\n').filter(file => file.length > 0);
+    revisions.push(this.options.branch || 'HEAD');
+    console.error(`📝 读取提交日志: git log ${revisions.join(' ')}`);
     
-    const frontendFiles = changedFiles
-      .filter(file => {
-        const ext = path.extname(file).toLowerCase();
-        return ['.js', '.jsx', '.ts', '.tsx', '.vue', '.css', '.scss', '.sass', '.less'].includes(ext);
-      })
-      .map(file => {
-        const fullPath = path.join(repoRoot, file);
-        const relativePath = path.relative(this.targetDir, fullPath);
-        if (relativePath.startsWith('..')) {
-          return null;
-        }
-        return relativePath.replace(/\\/g, '/');
-      })
-      .filter(file => file !== null);
+    const logCommits = repo.log(revisions);
+    console.error(`📝 找到 ${logCommits.length} 个提交，开始分别分析...`);
     
     return {
-      commits: [{
-        commitId: 'date-range',
-        changedFilesCount: frontendFiles.length,
-        changedFiles: frontendFiles
-      }],
+      commits: this.buildEntriesForCommits(repoRoot, logCommits),
       gitOptions: {
         branch: this.options.branch,
         since: this.options.since,
-        until: this.options.until
+        until: this.options.until,
+        mergeMode: this.options.mergeMode
       }
     };
   }
@@ -1071,39 +1519,17 @@ class FrontendAnalyzer {
    * 按提交范围分析
    */
   async analyzeCommitsByRange() {
-    // 获取仓库根目录
-    let repoRoot = this.targetDir;
-    while (repoRoot !== path.dirname(repoRoot)) {
-      if (fs.existsSync(path.join(repoRoot, '.git'))) {
-        break;
-      }
-      repoRoot = path.dirname(repoRoot);
-    }
-    
-    const cmd = `git diff --name-only ${this.options.startCommit}..${this.options.endCommit}`;
-    const output = execSync(cmd, { cwd: repoRoot, encoding: 'utf-8' });
-    const changedFiles = output.trim().split('\n').filter(file => file.length > 0);
+    const repoRoot = this.findRepoRoot();
     
-    const frontendFiles = changedFiles
-      .filter(file => {
-        const ext = path.extname(file).toLowerCase();
-        return ['.js', '.jsx', '.ts', '.tsx', '.vue', '.css', '.scss', '.sass', '.less'].includes(ext);
-      })
-      .map(file => {
-        const fullPath = path.join(repoRoot, file);
-        const relativePath = path.relative(this.targetDir, fullPath);
-        if (relativePath.startsWith('..')) {
-          return null;
-        }
-        return relativePath.replace(/\\/g, '/');
-      })
-      .filter(file => file !== null);
+    const entries = this.listChangedFiles([this.options.startCommit, this.options.endCommit]);
+    const { changedFiles: frontendFiles, changes } = this.buildChangeSet(repoRoot, entries);
     
     return {
       commits: [{
         commitId: `${this.options.startCommit}..${this.options.endCommit}`,
         changedFilesCount: frontendFiles.length,
-        changedFiles: frontendFiles
+        changedFiles: frontendFiles,
+        changes
       }],
       gitOptions: {
         startCommit: this.options.startCommit,
@@ -1113,79 +1539,174 @@ class FrontendAnalyzer {
   }
 
   /**
-   * 分析工作区变更
+   * 分析工作区变更：磁盘上的内容与 HEAD 比较（包含已暂存、未暂存以及未跟踪的文件）
    */
   async analyzeWorkingTreeChanges() {
-    // 获取仓库根目录
-    let repoRoot = this.targetDir;
-    while (repoRoot !== path.dirname(repoRoot)) {
-      if (fs.existsSync(path.join(repoRoot, '.git'))) {
-        break;
-      }
-      repoRoot = path.dirname(repoRoot);
-    }
-    
-    const cmd = `git diff --name-only`;
-    const output = execSync(cmd, { cwd: repoRoot, encoding: 'utf-8' });
-    const changedFiles = output.trim().split('\n').filter(file => file.length > 0);
-    
-    const frontendFiles = changedFiles
-      .filter(file => {
-        const ext = path.extname(file).toLowerCase();
-        return ['.js', '.jsx', '.ts', '.tsx', '.vue', '.css', '.scss', '.sass', '.less'].includes(ext);
-      })
-      .map(file => {
-        const fullPath = path.join(repoRoot, file);
-        const relativePath = path.relative(this.targetDir, fullPath);
-        if (relativePath.startsWith('..')) {
-          return null;
-        }
-        return relativePath.replace(/\\/g, '/');
-      })
-      .filter(file => file !== null);
-    
+    const repoRoot = this.findRepoRoot();
+    const hasHead = Boolean(this.resolveRef('HEAD'));
+
+    const entries = this.listChangedFiles([hasHead ? 'HEAD' : '--cached']);
+    this.getRepository().listUntracked()
+      .filter(file => !entries.some(entry => entry.path === file))
+      .forEach(file => entries.push({ status: 'added', path: file, oldPath: null, similarity: null }));
+    const { changedFiles: frontendFiles, changes } = this.buildChangeSet(repoRoot, entries);
+
     return {
       commits: [{
         commitId: 'working-tree',
         changedFilesCount: frontendFiles.length,
-        changedFiles: frontendFiles
+        changedFiles: frontendFiles,
+        changes
       }],
-      gitOptions: {}
+      gitOptions: { worktree: true }
     };
   }
 
   /**
-   * 分析特定提交的变更文件，返回完整的文件信息
+   * 分析当前分支相对基准分支的全部变更：
+   * 以 merge-base 为起点，既给出累计 diff 的整体结果（cumulative），也保留逐提交的结果
    */
-  async analyzeChangedFilesForCommit(changedFiles, commitHash) {
-    const fileInfos = [];
-    
-    // 获取仓库根目录
-    let repoRoot = this.targetDir;
-    while (repoRoot !== path.dirname(repoRoot)) {
-      if (fs.existsSync(path.join(repoRoot, '.git'))) {
-        break;
+  async analyzeBranchAgainstBase() {
+    const repoRoot = this.findRepoRoot();
+    const headRef = this.options.branch || 'HEAD';
+    const headSha = this.resolveRef(headRef);
+    const baseSha = this.resolveRef(this.options.base);
+    if (!headSha || !baseSha) {
+      throw new Error(`无法解析引用: ${!baseSha ? this.options.base : headRef}`);
+    }
+
+    const mergeBase = this.getRepository().mergeBase(baseSha, headSha);
+    if (!mergeBase) {
+      throw new Error(`${headRef} 与 ${this.options.base} 没有共同祖先`);
+    }
+    console.error(`📝 ${headRef} 相对 ${this.options.base} 的 merge-base: ${mergeBase.substring(0, 7)}`);
+
+    const commits = this.getRepository().log([`${mergeBase}..${headSha}`])
+      .flatMap(commit => this.buildCommitEntries(repoRoot, commit));
+
+    const cumulative = this.buildChangeSet(repoRoot, this.listChangedFiles([mergeBase, headSha]));
+
+    return {
+      commits,
+      cumulative: {
+        commitId: `${mergeBase}..${headSha}`,
+        commitHash: `${mergeBase.substring(0, 7)}..${headSha.substring(0, 7)}`,
+        baseRef: this.options.base,
+        headRef,
+        mergeBase,
+        commitCount: new Set(commits.map(commit => commit.commitId)).size,
+        changedFilesCount: cumulative.changedFiles.length,
+        changedFiles: cumulative.changedFiles,
+        changes: cumulative.changes
+      },
+      gitOptions: {
+        base: this.options.base,
+        branch: this.options.branch,
+        mergeBase,
+        mergeMode: this.options.mergeMode
       }
-      repoRoot = path.dirname(repoRoot);
+    };
+  }
+
+  /**
+   * 分析暂存区变更：index 中的内容与 HEAD 比较，即将要提交的内容（供 pre-commit 钩子使用）
+   */
+  async analyzeStagedChanges() {
+    const repoRoot = this.findRepoRoot();
+
+    const entries = this.listChangedFiles(['--cached']);
+    const { changedFiles: frontendFiles, changes } = this.buildChangeSet(repoRoot, entries);
+
+    return {
+      commits: [{
+        commitId: 'staged',
+        changedFilesCount: frontendFiles.length,
+        changedFiles: frontendFiles,
+        changes
+      }],
+      gitOptions: { staged: true }
+    };
+  }
+
+  /**
+   * 获取变更文件列表，开启 -M / -C 以识别重命名与复制
+   * @param {Array<string>} diffArgs git diff 的引用参数，如 ['a', 'b']、['--cached']
+   * @returns {Array} [{ status, path, oldPath, similarity }]（路径相对仓库根目录）
+   */
+  listChangedFiles(diffArgs) {
+    return this.getRepository().diffNameStatus(diffArgs);
+  }
+
+  /**
+   * 过滤前端相关文件，并把仓库相对路径转换为相对于 targetDir 的路径
+   * @returns {{ changedFiles: Array<string>, changes: Array }} changes 保留状态与重命名前的路径
+   */
+  buildChangeSet(repoRoot, entries) {
+    const changes = entries
+      .filter(entry => this.isFrontendFile(entry.path))
+      .map(entry => {
+        const relativePath = this.toTargetRelativePath(repoRoot, entry.path);
+        if (!relativePath) return null;
+        // 从 targetDir 之外移入的文件按新增处理
+        const oldPath = entry.oldPath ? this.toTargetRelativePath(repoRoot, entry.oldPath) : null;
+        return {
+          path: relativePath,
+          status: entry.oldPath && !oldPath ? 'added' : entry.status,
+          oldPath,
+          similarity: oldPath ? entry.similarity : null
+        };
+      })
+      .filter(change => change !== null);
+
+    return { changedFiles: changes.map(change => change.path), changes };
+  }
+
+  /**
+   * 是否为参与变更分析的前端文件
+   */
+  isFrontendFile(file) {
+    return FRONTEND_EXTENSIONS.includes(path.extname(file).toLowerCase()) || file.endsWith('.component.html');
+  }
+
+  /**
+   * 仓库相对路径转换为相对于 targetDir 的路径，不在 targetDir 内时返回 null
+   */
+  toTargetRelativePath(repoRoot, repoRelativePath) {
+    const relativePath = path.relative(this.targetDir, path.join(repoRoot, repoRelativePath));
+    // 只排除真正位于 targetDir 之外的路径，"..foo.js" 之类的文件名仍属于目标目录
+    if (relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath)) {
+      return null;
     }
+    return relativePath.split(path.sep).join('/');
+  }
+
+  /**
+   * 分析特定提交的变更文件，返回完整的文件信息
+   * 每个文件附带该提交的 diff hunk 以及被触及的方法（含变更前后的行范围）
+   */
+  async analyzeChangedFilesForCommit(changedFiles, commitHash, changes = []) {
+    const fileInfos = [];
+    const repoRoot = this.findRepoRoot();
+    const toRepoRelative = file => path.relative(repoRoot, path.join(this.targetDir, file)).split(path.sep).join('/');
+
+    const { beforeRef, afterRef } = this.resolveCommitRefs(commitHash);
     
     for (const file of changedFiles) {
       try {
         // 构建文件在仓库中的完整路径
-        const fullRepoPath = path.join(this.targetDir, file).replace(/\\/g, '/');
-        const repoRelativePath = path.relative(repoRoot, fullRepoPath).replace(/\\/g, '/');
+        const repoRelativePath = toRepoRelative(file);
+        // 重命名/复制的文件，变更前的内容位于原路径
+        const change = changes.find(entry => entry.path === file) || null;
+        const oldRepoRelativePath = change && change.oldPath ? toRepoRelative(change.oldPath) : repoRelativePath;
         
         // 获取该提交中该文件的内容
-        let fileContent = '';
-        try {
-          const showCmd = `git show ${commitHash}:${repoRelativePath}`;
-          fileContent = execSync(showCmd, { 
-            cwd: repoRoot, 
-            encoding: 'utf-8',
-            stdio: ['pipe', 'pipe', 'ignore']
-          });
-        } catch (e) {
-          // 文件可能被删除，跳过
+        const fileContent = this.readFileAtRef(afterRef, repoRelativePath);
+        if (fileContent === null || (change && change.status === 'deleted')) {
+          // 文件被删除，基于父提交中的内容分析
+          const deletedInfo = await this.analyzeDeletedFile(repoRoot, commitHash, beforeRef, repoRelativePath, file);
+          if (deletedInfo) {
+            fileInfos.push(deletedInfo);
+          }
           continue;
         }
         
@@ -1195,6 +1716,30 @@ class FrontendAnalyzer {
         
         // 分析文件内容
         const fileInfo = await this.analyzeFileContent(fileContent, file);
+        if (change) {
+          fileInfo.changeStatus = change.status;
+          if (change.oldPath) {
+            fileInfo.oldPath = change.oldPath;
+            fileInfo.newPath = file;
+            fileInfo.similarity = change.similarity;
+          }
+        }
+
+        // 解析该文件在本次提交中的 diff，并映射到方法
+        const diffContent = this.getFileDiff(repoRoot, commitHash, repoRelativePath, oldRepoRelativePath);
+        const parsedDiff = parseUnifiedDiff(diffContent);
+        const hunks = parsedDiff.flatMap(entry => entry.hunks);
+        if (hunks.length > 0) {
+          const beforeMethods = await this.getMethodsAtRef(repoRoot, beforeRef, oldRepoRelativePath, change && change.oldPath ? change.oldPath : file);
+          const { changedMethods } = mapHunksToMethods(hunks, fileInfo.methods, beforeMethods);
+          fileInfo.hunks = hunks;
+          fileInfo.changedMethods = changedMethods;
+          if (fileInfo.styles) {
+            const beforeContent = this.readFileAtRef(beforeRef, oldRepoRelativePath);
+            fileInfo.changedSelectors = this.mapStyleChanges(fileInfo, hunks, beforeContent);
+          }
+        }
+
         fileInfos.push(fileInfo);
       } catch (error) {
         console.error(`❌ 分析文件失败: ${file}`, error.message);
@@ -1204,6 +1749,368 @@ class FrontendAnalyzer {
     return fileInfos;
   }
 
+  /**
+   * 将样式文件的 diff 映射到选择器 / mixin / 变量，CSS Module 的选择器附带受影响的组件
+   */
+  mapStyleChanges(fileInfo, hunks, beforeContent) {
+    const beforeStyles = beforeContent !== null ? parseStylesheet(beforeContent, fileInfo.oldPath || fileInfo.relativePath) : null;
+    const { changedMethods } = mapHunksToMethods(hunks, toStyleRanges(fileInfo.styles), toStyleRanges(beforeStyles));
+    const usageIndex = fileInfo.styles.isModule ? this.getCssModuleUsageIndex() : null;
+    attachAffectedComponents(fileInfo.styles, fileInfo.relativePath, usageIndex);
+
+    return changedMethods.map(change => {
+      if (change.type !== 'selector') return change;
+      const entry = fileInfo.styles.selectors.find(selector => selector.name === change.name)
+        || (beforeStyles && beforeStyles.selectors.find(selector => selector.name === change.name));
+      const classNames = entry ? entry.classNames : [];
+      return {
+        ...change,
+        classNames,
+        affectedComponents: usageIndex ? findAffectedComponents(classNames, fileInfo.relativePath, usageIndex) : []
+      };
+    });
+  }
+
+  /**
+   * 扫描目标目录中的组件文件，构建 CSS Module 类名引用索引
+   */
+  getCssModuleUsageIndex() {
+    if (!this.cssModuleUsageIndex) {
+      const files = glob.sync('**/*.{js,jsx,ts,tsx,vue,svelte}', {
+        cwd: this.targetDir,
+        ignore: this.options.exclude,
+        maxDepth: this.options.maxDepth
+      });
+      this.cssModuleUsageIndex = buildCssModuleUsageIndex(files.map(file => {
+        try {
+          return { relativePath: file.split(path.sep).join('/'), content: fs.readFileSync(path.join(this.targetDir, file), 'utf-8') };
+        } catch (error) {
+          return { relativePath: file, content: '' };
+        }
+      }));
+    }
+    return this.cssModuleUsageIndex;
+  }
+
+  /**
+   * 分析被删除的文件：内容取自变更前的版本，所有方法记为删除，并列出被移除的导出
+   * @returns {Object|null} 变更前也不存在时返回 null
+   */
+  async analyzeDeletedFile(repoRoot, commitHash, beforeRef, repoRelativePath, file) {
+    const beforeContent = this.readFileAtRef(beforeRef, repoRelativePath);
+    if (beforeContent === null) {
+      return null;
+    }
+
+    const fileInfo = await this.analyzeFileContent(beforeContent, file);
+    fileInfo.changeStatus = 'deleted';
+    fileInfo.removedExports = [...new Set(fileInfo.exports.flatMap(exp => exp.exports))];
+    // 依赖图可用后在 analyzeCommit 中填充
+    fileInfo.danglingImporters = [];
+
+    const hunks = parseUnifiedDiff(this.getFileDiff(repoRoot, commitHash, repoRelativePath)).flatMap(entry => entry.hunks);
+    if (hunks.length > 0) {
+      const { changedMethods } = mapHunksToMethods(hunks, [], fileInfo.methods);
+      fileInfo.hunks = hunks;
+      fileInfo.changedMethods = changedMethods;
+    }
+
+    return fileInfo;
+  }
+
+  /**
+   * 查找删除文件后仍引用它的文件：变更前依赖它、变更后仍存在且仍有指向它的导入语句
+   * @returns {Array} [{ file, specifiers }]
+   */
+  findDanglingImporters(repoRoot, afterRef, deletedFile, beforeGraph = {}, renames = {}) {
+    const importers = Object.keys(beforeGraph).filter(file => (beforeGraph[file] || []).includes(deletedFile));
+    const dangling = [];
+
+    importers.forEach(importer => {
+      const currentPath = renames[importer] || importer;
+      const repoRelativePath = path.relative(repoRoot, path.join(this.targetDir, currentPath)).split(path.sep).join('/');
+      const content = this.readFileAtRef(afterRef, repoRelativePath);
+      if (content === null) return;
+
+      const specifiers = [];
+      const importRegex = /(?:from\s+|import\s*\(\s*|require\s*\(\s*|import\s+)['"]([^'"]+)['"]/g;
+      let match;
+      while ((match = importRegex.exec(content)) !== null) {
+        if (this.specifierTargetsFile(currentPath, match[1], deletedFile)) {
+          specifiers.push(match[1]);
+        }
+      }
+      if (specifiers.length > 0) {
+        dangling.push({ file: currentPath, specifiers: [...new Set(specifiers)] });
+      }
+    });
+
+    return dangling;
+  }
+
+  /**
+   * 判断相对导入说明符是否指向目标文件（按常见扩展名与 index 文件补全）
+   */
+  specifierTargetsFile(importerPath, specifier, targetFile) {
+    if (!specifier.startsWith('.')) return false;
+    const base = path.posix.join(path.posix.dirname(importerPath), specifier);
+    const extensions = ['', '.ts', '.tsx', '.js', '.jsx', '.vue'];
+    return extensions.some(ext => base + ext === targetFile) ||
+      extensions.slice(1).some(ext => path.posix.join(base, `index${ext}`) === targetFile);
+  }
+
+  /**
+   * 使用 FFIS 模型为文件打分，返回附带评分字段的文件列表（保持原有顺序）
+   * @param {Array} files 文件信息列表
+   * @param {Object} dependencyGraph madge 依赖图
+   * @param {Array} classifications 变更分类结果
+   * @param {Array} [snapshots] 组件快照（filePath 为相对路径），缺省时从文件内容提取
+   */
+  scoreFilesWithFFIS(files, dependencyGraph = {}, classifications = [], snapshots = null) {
+    const componentSnapshots = snapshots || files.flatMap(file =>
+      extractSnapshotsForFile(file.relativePath, file.content || '')
+    );
+    const scoredFiles = FFISScorer.calculateBatchFFIS(files, dependencyGraph, componentSnapshots, classifications);
+    const scoreMap = new Map(scoredFiles.map(file => [file.relativePath, file]));
+
+    return files.map(file => {
+      const scored = scoreMap.get(file.relativePath);
+      if (!scored) return file;
+      return {
+        ...file,
+        ffis: scored.ffis,
+        importanceLevel: scored.importanceLevel,
+        importanceStars: scored.importanceStars,
+        ffisBreakdown: scored.ffisBreakdown
+      };
+    });
+  }
+
+  /**
+   * 汇总文件级 FFIS 评分，字段与数据库 file_metrics 表保持一致（ffis_score 为 0-100）
+   * 同一文件出现多次时保留第一次（即最新提交）的评分，结果按评分降序排列，供热点排名使用
+   * 写入 file_metrics 由插件源码（DiffSense 主仓库）负责，本仓库只输出该列表
+   */
+  buildFileMetrics(files) {
+    const metrics = new Map();
+    files.forEach(file => {
+      if (typeof file.ffis !== 'number' || metrics.has(file.relativePath)) return;
+      metrics.set(file.relativePath, {
+        path: file.relativePath,
+        ffis_score: Math.round(file.ffis * 100),
+        importance_level: file.importanceLevel
+      });
+    });
+    return [...metrics.values()].sort((a, b) => b.ffis_score - a.ffis_score);
+  }
+
+  /**
+   * 使用细粒度分析器识别提交中每个文件的具体修改类型
+   * 有 diff 时仅分析被触及的方法，否则只做文件类型层面的判断
+   * @param {Array} [scopes] 与 files 一一对应的分类范围，其中的 AST 事实用于自定义规则匹配
+   * @returns {Object} { modifications, errors }，errors 为分析失败的文件 [{ file, code, message }]
+   */
+  analyzeGranularChanges(files, scopes = []) {
+    const modifications = [];
+    const errors = [];
+
+    for (const [index, file] of files.entries()) {
+      const hasHunks = Array.isArray(file.hunks) && file.hunks.length > 0;
+      const scoped = buildChangeScope(file);
+      const result = this.granularAnalyzer.analyzeFileChanges(
+        file.relativePath,
+        hasHunks ? scoped.methods : [],
+        hasHunks ? formatHunks(file.hunks) : '',
+        scoped.content || '',
+        scopes[index] ? scopes[index].astFacts : null
+      );
+
+      // 分析失败时返回的是错误处理器记录过的错误对象，记入结果以区分"没有修改项"
+      if (Array.isArray(result)) {
+        modifications.push(...result);
+      } else {
+        errors.push({ file: file.relativePath, code: result.code, message: result.message });
+      }
+    }
+
+    return { modifications, errors };
+  }
+
+  /**
+   * 沿反向依赖图查找直接或间接导入变更文件的模块与组件
+   * @param {Array} files 变更文件信息列表
+   * @param {Object} dependencyGraph madge 依赖图
+   * @param {string} repoRoot git 仓库根目录
+   * @param {string} afterRef 依赖图对应的引用，组件判断读取该引用处的文件内容
+   * @returns {Array} [{ file, depth, via, type, framework }]
+   */
+  findImpactedBy(files, dependencyGraph = {}, repoRoot = this.findRepoRoot(), afterRef = WORKTREE_REF) {
+    const changedFiles = files.map(file => file.relativePath);
+
+    return findImpactedModules(dependencyGraph, changedFiles, {
+      maxDepth: this.options.impactDepth,
+      // .js/.ts 文件需要看内容才能判断是否为 React / Angular 组件
+      isComponent: relativePath => {
+        try {
+          const repoRelativePath = path.relative(repoRoot, path.join(this.targetDir, relativePath)).split(path.sep).join('/');
+          const content = this.readFileAtRef(afterRef, repoRelativePath);
+          if (content === null) return false;
+          const snapshots = extractSnapshotsForFile(relativePath, content);
+          return snapshots.length > 0 ? snapshots[0].framework : false;
+        } catch (error) {
+          return false;
+        }
+      }
+    });
+  }
+
+  /**
+   * 获取目标目录所在的 git 仓库（支持 worktree 与 submodule）
+   */
+  getRepository() {
+    if (!this.repository) {
+      this.repository = GitRepository.discover(this.targetDir);
+      if (!this.repository) {
+        console.error(`❌ 未找到Git仓库（从 ${this.targetDir} 向上查找）`);
+        throw new Error(`未找到Git仓库，请确保在Git仓库目录中运行分析`);
+      }
+    }
+    return this.repository;
+  }
+
+  /**
+   * git 仓库根目录
+   */
+  findRepoRoot() {
+    return this.getRepository().root;
+  }
+
+  /**
+   * 将引用解析为提交 sha，无法解析时返回 null
+   */
+  resolveRef(ref) {
+    return this.getRepository().resolveRef(ref);
+  }
+
+  /**
+   * 将提交标识解析为变更前后的 git 引用
+   * 支持单个提交（与父提交比较）和 start..end 范围
+   */
+  resolveCommitRefs(commitHash) {
+    if (commitHash === 'staged') {
+      return { beforeRef: 'HEAD', afterRef: INDEX_REF };
+    }
+    if (commitHash === 'working-tree') {
+      return { beforeRef: 'HEAD', afterRef: WORKTREE_REF };
+    }
+    if (commitHash && commitHash.includes('..')) {
+      const [startRef, endRef] = commitHash.split('..');
+      return { beforeRef: startRef, afterRef: endRef };
+    }
+    return { beforeRef: `${commitHash}^`, afterRef: commitHash };
+  }
+
+  /**
+   * 获取单个文件在提交中的 unified diff（不带上下文行）
+   */
+  getFileDiff(repoRoot, commitHash, repoRelativePath, oldRepoRelativePath = repoRelativePath) {
+    // 重命名/复制时同时限定新旧路径，配合 -M / -C 得到相对原文件的 diff
+    const repo = this.getRepository();
+    const pathspec = oldRepoRelativePath !== repoRelativePath
+      ? [oldRepoRelativePath, repoRelativePath]
+      : [repoRelativePath];
+    const diffOptions = ['-M', '-C', '--unified=0', '--no-color'];
+
+    try {
+      if (commitHash === 'staged') {
+        return repo.diff(['--cached', ...diffOptions], pathspec);
+      }
+      if (commitHash === 'working-tree') {
+        if (!this.isTracked(repoRelativePath) && fs.existsSync(path.join(repoRoot, repoRelativePath))) {
+          // 未跟踪文件整体视为新增
+          return repo.diff(['--no-index', '--unified=0', '--no-color'], ['/dev/null', repoRelativePath]);
+        }
+        return repo.diff([this.resolveRef('HEAD') ? 'HEAD' : '--cached', ...diffOptions], pathspec);
+      }
+      if (commitHash && commitHash.includes('..')) {
+        const { beforeRef, afterRef } = this.resolveCommitRefs(commitHash);
+        return repo.diff([...diffOptions, beforeRef, afterRef], pathspec);
+      }
+      // git show 可同时处理初始提交（无父提交）的情况
+      return repo.showCommitDiff(commitHash, diffOptions, pathspec);
+    } catch (error) {
+      console.error(`⚠️  获取diff失败 ${repoRelativePath}: ${error.message}`);
+      return '';
+    }
+  }
+
+  /**
+   * 读取文件在指定引用处的内容，支持暂存区与工作区伪引用；文件不存在时返回 null
+   */
+  readFileAtRef(ref, repoRelativePath) {
+    const repo = this.getRepository();
+    if (ref === WORKTREE_REF) {
+      try {
+        return fs.readFileSync(path.join(repo.root, repoRelativePath), 'utf-8');
+      } catch (error) {
+        return null;
+      }
+    }
+    return repo.show(ref === INDEX_REF ? null : ref, repoRelativePath);
+  }
+
+  /**
+   * 判断文件是否已被 git 跟踪
+   */
+  isTracked(repoRelativePath) {
+    return this.getRepository().isTracked(repoRelativePath);
+  }
+
+  /**
+   * 汇总提交结果中的高风险变更：FFIS 达到阈值的文件，以及新增的循环依赖
+   * 阈值默认为 FFIS 核心文件等级的下限 FFIS_CORE_THRESHOLD，可通过 --risk-threshold 指定
+   */
+  assessRisk(commitResults = []) {
+    const threshold = Number.isFinite(this.options.riskThreshold) ? this.options.riskThreshold : AnalysisThresholds.FFIS_CORE_THRESHOLD;
+    const highRiskFiles = [];
+    const seen = new Set();
+
+    commitResults.forEach(commit => {
+      (commit.files || []).forEach(file => {
+        if (typeof file.ffis !== 'number' || file.ffis < threshold || seen.has(file.relativePath)) return;
+        seen.add(file.relativePath);
+        highRiskFiles.push({
+          path: file.relativePath,
+          commitId: commit.commitId,
+          ffis: file.ffis,
+          importanceLevel: file.importanceLevel
+        });
+      });
+    });
+
+    const newCircular = commitResults.flatMap(commit => commit.dependencyChanges?.newCircular || []);
+
+    return {
+      threshold,
+      highRiskFiles: highRiskFiles.sort((a, b) => b.ffis - a.ffis),
+      newCircular,
+      isHighRisk: highRiskFiles.length > 0 || newCircular.length > 0
+    };
+  }
+
+  /**
+   * 获取文件在指定引用处的方法列表，文件不存在时返回空数组
+   */
+  async getMethodsAtRef(repoRoot, ref, repoRelativePath, relativePath) {
+    const content = this.readFileAtRef(ref, repoRelativePath);
+    if (content === null) {
+      // 新增文件或初始提交
+      return [];
+    }
+    const beforeInfo = await this.analyzeFileContent(content, relativePath);
+    return beforeInfo.methods;
+  }
+
   /**
    * 分析文件内容（不依赖文件系统）
    */
@@ -1222,19 +2129,24 @@ class FrontendAnalyzer {
     };
 
     try {
-      if (ext === '.ts' || ext === '.tsx') {
-        // TypeScript分析
-        if (!this.project) {
-          this.project = new Project({
-            tsConfigFilePath: this.findTsConfig(),
-            skipAddingFilesFromTsConfig: true
-          });
+      if (!this.project) {
+        this.project = this.createProject();
+      }
+      if (ext === '.vue') {
+        this.analyzeVueFile(path.join(this.targetDir, relativePath), content, fileInfo);
+      } else if (ext === '.svelte') {
+        this.analyzeSvelteFile(path.join(this.targetDir, relativePath), content, fileInfo);
+      } else if (isStyleFile(relativePath)) {
+        this.analyzeStyleFile(relativePath, content, fileInfo);
+      } else if (['.js', '.jsx', '.ts', '.tsx'].includes(ext)) {
+        const sourceFile = this.project.createSourceFile(path.join(this.targetDir, relativePath), content, { overwrite: true });
+        if (ext === '.js' || ext === '.jsx') {
+          // JavaScript分析（allowJs）
+          this.analyzeJavaScriptFile(sourceFile, fileInfo);
+        } else {
+          // TypeScript分析
+          this.analyzeTypeScriptFile(sourceFile, fileInfo);
         }
-        const sourceFile = this.project.createSourceFile(relativePath, content, { overwrite: true });
-        this.analyzeTypeScriptFile(sourceFile, fileInfo);
-      } else if (ext === '.js' || ext === '.jsx') {
-        // JavaScript分析
-        this.analyzeJavaScriptFile(content, fileInfo);
       }
     } catch (error) {
       console.error(`解析文件失败 ${relativePath}:`, error.message);
@@ -1276,6 +2188,15 @@ function parseArgs() {
     if (arg === '--max-depth' && args[i + 1]) {
       options.maxDepth = parseInt(args[i + 1], 10) || 15;
       i++;
+    } else if (arg === '--impact-depth' && args[i + 1]) {
+      // 0 表示不做反向依赖传播
+      const impactDepth = Number(args[i + 1]);
+      if (!Number.isInteger(impactDepth) || impactDepth < 0) {
+        console.error(`❌ --impact-depth 必须是非负整数: ${args[i + 1]}`);
+        process.exit(1);
+      }
+      options.impactDepth = impactDepth;
+      i++;
     } else if (arg === '--branch' && args[i + 1]) {
       options.branch = args[i + 1];
       console.error(`✅ 解析到 --branch: ${args[i + 1]}`);
@@ -1296,6 +2217,31 @@ function parseArgs() {
     } else if (arg === '--end-commit' && args[i + 1]) {
       options.endCommit = args[i + 1];
       i++;
+    } else if (arg === '--base' && args[i + 1]) {
+      options.base = args[i + 1];
+      i++;
+    } else if (arg === '--merge-mode' && args[i + 1]) {
+      options.mergeMode = args[i + 1];
+      i++;
+    } else if (arg === '--config' && args[i + 1]) {
+      options.configPath = args[i + 1];
+      i++;
+    } else if (arg === '--explain') {
+      options.explain = true;
+    } else if (arg === '--staged') {
+      options.staged = true;
+    } else if (arg === '--worktree') {
+      options.worktree = true;
+    } else if (arg === '--fail-on-high-risk') {
+      options.failOnHighRisk = true;
+    } else if (arg === '--risk-threshold' && args[i + 1]) {
+      const riskThreshold = parseFloat(args[i + 1]);
+      options.riskThreshold = Number.isFinite(riskThreshold) ? riskThreshold : AnalysisThresholds.FFIS_CORE_THRESHOLD;
+      i++;
+    } else if (arg === '--circular-diff') {
+      options.circularDiff = true;
+    } else if (arg === '--fail-on-new-cycles') {
+      options.failOnNewCycles = true;
     } else if (arg === '--enable-microservice-detection' && args[i + 1]) {
       options.enableMicroserviceDetection = args[i + 1] === 'true';
       i++;
@@ -1312,6 +2258,23 @@ function parseArgs() {
   return options;
 }
 
+/**
+ * 输出每个分类文件的评分过程（--explain 的文本格式）
+ */
+function printExplanations(result) {
+  const groups = result.commits && result.commits.length > 0
+    ? result.commits.map(commit => ({ title: `提交 ${commit.commitHash || commit.commitId}`, classifications: commit.changeClassifications || [] }))
+    : [{ title: null, classifications: result.changeClassifications || [] }];
+
+  console.log('🔎 分类解释:');
+  groups.forEach(group => {
+    if (group.title) {
+      console.log(group.title);
+    }
+    group.classifications.forEach(entry => console.log(FrontendChangeClassifier.formatExplanation(entry)));
+  });
+}
+
 // 命令行调用
 async function main() {
   const parsedOptions = parseArgs();
@@ -1322,6 +2285,11 @@ async function main() {
     // 构建分析器选项
     const analyzerOptions = {
       maxDepth: parsedOptions.maxDepth,
+      impactDepth: parsedOptions.impactDepth,
+      mergeMode: parsedOptions.mergeMode,
+      configPath: parsedOptions.configPath,
+      explain: parsedOptions.explain,
+      riskThreshold: parsedOptions.riskThreshold,
       enableMicroserviceDetection: parsedOptions.enableMicroserviceDetection,
       enableBuildToolDetection: parsedOptions.enableBuildToolDetection,
       enableFrameworkDetection: parsedOptions.enableFrameworkDetection
@@ -1329,8 +2297,12 @@ async function main() {
 
     // 如果提供了Git相关参数，启用Git分析
     if (parsedOptions.branch || parsedOptions.commits || parsedOptions.since || 
-        parsedOptions.until || parsedOptions.startCommit || parsedOptions.endCommit) {
+        parsedOptions.until || parsedOptions.startCommit || parsedOptions.endCommit ||
+        parsedOptions.staged || parsedOptions.worktree || parsedOptions.base) {
       analyzerOptions.enableGitAnalysis = true;
+      analyzerOptions.base = parsedOptions.base;
+      analyzerOptions.staged = parsedOptions.staged;
+      analyzerOptions.worktree = parsedOptions.worktree;
       analyzerOptions.branch = parsedOptions.branch;
       analyzerOptions.commits = parsedOptions.commits;
       analyzerOptions.since = parsedOptions.since;
@@ -1342,6 +2314,32 @@ async function main() {
       console.error(`⚠️  未检测到Git参数，跳过Git分析`);
     }
 
+    // 循环依赖对比模式：只比较 --start-commit 与 --end-commit 之间新增/消除的循环
+    if (parsedOptions.circularDiff) {
+      if (!parsedOptions.startCommit) {
+        throw new Error('--circular-diff 需要通过 --start-commit 指定基准引用');
+      }
+      const analyzer = new FrontendAnalyzer(targetDir, analyzerOptions);
+      const circularResult = await analyzer.analyzeCircularDiff(parsedOptions.startCommit, parsedOptions.endCommit || 'HEAD');
+
+      if (outputFormat === 'json') {
+        console.log(JSON.stringify(circularResult, null, 2));
+      } else {
+        console.log('🔁 循环依赖对比完成!');
+        console.log(`新增循环: ${circularResult.stats.introducedCount}`);
+        circularResult.introduced.forEach(cycle => console.log(`  + ${cycle.join(' -> ')}`));
+        console.log(`消除循环: ${circularResult.stats.resolvedCount}`);
+        circularResult.resolved.forEach(cycle => console.log(`  - ${cycle.join(' -> ')}`));
+      }
+
+      // 退出码 2 表示发现阻断性问题（区别于分析失败的 1）
+      if (parsedOptions.failOnNewCycles && circularResult.introduced.length > 0) {
+        console.error(`❌ 变更引入了 ${circularResult.introduced.length} 个新的循环依赖`);
+        process.exitCode = 2;
+      }
+      return;
+    }
+
     const analyzer = new FrontendAnalyzer(targetDir, analyzerOptions);
     const result = await analyzer.analyze();
 
@@ -1360,11 +2358,28 @@ async function main() {
       if (result.summary.totalDependencies !== undefined) {
         console.log(`依赖数: ${result.summary.totalDependencies}`);
       }
+      if (result.riskAssessment) {
+        console.log(`高风险文件: ${result.riskAssessment.highRiskFiles.length}`);
+        result.riskAssessment.highRiskFiles.forEach(file => console.log(`  ! ${file.path} (FFIS ${file.ffis.toFixed(2)})`));
+      }
+      if (parsedOptions.explain) {
+        printExplanations(result);
+      }
       if (result.errors && result.errors.length > 0) {
         console.log(`警告: ${result.errors.length} 个错误`);
       }
     }
 
+    // 钩子退出码约定：0 无阻断问题，1 分析失败，2 发现高风险变更
+    if (parsedOptions.failOnHighRisk) {
+      if (result.gitChanges && result.gitChanges.error) {
+        process.exitCode = 1;
+      } else if (result.riskAssessment && result.riskAssessment.isHighRisk) {
+        console.error(`❌ 发现高风险前端变更: ${result.riskAssessment.highRiskFiles.map(file => file.path).join(', ') || '新增循环依赖'}`);
+        process.exitCode = 2;
+      }
+    }
+
   } catch (error) {
     console.error('分析失败:', error.message);
     if (error.stack) {
@@ -1383,6 +2398,7 @@ async function main() {
         componentSnapshots: [],
         changeClassifications: [],
         classificationSummary: {},
+        fileMetrics: [],
         errors: [error.message]
       };
       console.log(JSON.stringify(errorResult, null, 2));
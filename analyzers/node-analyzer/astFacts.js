@@ -0,0 +1,564 @@
+/*
+ * AST Facts
+ * 从组件 / 模块源码中提取结构化事实：Hook 调用、生命周期、JSX 属性、模板指令、
+ * 路由 / 状态管理 / 国际化导入等。每条事实带有触发它的行号与源码行，
+ * 注释、字符串和无关标识符不会产生事实
+ */
+
+const path = require('path');
+const { parse: parseJs } = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const { parse: parseSfc } = require('@vue/compiler-sfc');
+const { createFacts, filterFactsByLines, mergeFacts } = require('../shared/facts');
+
+// 导入来源分类
+const MODULE_KINDS = {
+  router: [/^react-router(-dom)?$/, /^vue-router$/, /^@angular\/router$/, /^next\/(router|navigation)$/,
+    /^@tanstack\/(react-|vue-)?router$/, /^svelte-spa-router$/, /^\$app\/navigation$/, /^@remix-run\/react$/],
+  store: [/^redux$/, /^@reduxjs\/toolkit/, /^react-redux$/, /^mobx(-react(-lite)?)?$/, /^zustand/, /^vuex$/,
+    /^pinia$/, /^@ngrx\//, /^recoil$/, /^jotai/, /^svelte\/store$/],
+  i18n: [/^i18next$/, /^react-i18next$/, /^next-i18next$/, /^vue-i18n$/, /^@ngx-translate\//, /^svelte-i18n$/, /^react-intl$/],
+  style: [/\.(css|scss|sass|less)(\?.*)?$/, /^styled-components$/, /^@emotion\//]
+};
+
+const CSS_MODULE_SOURCE = /\.module\.(css|scss|sass|less)$/;
+
+// 生命周期：按框架区分，组合式 / Svelte 的写法需从对应包导入才算数
+const VUE_LIFECYCLE_CALLS = ['onBeforeMount', 'onMounted', 'onBeforeUpdate', 'onUpdated', 'onBeforeUnmount', 'onUnmounted', 'onActivated', 'onDeactivated', 'onErrorCaptured'];
+const VUE_LIFECYCLE_OPTIONS = ['beforeCreate', 'created', 'beforeMount', 'mounted', 'beforeUpdate', 'updated', 'beforeDestroy', 'destroyed', 'beforeUnmount', 'unmounted', 'activated', 'deactivated'];
+const SVELTE_LIFECYCLE_CALLS = ['onMount', 'onDestroy', 'beforeUpdate', 'afterUpdate'];
+const REACT_LIFECYCLE_METHODS = ['componentDidMount', 'componentDidUpdate', 'componentWillUnmount', 'shouldComponentUpdate', 'getDerivedStateFromProps', 'componentDidCatch'];
+const ANGULAR_LIFECYCLE_METHODS = ['ngOnInit', 'ngOnChanges', 'ngDoCheck', 'ngAfterContentInit', 'ngAfterContentChecked', 'ngAfterViewInit', 'ngAfterViewChecked', 'ngOnDestroy'];
+
+// 状态声明 / 更新：Vue 与 Angular 的写法同样需从对应包导入
+const STATE_CALLS = { vue: ['ref', 'reactive', 'shallowRef', 'computed'], '@angular/core': ['signal', 'computed'] };
+const SVELTE_RUNES = { state: ['$state', '$derived'], effect: ['$effect'] };
+
+const SOURCE_MAX_LENGTH = 200;
+
+function moduleKind(source) {
+  return Object.keys(MODULE_KINDS).find(kind => MODULE_KINDS[kind].some(pattern => pattern.test(source))) || null;
+}
+
+/**
+ * 事实收集器：记录事实时补上源码行
+ */
+class FactCollector {
+  constructor(content) {
+    this.lines = content.split('\n');
+    this.facts = createFacts();
+  }
+
+  add(type, line, data) {
+    const text = (this.lines[line - 1] || '').trim();
+    this.facts[type].push({ ...data, line, source: text.length > SOURCE_MAX_LENGTH ? text.substring(0, SOURCE_MAX_LENGTH) : text });
+  }
+
+  /** 计算 markup 中某偏移量所在的行号：行首偏移量按 text 计算一次后二分查找 */
+  lineAt(text, index, startLine) {
+    if (this.lineStartsText !== text) {
+      this.lineStartsText = text;
+      this.lineStarts = [0];
+      for (let i = 0; i < text.length; i++) {
+        if (text.charCodeAt(i) === 10) this.lineStarts.push(i + 1);
+      }
+    }
+
+    // 最后一个不大于 index 的行首即所在行
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.lineStarts[mid] <= index) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return startLine + low;
+  }
+}
+
+/** 取被调用 / 被引用表达式的名称，如 save、this.save、obj.save 均返回 save */
+function _referencedName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+    return node.property && node.property.type === 'Identifier' ? node.property.name : null;
+  }
+  if (node.type === 'CallExpression' || node.type === 'OptionalCallExpression') return _referencedName(node.callee);
+  if (node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression') {
+    const body = node.body.type === 'BlockStatement'
+      ? (node.body.body.length === 1 && node.body.body[0].type === 'ExpressionStatement' ? node.body.body[0].expression : null)
+      : node.body;
+    return body && (body.type === 'CallExpression' || body.type === 'OptionalCallExpression') ? _referencedName(body.callee) : null;
+  }
+  return null;
+}
+
+/** 从模板表达式文本中取处理函数名：save / save($event) / () => save() / this.save */
+function _handlerFromExpression(expression = '') {
+  const match = expression.trim().match(/^(?:\(?[\w$,\s]*\)?\s*=>\s*)?(?:this\.)?([A-Za-z_$][\w$]*)\s*(?:\(|$)/);
+  return match ? match[1] : null;
+}
+
+function _calleeText(callee) {
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression' && !callee.computed && callee.property.type === 'Identifier') {
+    const object = callee.object.type === 'Identifier' ? callee.object.name
+      : callee.object.type === 'ThisExpression' ? 'this' : null;
+    return object ? `${object}.${callee.property.name}` : callee.property.name;
+  }
+  return null;
+}
+
+function _jsxName(name) {
+  if (!name) return '';
+  if (name.type === 'JSXIdentifier') return name.name;
+  if (name.type === 'JSXMemberExpression') return `${_jsxName(name.object)}.${_jsxName(name.property)}`;
+  if (name.type === 'JSXNamespacedName') return `${name.namespace.name}:${name.name.name}`;
+  return '';
+}
+
+function _babelPlugins(ext) {
+  if (ext === '.ts') return ['typescript', 'decorators-legacy'];
+  if (ext === '.tsx') return ['typescript', 'jsx', 'decorators-legacy'];
+  return ['jsx', 'decorators-legacy'];
+}
+
+/**
+ * 解析脚本并收集事实
+ * @param {string} code 脚本内容
+ * @param {number} startLine 脚本在文件中的起始行（SFC 的 script 块）
+ * @param {string} ext 决定语法插件的扩展名
+ * @param {string} framework 所在文件的框架（用于 Svelte 响应式语句与 rune）
+ */
+function collectScriptFacts(collector, code, startLine, ext, framework) {
+  let ast;
+  try {
+    ast = parseJs(code, {
+      sourceType: 'module',
+      startLine,
+      errorRecovery: true,
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      plugins: _babelPlugins(ext)
+    });
+  } catch (error) {
+    collector.facts.parseErrors.push({ message: error.message, line: error.loc ? error.loc.line : startLine });
+    return;
+  }
+  (ast.errors || []).forEach(error => {
+    collector.facts.parseErrors.push({ message: error.message, line: error.loc ? error.loc.line : startLine });
+  });
+
+  // 导入绑定：本地名 -> 来源，用于判断调用是否来自 vue / svelte / 国际化库等
+  const importedFrom = new Map();
+  const i18nBindings = new Set();
+  // const [value, setValue] = useState() 中的 setter
+  const stateSetters = new Set();
+  const cssModuleBindings = new Set();
+  const styledBindings = new Set();
+
+  const recordImport = (source, names, line) => {
+    const kind = moduleKind(source);
+    collector.add('imports', line, { name: source, kind, specifiers: names });
+    names.forEach(name => importedFrom.set(name, source));
+    if (kind === 'i18n') names.forEach(name => i18nBindings.add(name));
+    if (CSS_MODULE_SOURCE.test(source)) names.forEach(name => cssModuleBindings.add(name));
+    if (/^styled-components$|^@emotion\//.test(source)) names.forEach(name => styledBindings.add(name));
+  };
+
+  ast.program.body.forEach(statement => {
+    if (statement.type === 'ImportDeclaration') {
+      recordImport(statement.source.value, statement.specifiers.map(specifier => specifier.local.name), statement.loc.start.line);
+    }
+  });
+
+  const fromPackage = (name, pkg) => importedFrom.get(name) === pkg;
+
+  try {
+    traverse(ast, {
+      noScope: true,
+      CallExpression(nodePath) {
+        const { node } = nodePath;
+        const line = node.loc.start.line;
+        const callee = node.callee;
+        const calleeName = _calleeText(callee);
+
+        // require('x') / import('x')
+        if ((callee.type === 'Identifier' && callee.name === 'require') || callee.type === 'Import') {
+          const [arg] = node.arguments;
+          if (arg && arg.type === 'StringLiteral') {
+            const parent = nodePath.parent;
+            const names = parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier' ? [parent.id.name] : [];
+            recordImport(arg.value, names, line);
+          }
+          return;
+        }
+        if (!calleeName) return;
+        const shortName = calleeName.includes('.') ? calleeName.split('.').pop() : calleeName;
+
+        // Hook 调用：useXxx() 或 React.useXxx()，module 为其导入来源的分类（router / store / i18n）
+        if (/^use[A-Z0-9]/.test(shortName)) {
+          const hookSource = importedFrom.get(calleeName.split('.')[0]);
+          collector.add('hookCalls', line, { name: shortName, module: hookSource ? moduleKind(hookSource) : null });
+          if (['useState', 'useReducer'].includes(shortName)) {
+            collector.add('stateUpdates', line, { name: shortName });
+            const id = nodePath.parent.type === 'VariableDeclarator' ? nodePath.parent.id : null;
+            if (id && id.type === 'ArrayPattern' && id.elements[1] && id.elements[1].type === 'Identifier') {
+              stateSetters.add(id.elements[1].name);
+            }
+          }
+          // const { t } = useTranslation() / useI18n()
+          if (['useTranslation', 'useI18n', 'useIntl'].includes(shortName) && nodePath.parent.type === 'VariableDeclarator') {
+            const id = nodePath.parent.id;
+            if (id.type === 'ObjectPattern') {
+              id.properties.forEach(prop => prop.value && prop.value.type === 'Identifier' && i18nBindings.add(prop.value.name));
+            } else if (id.type === 'Identifier') {
+              i18nBindings.add(id.name);
+            }
+          }
+        }
+
+        if ((VUE_LIFECYCLE_CALLS.includes(calleeName) && fromPackage(calleeName, 'vue'))) {
+          collector.add('lifecycle', line, { name: calleeName, framework: 'vue' });
+        } else if (SVELTE_LIFECYCLE_CALLS.includes(calleeName) && fromPackage(calleeName, 'svelte')) {
+          collector.add('lifecycle', line, { name: calleeName, framework: 'svelte' });
+        } else if (framework === 'svelte' && SVELTE_RUNES.effect.includes(calleeName.split('.')[0])) {
+          collector.add('lifecycle', line, { name: calleeName, framework: 'svelte' });
+        }
+
+        if (calleeName === 'this.setState' || stateSetters.has(calleeName)
+          || (framework === 'svelte' && SVELTE_RUNES.state.includes(calleeName))
+          || Object.keys(STATE_CALLS).some(pkg => STATE_CALLS[pkg].includes(calleeName) && fromPackage(calleeName, pkg))) {
+          collector.add('stateUpdates', line, { name: calleeName });
+        }
+
+        if (shortName === 'then' && callee.type === 'MemberExpression') {
+          collector.add('asyncOps', line, { name: '.then' });
+        }
+        if (shortName === 'addEventListener' || shortName === 'removeEventListener') {
+          collector.add('domEvents', line, { name: shortName });
+        }
+
+        // 国际化调用：t() / $t() / i18n.t() / intl.formatMessage()
+        const root = calleeName.split('.')[0];
+        if ((callee.type === 'Identifier' && (i18nBindings.has(calleeName) || calleeName === '$t') && !/^use[A-Z]/.test(calleeName))
+          || (callee.type === 'MemberExpression' && i18nBindings.has(root) && ['t', 'formatMessage'].includes(shortName))) {
+          collector.add('i18nCalls', line, { name: calleeName });
+        }
+
+        // styled(Button)`...` 由 TaggedTemplateExpression 处理，这里只处理 css() / styled.div() 的对象写法
+        if (styledBindings.has(root) && nodePath.parent.type !== 'TaggedTemplateExpression') {
+          collector.add('inlineStyles', line, { name: calleeName });
+        }
+      },
+      NewExpression(nodePath) {
+        const { node } = nodePath;
+        if (node.callee.type === 'Identifier' && node.callee.name === 'Promise') {
+          collector.add('asyncOps', node.loc.start.line, { name: 'new Promise' });
+        }
+      },
+      AwaitExpression(nodePath) {
+        collector.add('asyncOps', nodePath.node.loc.start.line, { name: 'await' });
+      },
+      Function(nodePath) {
+        if (nodePath.node.async) {
+          collector.add('asyncOps', nodePath.node.loc.start.line, { name: 'async' });
+        }
+      },
+      TaggedTemplateExpression(nodePath) {
+        const { node } = nodePath;
+        let tag = node.tag;
+        while (tag.type === 'MemberExpression' || tag.type === 'CallExpression') {
+          tag = tag.type === 'MemberExpression' ? tag.object : tag.callee;
+        }
+        if (tag.type === 'Identifier' && styledBindings.has(tag.name)) {
+          collector.add('inlineStyles', node.loc.start.line, { name: tag.name });
+        }
+      },
+      MemberExpression(nodePath) {
+        const { node } = nodePath;
+        const line = node.loc.start.line;
+        // process.env.X / import.meta.env.X
+        const object = node.object;
+        if (object.type === 'MemberExpression' && !object.computed && object.property.name === 'env'
+          && ((object.object.type === 'Identifier' && object.object.name === 'process') || object.object.type === 'MetaProperty')) {
+          const key = node.computed ? (node.property.value || '') : node.property.name;
+          collector.add('envAccess', line, { name: `${object.object.type === 'MetaProperty' ? 'import.meta' : 'process'}.env.${key}` });
+        }
+        // styles.foo / styles['foo']（styles 来自 CSS Module）
+        if (object.type === 'Identifier' && cssModuleBindings.has(object.name)) {
+          const key = node.computed ? node.property.value : node.property.name;
+          if (key) collector.add('styleRefs', line, { name: `${object.name}.${key}` });
+        }
+      },
+      ObjectMethod(nodePath) {
+        _collectVueOption(collector, nodePath);
+      },
+      ObjectProperty(nodePath) {
+        if (['FunctionExpression', 'ArrowFunctionExpression'].includes(nodePath.node.value.type)) {
+          _collectVueOption(collector, nodePath);
+        }
+      },
+      ClassMethod(nodePath) {
+        const { node } = nodePath;
+        if (node.key.type !== 'Identifier') return;
+        if (REACT_LIFECYCLE_METHODS.includes(node.key.name)) {
+          collector.add('lifecycle', node.loc.start.line, { name: node.key.name, framework: 'react' });
+        } else if (ANGULAR_LIFECYCLE_METHODS.includes(node.key.name)) {
+          collector.add('lifecycle', node.loc.start.line, { name: node.key.name, framework: 'angular' });
+        }
+      },
+      Decorator(nodePath) {
+        const { node } = nodePath;
+        const expression = node.expression.type === 'CallExpression' ? node.expression.callee : node.expression;
+        if (expression.type !== 'Identifier') return;
+        collector.add('decorators', node.loc.start.line, { name: expression.name });
+        // @HostListener('click') / @Output() 视为事件
+        if (expression.name === 'HostListener') {
+          const [arg] = node.expression.arguments || [];
+          const member = nodePath.parentPath.node;
+          collector.add('events', node.loc.start.line, {
+            name: `@HostListener(${arg && arg.type === 'StringLiteral' ? arg.value : ''})`,
+            framework: 'angular',
+            handler: member.key && member.key.name ? member.key.name : null
+          });
+        } else if (expression.name === 'Output') {
+          const member = nodePath.parentPath.node;
+          collector.add('events', node.loc.start.line, { name: `@Output ${member.key ? member.key.name : ''}`.trim(), framework: 'angular', handler: null });
+        }
+        // @Component({ template: `...` }) 的内联模板
+        if (expression.name === 'Component') {
+          const [options] = node.expression.arguments || [];
+          const template = options && options.type === 'ObjectExpression'
+            && options.properties.find(prop => prop.key && (prop.key.name === 'template' || prop.key.value === 'template'));
+          if (template && ['TemplateLiteral', 'StringLiteral'].includes(template.value.type)) {
+            const raw = template.value.type === 'TemplateLiteral'
+              ? template.value.quasis.map(quasi => quasi.value.raw).join('')
+              : template.value.value;
+            collectMarkupFacts(collector, raw, template.value.loc.start.line, 'angular');
+          }
+        }
+      },
+      LabeledStatement(nodePath) {
+        // Svelte 4 的 $: 响应式语句
+        if (framework === 'svelte' && nodePath.node.label.name === '$') {
+          collector.add('lifecycle', nodePath.node.loc.start.line, { name: '$:', framework: 'svelte' });
+        }
+      },
+      JSXOpeningElement(nodePath) {
+        const { node } = nodePath;
+        collector.add('elements', node.loc.start.line, { name: _jsxName(node.name), framework: 'react' });
+      },
+      JSXAttribute(nodePath) {
+        const { node } = nodePath;
+        const name = _jsxName(node.name);
+        const line = node.loc.start.line;
+        const value = node.value && node.value.type === 'JSXExpressionContainer' ? node.value.expression : null;
+        if (/^on[A-Z]/.test(name)) {
+          collector.add('events', line, { name, framework: 'react', handler: _referencedName(value) });
+        } else if (name === 'className' || name === 'class') {
+          const literal = node.value && node.value.type === 'StringLiteral' ? node.value.value : null;
+          collector.add('classAttributes', line, { name, dynamic: Boolean(value), value: literal });
+        } else if (name === 'style' || name === 'css' || name === 'sx') {
+          collector.add('inlineStyles', line, { name });
+        }
+      },
+      JSXExpressionContainer(nodePath) {
+        const { node } = nodePath;
+        if (nodePath.parent.type === 'JSXAttribute') return;
+        const expression = node.expression;
+        if (expression.type === 'ConditionalExpression' || (expression.type === 'LogicalExpression' && ['&&', '||', '??'].includes(expression.operator))) {
+          collector.add('controlFlow', node.loc.start.line, { name: expression.type === 'ConditionalExpression' ? 'ternary' : expression.operator, kind: 'conditional', framework: 'react' });
+        } else if (expression.type === 'CallExpression' && _referencedName(expression.callee) === 'map') {
+          collector.add('controlFlow', node.loc.start.line, { name: '.map', kind: 'loop', framework: 'react' });
+        }
+      }
+    });
+  } catch (error) {
+    collector.facts.parseErrors.push({ message: error.message, line: startLine });
+  }
+}
+
+/**
+ * Vue 选项式 API 的生命周期：export default { mounted() {} } / defineComponent({ created() {} })
+ */
+function _collectVueOption(collector, nodePath) {
+  const { node } = nodePath;
+  const name = node.key && (node.key.name || node.key.value);
+  if (!VUE_LIFECYCLE_OPTIONS.includes(name)) return;
+
+  const objectPath = nodePath.parentPath;
+  const owner = objectPath && objectPath.parentPath ? objectPath.parentPath.node : null;
+  const isComponentOptions = owner && (owner.type === 'ExportDefaultDeclaration'
+    || (owner.type === 'CallExpression' && _calleeText(owner.callee) === 'defineComponent'));
+  if (isComponentOptions) {
+    collector.add('lifecycle', node.loc.start.line, { name, framework: 'vue' });
+  }
+}
+
+/** 用空格替换注释等片段，保留换行以维持行号 */
+function _blank(text) {
+  return text.replace(/[^\n]/g, ' ');
+}
+
+const TAG_REGEX = /<([A-Za-z][\w.:-]*)((?:\s+(?:[^\s=>"'/]+)(?:\s*=\s*(?:"[^"]*"|'[^']*'|\{[^}]*\}|[^\s>"']+))?)*)\s*\/?>/g;
+const ATTRIBUTE_REGEX = /([^\s=>"'/]+)(?:\s*=\s*("[^"]*"|'[^']*'|\{[^}]*\}|[^\s>"']+))?/g;
+
+/**
+ * 扫描 Svelte / Angular 模板（去掉 HTML 注释后逐个标签解析属性）
+ */
+function collectMarkupFacts(collector, markup, startLine, framework) {
+  const text = markup.replace(/<!--[\s\S]*?-->/g, _blank);
+  const unquote = value => (value || '').replace(/^["'{]|["'}]$/g, '');
+
+  for (const tag of text.matchAll(TAG_REGEX)) {
+    const tagLine = collector.lineAt(text, tag.index, startLine);
+    collector.add('elements', tagLine, { name: tag[1], framework });
+
+    const attributesOffset = tag.index + 1 + tag[1].length;
+    for (const attribute of tag[2].matchAll(ATTRIBUTE_REGEX)) {
+      const name = attribute[1];
+      const value = unquote(attribute[2]);
+      const line = collector.lineAt(text, attributesOffset + attribute.index, startLine);
+
+      if (framework === 'svelte') {
+        if (name.startsWith('on:') || (/^on[a-z]+$/.test(name) && (attribute[2] || '').startsWith('{'))) {
+          // on:click|preventDefault 的修饰符不属于事件名
+          collector.add('events', line, { name: name.split('|')[0], framework, handler: _handlerFromExpression(value) });
+        } else if (name.startsWith('class:') || name.startsWith('style:')) {
+          collector.add('styleBindings', line, { name, framework });
+        } else if (name === 'class') {
+          const dynamic = (attribute[2] || '').startsWith('{');
+          collector.add('classAttributes', line, { name, dynamic, value: dynamic ? null : value });
+        } else if (name === 'style') {
+          collector.add('inlineStyles', line, { name });
+        }
+      } else if (framework === 'angular') {
+        if (/^\(.+\)$/.test(name) || name.startsWith('on-')) {
+          collector.add('events', line, { name, framework, handler: _handlerFromExpression(value) });
+        } else if (/^\[(ngClass|ngStyle|class|style)(\..+)?\]$/.test(name)) {
+          collector.add('styleBindings', line, { name, framework });
+        } else if (/^\*ng(If|For|Switch\w*)$/.test(name) || /^\[ngSwitch\w*\]$/.test(name)) {
+          collector.add('controlFlow', line, { name, kind: name.includes('For') ? 'loop' : 'conditional', framework });
+        } else if (name === 'class') {
+          collector.add('classAttributes', line, { name, dynamic: false, value });
+        } else if (name === 'style') {
+          collector.add('inlineStyles', line, { name });
+        }
+      }
+    }
+  }
+
+  if (framework === 'svelte') {
+    for (const block of text.matchAll(/\{#(if|each|await|key)\b/g)) {
+      collector.add('controlFlow', collector.lineAt(text, block.index, startLine), { name: `{#${block[1]}`, kind: block[1] === 'each' ? 'loop' : 'conditional', framework });
+    }
+    for (const call of text.matchAll(/\{[^}]*?\$(?:t|_)\(/g)) {
+      collector.add('i18nCalls', collector.lineAt(text, call.index, startLine), { name: '$t' });
+    }
+  } else if (framework === 'angular') {
+    // 新控制流语法 @if (...) / @for (...) / @switch (...)
+    for (const block of text.matchAll(/@(if|for|switch|defer)\s*[({]/g)) {
+      collector.add('controlFlow', collector.lineAt(text, block.index, startLine), { name: `@${block[1]}`, kind: block[1] === 'for' ? 'loop' : 'conditional', framework });
+    }
+    for (const pipe of text.matchAll(/\|\s*translate\b/g)) {
+      collector.add('i18nCalls', collector.lineAt(text, pipe.index, startLine), { name: 'translate' });
+    }
+  }
+}
+
+const VUE_NODE = { ELEMENT: 1, INTERPOLATION: 5, ATTRIBUTE: 6, DIRECTIVE: 7 };
+
+const VUE_I18N_CALL = /(^|[^\w$.])\$t\(/;
+
+/**
+ * 遍历 Vue 模板 AST：元素、v-on 事件、v-if / v-for、class / style 绑定以及 $t() 调用
+ */
+function collectVueTemplateFacts(collector, templateAst) {
+  const visit = node => {
+    if (!node) return;
+    if (node.type === VUE_NODE.ELEMENT) {
+      collector.add('elements', node.loc.start.line, { name: node.tag, framework: 'vue' });
+      (node.props || []).forEach(prop => {
+        const line = prop.loc.start.line;
+        if (prop.type === VUE_NODE.ATTRIBUTE) {
+          if (prop.name === 'class') collector.add('classAttributes', line, { name: 'class', dynamic: false, value: prop.value ? prop.value.content : '' });
+          if (prop.name === 'style') collector.add('inlineStyles', line, { name: 'style' });
+          return;
+        }
+        if (prop.type !== VUE_NODE.DIRECTIVE) return;
+        const arg = prop.arg && prop.arg.content;
+        const expression = prop.exp && prop.exp.content;
+        if (prop.name === 'on') {
+          collector.add('events', line, { name: `@${arg || ''}`, framework: 'vue', handler: _handlerFromExpression(expression) });
+        } else if (['if', 'else-if', 'show'].includes(prop.name)) {
+          collector.add('controlFlow', line, { name: `v-${prop.name}`, kind: 'conditional', framework: 'vue' });
+        } else if (prop.name === 'for') {
+          collector.add('controlFlow', line, { name: 'v-for', kind: 'loop', framework: 'vue' });
+        } else if (prop.name === 'bind' && (arg === 'class' || arg === 'style')) {
+          collector.add('styleBindings', line, { name: `:${arg}`, framework: 'vue' });
+        }
+        if (expression && VUE_I18N_CALL.test(expression)) {
+          collector.add('i18nCalls', line, { name: '$t' });
+        }
+      });
+    } else if (node.type === VUE_NODE.INTERPOLATION) {
+      const expression = node.content && node.content.content;
+      if (expression && VUE_I18N_CALL.test(expression)) {
+        collector.add('i18nCalls', node.loc.start.line, { name: '$t' });
+      }
+    }
+    (node.children || []).forEach(visit);
+    (node.branches || []).forEach(visit);
+  };
+  visit(templateAst);
+}
+
+/**
+ * 提取文件的 AST 事实
+ * @param {string} content 文件内容
+ * @param {string} filePath 文件路径（按扩展名选择解析方式）
+ * @returns {Object} { imports, hookCalls, lifecycle, stateUpdates, asyncOps, envAccess, i18nCalls, domEvents, decorators,
+ *   elements, events, controlFlow, classAttributes, inlineStyles, styleBindings, styleRefs, parseErrors }
+ *   每条事实为 { name, line, source, ...附加字段 }
+ */
+function extractAstFacts(content = '', filePath = '') {
+  const collector = new FactCollector(content);
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'].includes(ext)) {
+    collectScriptFacts(collector, content, 1, ext, null);
+  } else if (ext === '.vue') {
+    const { descriptor, errors } = parseSfc(content, { filename: filePath });
+    errors.forEach(error => collector.facts.parseErrors.push({ message: error.message, line: error.loc ? error.loc.start.line : 1 }));
+    [descriptor.script, descriptor.scriptSetup].filter(Boolean).forEach(block => {
+      const lang = block.lang === 'tsx' || block.lang === 'jsx' ? `.${block.lang}` : block.lang === 'ts' ? '.ts' : '.js';
+      collectScriptFacts(collector, block.content, block.loc.start.line, lang, 'vue');
+    });
+    if (descriptor.template && descriptor.template.ast) {
+      collectVueTemplateFacts(collector, descriptor.template.ast);
+    }
+  } else if (ext === '.svelte') {
+    // script 块交给 babel，其余部分（去掉 script / style）按模板扫描
+    for (const block of content.matchAll(/(<script\b([^>]*)>)([\s\S]*?)<\/script>/g)) {
+      const startLine = collector.lineAt(content, block.index + block[1].length, 1);
+      collectScriptFacts(collector, block[3], startLine, /lang=["']ts["']/.test(block[2]) ? '.ts' : '.js', 'svelte');
+    }
+    const markup = content.replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1>/g, _blank);
+    collectMarkupFacts(collector, markup, 1, 'svelte');
+  } else if (filePath.endsWith('.component.html')) {
+    collectMarkupFacts(collector, content, 1, 'angular');
+  }
+
+  return collector.facts;
+}
+
+module.exports = {
+  MODULE_KINDS,
+  extractAstFacts,
+  filterFactsByLines,
+  mergeFacts
+};
@@ -0,0 +1,177 @@
+/*
+ * Dependency Impact Propagation
+ * 基于 madge 依赖图反向查找直接或间接依赖变更文件的模块与组件，
+ * 并比较两个提交之间依赖图的差异
+ */
+
+const path = require('path');
+const { AnalysisThresholds } = require('../shared/constants');
+
+const COMPONENT_FRAMEWORKS = { '.jsx': 'react', '.tsx': 'react', '.vue': 'vue', '.svelte': 'svelte' };
+
+/**
+ * 构建反向依赖图：被依赖文件 -> 依赖它的文件集合
+ * @param {Object} graph madge 依赖图 { file: [deps] }
+ * @returns {Map<string, Set<string>>}
+ */
+function buildReverseGraph(graph = {}) {
+  const reverse = new Map();
+  Object.entries(graph).forEach(([file, deps]) => {
+    (deps || []).forEach(dep => {
+      if (!reverse.has(dep)) {
+        reverse.set(dep, new Set());
+      }
+      reverse.get(dep).add(file);
+    });
+  });
+  return reverse;
+}
+
+/**
+ * 判断文件是否为 UI 组件并返回其框架（按扩展名，或由调用方提供的判定函数），不是组件时返回 null
+ */
+function _componentFramework(file, isComponent) {
+  const byExtension = COMPONENT_FRAMEWORKS[path.extname(file)];
+  if (byExtension) return byExtension;
+  const result = typeof isComponent === 'function' ? isComponent(file) : false;
+  if (!result) return null;
+  return typeof result === 'string' ? result : 'react';
+}
+
+/**
+ * 查找受变更文件影响的模块（广度优先，按最短依赖路径计算深度）
+ * @param {Object} graph madge 依赖图
+ * @param {Array<string>} changedFiles 变更文件（相对路径，与依赖图的键一致）
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth] 最大传播深度，默认 AnalysisThresholds.MAX_DEPENDENCY_DEPTH
+ * @param {Function} [options.isComponent] 额外的组件判定函数 (file) => boolean | string，返回字符串时作为框架名
+ * @returns {Array} [{ file, depth, via, type, framework }]
+ */
+function findImpactedModules(graph = {}, changedFiles = [], options = {}) {
+  // 0 是有效深度（不传播），只有未指定或 NaN 时使用默认值
+  const maxDepth = options.maxDepth === undefined || Number.isNaN(options.maxDepth)
+    ? AnalysisThresholds.MAX_DEPENDENCY_DEPTH
+    : options.maxDepth;
+  const reverse = buildReverseGraph(graph);
+  const changedSet = new Set(changedFiles);
+  const visited = new Set(changedFiles);
+  const impacted = [];
+
+  let frontier = changedFiles.map(file => ({ file, depth: 0 }));
+  while (frontier.length > 0) {
+    const next = [];
+    for (const { file, depth } of frontier) {
+      if (depth >= maxDepth) continue;
+      for (const importer of reverse.get(file) || []) {
+        if (visited.has(importer)) continue;
+        visited.add(importer);
+
+        const framework = _componentFramework(importer, options.isComponent);
+        impacted.push({
+          file: importer,
+          depth: depth + 1,
+          via: file,
+          type: framework ? 'component' : 'module',
+          framework
+        });
+        next.push({ file: importer, depth: depth + 1 });
+      }
+    }
+    frontier = next;
+  }
+
+  return impacted
+    .filter(entry => !changedSet.has(entry.file))
+    .sort((a, b) => a.depth - b.depth || a.file.localeCompare(b.file));
+}
+
+/**
+ * 查找依赖图中的循环依赖，算法与 madge circular() 相同（深度优先，遇到未完成解析的模块即记录一条循环），
+ * 用于依赖图在 madge 之外补充了边（如 Svelte 组件）的情况
+ * @param {Object} graph 依赖图 { file: [deps] }
+ * @returns {Array<Array<string>>}
+ */
+function findCircularDependencies(graph = {}) {
+  const circular = [];
+  const resolved = new Set();
+  // 当前深度优先路径上的模块，按进入顺序排列
+  const unresolved = [];
+
+  const visit = file => {
+    unresolved.push(file);
+    (graph[file] || []).forEach(dep => {
+      if (resolved.has(dep)) return;
+      const index = unresolved.indexOf(dep);
+      if (index !== -1) {
+        circular.push(unresolved.slice(index));
+        return;
+      }
+      visit(dep);
+    });
+    unresolved.pop();
+    resolved.add(file);
+  };
+
+  Object.keys(graph).forEach(file => {
+    if (!resolved.has(file)) visit(file);
+  });
+  return circular;
+}
+
+/**
+ * 规范化循环依赖：旋转到字典序最小的文件开头，便于跨提交比较
+ * @param {Array<string>} cycle madge circular() 返回的单个循环
+ * @returns {Array<string>}
+ */
+function normalizeCycle(cycle = []) {
+  if (cycle.length === 0) return [];
+  let start = 0;
+  cycle.forEach((file, index) => {
+    if (file < cycle[start]) start = index;
+  });
+  return [...cycle.slice(start), ...cycle.slice(0, start)];
+}
+
+function _edgeSet(graph = {}, rename = file => file) {
+  const edges = new Set();
+  Object.entries(graph).forEach(([from, deps]) => {
+    (deps || []).forEach(to => edges.add(`${rename(from)}\u0000${rename(to)}`));
+  });
+  return edges;
+}
+
+function _toEdge(key) {
+  const [from, to] = key.split('\u0000');
+  return { from, to };
+}
+
+/**
+ * 比较变更前后的依赖图，得到导入边和循环依赖的增减
+ * @param {Object} before analyzeDependencies 结果 { graph, circular }
+ * @param {Object} after analyzeDependencies 结果 { graph, circular }
+ * @param {Object} [renames] 文件重命名映射 { 旧路径: 新路径 }，移动的文件不计为边或循环的增减
+ * @returns {{ addedEdges: Array, removedEdges: Array, newCircular: Array, resolvedCircular: Array }}
+ */
+function diffDependencyGraphs(before = {}, after = {}, renames = {}) {
+  const rename = file => renames[file] || file;
+  const beforeEdges = _edgeSet(before.graph, rename);
+  const afterEdges = _edgeSet(after.graph);
+
+  const beforeCycles = new Map((before.circular || []).map(c => normalizeCycle(c.map(rename))).map(c => [c.join(' -> '), c]));
+  const afterCycles = new Map((after.circular || []).map(c => normalizeCycle(c)).map(c => [c.join(' -> '), c]));
+
+  return {
+    addedEdges: [...afterEdges].filter(key => !beforeEdges.has(key)).sort().map(_toEdge),
+    removedEdges: [...beforeEdges].filter(key => !afterEdges.has(key)).sort().map(_toEdge),
+    newCircular: [...afterCycles.keys()].filter(key => !beforeCycles.has(key)).sort().map(key => afterCycles.get(key)),
+    resolvedCircular: [...beforeCycles.keys()].filter(key => !afterCycles.has(key)).sort().map(key => beforeCycles.get(key))
+  };
+}
+
+module.exports = {
+  buildReverseGraph,
+  findImpactedModules,
+  findCircularDependencies,
+  normalizeCycle,
+  diffDependencyGraphs
+};
@@ -0,0 +1,363 @@
+/*
+ * Unified Diff 解析工具
+ * 将 git diff 输出拆分为变更块（hunk），并把变更行映射到方法范围
+ */
+
+const { parseNameStatus } = require('../shared/git');
+const { extractAstFacts, filterFactsByLines, mergeFacts } = require('./astFacts');
+
+const HUNK_HEADER_REGEX = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+
+/**
+ * 解析 unified diff 文本
+ * @param {string} diffText git diff / git show 的输出
+ * @returns {Array} [{ oldPath, newPath, hunks: [...] }]
+ */
+function parseUnifiedDiff(diffText = '') {
+  const files = [];
+  let currentFile = null;
+  let currentHunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  const ensureFile = () => {
+    if (!currentFile) {
+      currentFile = { oldPath: null, newPath: null, hunks: [] };
+      files.push(currentFile);
+    }
+    return currentFile;
+  };
+
+  for (const line of diffText.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      currentFile = { oldPath: null, newPath: null, hunks: [] };
+      files.push(currentFile);
+      currentHunk = null;
+      continue;
+    }
+
+    if (line.startsWith('--- ') && !currentHunk) {
+      ensureFile().oldPath = _stripPathPrefix(line.substring(4));
+      continue;
+    }
+    if (line.startsWith('+++ ') && !currentHunk) {
+      ensureFile().newPath = _stripPathPrefix(line.substring(4));
+      continue;
+    }
+
+    const header = line.match(HUNK_HEADER_REGEX);
+    if (header) {
+      currentHunk = {
+        oldStart: parseInt(header[1], 10),
+        oldLines: header[2] !== undefined ? parseInt(header[2], 10) : 1,
+        newStart: parseInt(header[3], 10),
+        newLines: header[4] !== undefined ? parseInt(header[4], 10) : 1,
+        header: header[5].trim(),
+        lines: []
+      };
+      oldLine = currentHunk.oldStart;
+      newLine = currentHunk.newStart;
+      ensureFile().hunks.push(currentHunk);
+      continue;
+    }
+
+    if (!currentHunk) continue;
+
+    if (line.startsWith('+')) {
+      currentHunk.lines.push({ type: '+', content: line.substring(1), newLine: newLine++ });
+    } else if (line.startsWith('-')) {
+      currentHunk.lines.push({ type: '-', content: line.substring(1), oldLine: oldLine++ });
+    } else if (line.startsWith(' ')) {
+      // 上下文行，不记录，只推进行号
+      oldLine++;
+      newLine++;
+    } else if (line.startsWith('diff ') || line.startsWith('index ')) {
+      currentHunk = null;
+    }
+  }
+
+  return files;
+}
+
+const C_ESCAPES = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+
+/**
+ * 还原 git 对特殊路径的 C 风格引用（"a/\344\270\255.js"），八进制转义按 UTF-8 字节解码
+ */
+function _unquotePath(rawPath) {
+  if (!rawPath.startsWith('"') || !rawPath.endsWith('"') || rawPath.length < 2) {
+    return rawPath;
+  }
+  const inner = rawPath.slice(1, -1);
+  const bytes = [];
+  for (let i = 0; i < inner.length; i++) {
+    if (inner[i] !== '\\') {
+      bytes.push(...Buffer.from(inner[i], 'utf-8'));
+      continue;
+    }
+    const octal = inner.substring(i + 1, i + 4);
+    if (/^[0-7]{3}$/.test(octal)) {
+      bytes.push(parseInt(octal, 8));
+      i += 3;
+    } else {
+      const next = inner[i + 1];
+      bytes.push(C_ESCAPES[next] !== undefined ? C_ESCAPES[next] : next.charCodeAt(0));
+      i += 1;
+    }
+  }
+  return Buffer.from(bytes).toString('utf-8');
+}
+
+/**
+ * 去掉 diff 路径中的 a/ b/ 前缀（含空格的路径后会附带制表符）
+ */
+function _stripPathPrefix(rawPath) {
+  const trimmed = _unquotePath(rawPath.replace(/\t$/, '').trim());
+  if (trimmed === '/dev/null') return null;
+  return trimmed.replace(/^[ab]\//, '');
+}
+
+/**
+ * 计算方法的行范围，缺少 endLine 时以下一个方法的起始行为界
+ */
+function _methodSpans(methods = []) {
+  const sorted = [...methods]
+    .filter(m => typeof (m.startLine || m.line) === 'number')
+    .sort((a, b) => (a.startLine || a.line) - (b.startLine || b.line));
+
+  return sorted.map((method, index) => {
+    const startLine = method.startLine || method.line;
+    let endLine = method.endLine;
+    if (!endLine) {
+      const next = sorted[index + 1];
+      endLine = next ? Math.max(startLine, (next.startLine || next.line) - 1) : Infinity;
+    }
+    return { method, startLine, endLine };
+  });
+}
+
+/**
+ * 找到包含指定行的最内层方法
+ */
+function _findEnclosingMethod(spans, lineNumber) {
+  let best = null;
+  for (const span of spans) {
+    if (lineNumber < span.startLine || lineNumber > span.endLine) continue;
+    if (!best || (span.endLine - span.startLine) < (best.endLine - best.startLine)) {
+      best = span;
+    }
+  }
+  return best;
+}
+
+function _range(span) {
+  if (!span) return null;
+  return {
+    startLine: span.startLine,
+    endLine: span.endLine === Infinity ? null : span.endLine
+  };
+}
+
+/**
+ * 将一侧文件的行号换算到另一侧：累加该行之前各 hunk 的行数差，落在 hunk 内的行取对侧 hunk 的起始行
+ * @param {string} fromSide 'old'（变更前 → 变更后）或 'new'（变更后 → 变更前）
+ */
+function _translateLine(hunks, lineNumber, fromSide) {
+  let delta = 0;
+  for (const hunk of hunks) {
+    const start = fromSide === 'old' ? hunk.oldStart : hunk.newStart;
+    const count = fromSide === 'old' ? hunk.oldLines : hunk.newLines;
+    const otherStart = fromSide === 'old' ? hunk.newStart : hunk.oldStart;
+    const otherCount = fromSide === 'old' ? hunk.newLines : hunk.oldLines;
+    // 行数为 0 的一侧，起始行表示插入/删除位置之前的那一行
+    const first = count === 0 ? start + 1 : start;
+    if (lineNumber < first) break;
+    if (lineNumber < first + count) return otherStart;
+    delta += otherCount - count;
+  }
+  return lineNumber + delta;
+}
+
+/**
+ * 在另一侧找到同一个方法：同名（且同类型）的方法中，起始行与换算后行号最接近的一个
+ * 同名方法（类方法与顶层函数、重载、嵌套函数）由此按位置区分
+ */
+function _findCounterpart(span, otherSpans, hunks, fromSide) {
+  const candidates = otherSpans.filter(other => other.method.name === span.method.name &&
+    (!span.method.type || !other.method.type || other.method.type === span.method.type));
+  if (candidates.length === 0) return null;
+
+  const target = _translateLine(hunks, span.startLine, fromSide);
+  return candidates.reduce((best, candidate) =>
+    Math.abs(candidate.startLine - target) < Math.abs(best.startLine - target) ? candidate : best);
+}
+
+/**
+ * 将变更块映射到变更前后的方法
+ * 方法以名称加起始行标识，同一文件中的同名方法分别统计
+ * @param {Array} hunks parseUnifiedDiff 得到的 hunk 列表
+ * @param {Array} afterMethods 变更后文件的方法列表
+ * @param {Array} beforeMethods 变更前文件的方法列表
+ * @returns {{ changedMethods: Array, unscopedLines: Array }}
+ */
+function mapHunksToMethods(hunks = [], afterMethods = [], beforeMethods = []) {
+  const afterSpans = _methodSpans(afterMethods);
+  const beforeSpans = _methodSpans(beforeMethods);
+  const touched = new Map();
+  const unscopedLines = [];
+
+  // 变更前后的同一个方法合并为一条记录，键为两侧的 名称@起始行
+  const touch = (afterSpan, beforeSpan) => {
+    const key = [afterSpan, beforeSpan].map(span => (span ? `${span.method.name}@${span.startLine}` : '')).join('|');
+    if (!touched.has(key)) {
+      const method = (afterSpan || beforeSpan).method;
+      touched.set(key, { name: method.name, type: method.type, afterSpan, beforeSpan, addedLines: [], removedLines: [] });
+    }
+    return touched.get(key);
+  };
+
+  for (const hunk of hunks) {
+    for (const line of hunk.lines) {
+      if (line.type === '+') {
+        const span = _findEnclosingMethod(afterSpans, line.newLine);
+        if (span) {
+          touch(span, _findCounterpart(span, beforeSpans, hunks, 'new')).addedLines.push(line.newLine);
+        } else {
+          unscopedLines.push(line);
+        }
+      } else {
+        const span = _findEnclosingMethod(beforeSpans, line.oldLine);
+        if (span) {
+          touch(_findCounterpart(span, afterSpans, hunks, 'old'), span).removedLines.push(line.oldLine);
+        } else {
+          unscopedLines.push(line);
+        }
+      }
+    }
+  }
+
+  const changedMethods = [...touched.values()].map(entry => {
+    let changeType = 'modified';
+    if (!entry.beforeSpan) changeType = 'added';
+    else if (!entry.afterSpan) changeType = 'deleted';
+
+    return {
+      name: entry.name,
+      type: entry.type || 'function',
+      changeType,
+      before: _range(entry.beforeSpan),
+      after: _range(entry.afterSpan),
+      addedLines: entry.addedLines,
+      removedLines: entry.removedLines
+    };
+  });
+
+  return { changedMethods, unscopedLines };
+}
+
+/**
+ * 构建仅包含变更部分的文件视图，供分类器使用
+ * 内容由被触及方法的变更后代码、删除行以及方法外的变更行组成
+ */
+function buildChangeScope(fileInfo) {
+  // 纯移动/重命名（内容未变）不应按新文件整体计入
+  if (fileInfo && fileInfo.oldPath && (!Array.isArray(fileInfo.hunks) || fileInfo.hunks.length === 0)) {
+    return { ...fileInfo, content: '', methods: [] };
+  }
+  if (!fileInfo || !Array.isArray(fileInfo.hunks) || fileInfo.hunks.length === 0) {
+    return fileInfo;
+  }
+
+  const contentLines = (fileInfo.content || '').split('\n');
+  const changedMethods = fileInfo.changedMethods || [];
+  const scopedParts = [];
+
+  changedMethods.forEach(method => {
+    if (method.after) {
+      const end = method.after.endLine || contentLines.length;
+      scopedParts.push(contentLines.slice(method.after.startLine - 1, end).join('\n'));
+    }
+  });
+
+  fileInfo.hunks.forEach(hunk => {
+    hunk.lines.forEach(line => {
+      // 删除行和方法外新增行不在上面的方法体中，单独补充
+      if (line.type === '-' || !changedMethods.some(m => m.addedLines.includes(line.newLine))) {
+        scopedParts.push(line.content);
+      }
+    });
+  });
+
+  return {
+    ...fileInfo,
+    content: scopedParts.join('\n'),
+    methods: changedMethods.map(changed =>
+      (fileInfo.methods || []).find(m => m.name === changed.name && changed.after && (m.startLine || m.line) === changed.after.startLine) ||
+      (fileInfo.methods || []).find(m => m.name === changed.name) || { name: changed.name, type: changed.type }
+    )
+  };
+}
+
+/**
+ * 构建分类范围：方法列表限定为被触及的方法，AST 事实基于完整文件解析后
+ * 只保留新增行上的事实，再合并变更前版本中被删除行上的事实
+ * （组件本身就是方法，按方法体取事实会把整个组件计入）
+ * 删除的文件与没有 diff 的文件沿用 buildChangeScope 的结果
+ * @param {Object} fileInfo 带 hunks 的文件信息
+ * @param {Function} readBeforeContent (oldPath) => 变更前的文件内容，读取失败时返回 null
+ */
+function buildClassificationScope(fileInfo, readBeforeContent) {
+  const scoped = buildChangeScope(fileInfo);
+  if (fileInfo.changeStatus === 'deleted' || !Array.isArray(fileInfo.hunks) || fileInfo.hunks.length === 0) {
+    return scoped;
+  }
+
+  const addedLines = [];
+  // 被删除的行：行号为变更前版本中的行号
+  const removedLines = [];
+  fileInfo.hunks.forEach(hunk => {
+    hunk.lines.forEach(line => {
+      if (line.type === '+') addedLines.push(line.newLine);
+      if (line.type === '-') removedLines.push({ line: line.oldLine, source: line.content.trim() });
+    });
+  });
+
+  const afterFacts = filterFactsByLines(extractAstFacts(fileInfo.content || '', fileInfo.relativePath), addedLines);
+  let removedFacts = {};
+  if (removedLines.length > 0) {
+    const oldPath = fileInfo.oldPath || fileInfo.relativePath;
+    const beforeContent = readBeforeContent(oldPath);
+    if (beforeContent !== null) {
+      removedFacts = filterFactsByLines(extractAstFacts(beforeContent, oldPath), removedLines.map(entry => entry.line));
+    }
+  }
+
+  return {
+    ...scoped,
+    content: fileInfo.content,
+    changedLines: addedLines,
+    // 自定义规则的关键字同样匹配被删除的行
+    removedLines,
+    astFacts: mergeFacts(afterFacts, removedFacts)
+  };
+}
+
+/**
+ * 将 hunk 列表还原为 unified diff 文本（仅包含 hunk 部分）
+ */
+function formatHunks(hunks = []) {
+  return hunks.map(hunk => {
+    const header = `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@${hunk.header ? ' ' + hunk.header : ''}`;
+    const body = hunk.lines.map(line => `${line.type}${line.content}`);
+    return [header, ...body].join('\n');
+  }).join('\n');
+}
+
+module.exports = {
+  parseUnifiedDiff,
+  mapHunksToMethods,
+  buildChangeScope,
+  buildClassificationScope,
+  formatHunks,
+  parseNameStatus
+};
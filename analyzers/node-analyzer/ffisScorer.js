@@ -4,6 +4,8 @@
  * 基于技术中心性、功能中心性、渲染中心性、交互中心性的综合评分模型
  */
 
+const { AnalysisThresholds } = require('../shared/constants');
+
 class FFISScorer {
   /**
    * 计算文件的FFIS评分
@@ -52,18 +54,7 @@ class FFISScorer {
     const finalFFIS = Math.min(baseFFIS + changeWeight, 1.0);
 
     // 确定重要性等级
-    let importanceLevel = '辅助文件';
-    let importanceStars = '⭐';
-    if (finalFFIS >= 0.6) {
-      importanceLevel = '核心文件';
-      importanceStars = '⭐⭐⭐⭐';
-    } else if (finalFFIS >= 0.4) {
-      importanceLevel = '关键文件';
-      importanceStars = '⭐⭐⭐';
-    } else if (finalFFIS >= 0.3) {
-      importanceLevel = '普通文件';
-      importanceStars = '⭐⭐';
-    }
+    const { importanceLevel, importanceStars } = this.getImportanceLevel(finalFFIS);
 
     return {
       ffis: finalFFIS,
@@ -79,6 +70,24 @@ class FFISScorer {
     };
   }
 
+  /**
+   * 按 FFIS 阈值确定重要性等级，达到等级下限即归入该等级
+   * @param {number} ffis - FFIS评分 (0-1)
+   * @returns {Object} { importanceLevel, importanceStars }
+   */
+  static getImportanceLevel(ffis) {
+    if (ffis >= AnalysisThresholds.FFIS_CORE_THRESHOLD) {
+      return { importanceLevel: '核心文件', importanceStars: '⭐⭐⭐⭐' };
+    }
+    if (ffis >= AnalysisThresholds.FFIS_KEY_THRESHOLD) {
+      return { importanceLevel: '关键文件', importanceStars: '⭐⭐⭐' };
+    }
+    if (ffis >= AnalysisThresholds.FFIS_NORMAL_THRESHOLD) {
+      return { importanceLevel: '普通文件', importanceStars: '⭐⭐' };
+    }
+    return { importanceLevel: '辅助文件', importanceStars: '⭐' };
+  }
+
   /**
    * 1. 技术中心性评分 (Technical Centrality)
    * 基于依赖图的入度、出度和路径权重
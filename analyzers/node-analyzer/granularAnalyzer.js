@@ -1,24 +1,32 @@
 const { ModificationType } = require('./modificationType');
 const path = require('path');
-const { defaultErrorHandler, ErrorCodes, ErrorSeverity } = require('./errorHandler');
+const { defaultErrorHandler, ErrorCodes, ErrorSeverity } = require('../shared/errorHandler');
 const { TypeValidator } = require('../shared/types');
 const { 
   AnalysisThresholds, 
-  ClassificationWeights, 
   RegexPatterns,
   ModificationTypes 
 } = require('../shared/constants');
+const { evaluateRules } = require('../shared/config');
 
 /**
  * 前端细粒度变更分析器
  * 分析JavaScript/TypeScript/React/Vue代码的具体修改类型
  */
 class FrontendGranularAnalyzer {
+
+  /**
+   * @param {Object|null} [config] 项目配置（shared/config.js 的 loadConfig 结果），其中的自定义规则产生额外的修改项
+   */
+  constructor(config = null) {
+    this.config = config;
+  }
   
   /**
    * 分析文件变更，返回细粒度的修改详情列表
+   * @param {Object} [astFacts] 按变更行限定的 AST 事实，供配置中的 AST 规则匹配
    */
-  analyzeFileChanges(filePath, methods, diffContent, fileContent) {
+  analyzeFileChanges(filePath, methods, diffContent, fileContent, astFacts = null) {
     try {
       // 输入验证
       TypeValidator.isString(filePath, 'filePath');
@@ -43,6 +51,9 @@ class FrontendGranularAnalyzer {
       if ((!methods || methods.length === 0) && diffContent) {
         modifications.push(...this.analyzeGeneralChanges(filePathStr, diffContent));
       }
+
+      // 项目配置中的自定义规则
+      modifications.push(...this.analyzeCustomRules(filePathStr, diffContent, astFacts));
       
       return modifications;
     } catch (error) {
@@ -332,6 +343,24 @@ class FrontendGranularAnalyzer {
         ));
       }
       
+      // Svelte模板变更
+      if (filePath.endsWith('.svelte') && this.containsSvelteTemplateChanges(diffContent)) {
+        modifications.push(this.createModification(
+          ModificationType.TEMPLATE_CHANGE,
+          'Svelte模板变更',
+          filePath
+        ));
+      }
+      
+      // Angular模板变更（内联 template 或 .component.html）
+      if (this.containsAngularTemplateChanges(diffContent)) {
+        modifications.push(this.createModification(
+          ModificationType.TEMPLATE_CHANGE,
+          'Angular模板变更',
+          filePath
+        ));
+      }
+      
       // 样式变更
       if (this.containsStyleChanges(diffContent)) {
         modifications.push(this.createModification(
@@ -354,29 +383,73 @@ class FrontendGranularAnalyzer {
     return modifications;
   }
   
+  /**
+   * 应用项目配置中的自定义规则：关键字在 diff 的新增与删除行上匹配，
+   * 修改类型为规则 id，category 为规则所属分类，置信度取规则的实际权重（含 weights 覆盖）/ 100
+   */
+  analyzeCustomRules(filePath, diffContent, astFacts) {
+    if (!this.config || this.config.rules.length === 0) {
+      return [];
+    }
+
+    const lines = this.parseDiffLines(diffContent || '').map(change => ({
+      line: change.lineNumber,
+      source: change.line.trim(),
+      removed: change.type === '-'
+    }));
+
+    return evaluateRules(this.config, { filePath, lines, facts: astFacts }).map(hit => {
+      const modification = this.createModification(
+        { code: hit.rule.id, displayName: hit.rule.description },
+        hit.source ? `${hit.rule.description}: ${hit.source}` : hit.rule.description,
+        filePath,
+        null,
+        Math.min(hit.weight, 100) / 100,
+        hit.line
+      );
+      modification.category = hit.rule.category;
+      return modification;
+    });
+  }
+
   /**
    * 解析diff内容，提取变更行
+   * 存在 @@ hunk 头时使用文件中的真实行号（新增行取新文件行号，删除行取旧文件行号）
    */
   parseDiffLines(diffContent) {
     const lines = diffContent.split('\n');
     const changedLines = [];
     let lineNumber = 0;
+    let oldLineNumber = 0;
+    let newLineNumber = 0;
+    let inHunk = false;
     
     for (const line of lines) {
       if (!line) continue;
+
+      const hunkHeader = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+      if (hunkHeader) {
+        inHunk = true;
+        oldLineNumber = parseInt(hunkHeader[1], 10);
+        newLineNumber = parseInt(hunkHeader[2], 10);
+        continue;
+      }
       
       if (line.startsWith('+') && !line.startsWith('+++')) {
         changedLines.push({
           type: '+',
           line: line.substring(1),
-          lineNumber: lineNumber++
+          lineNumber: inHunk ? newLineNumber++ : lineNumber++
         });
       } else if (line.startsWith('-') && !line.startsWith('---')) {
         changedLines.push({
           type: '-',
           line: line.substring(1),
-          lineNumber: lineNumber++
+          lineNumber: inHunk ? oldLineNumber++ : lineNumber++
         });
+      } else if (inHunk) {
+        oldLineNumber++;
+        newLineNumber++;
       } else {
         lineNumber++; // 未变更的行也计数
       }
@@ -657,7 +730,7 @@ class FrontendGranularAnalyzer {
    * 判断是否为组件逻辑
    */
   isComponentLogic(filePath, methodName) {
-    const componentExtensions = ['.jsx', '.tsx', '.vue'];
+    const componentExtensions = ['.jsx', '.tsx', '.vue', '.svelte', '.component.ts', '.component.html'];
     return componentExtensions.some(ext => filePath.endsWith(ext));
   }
   
@@ -677,6 +750,22 @@ class FrontendGranularAnalyzer {
     return vuePatterns.some(pattern => pattern.test(diffContent));
   }
   
+  /**
+   * 检查是否包含Svelte模板变更
+   */
+  containsSvelteTemplateChanges(diffContent) {
+    const sveltePatterns = [/\{#(if|each|await|key)\b/, /\{:else/, /\bon:[a-z]/, /\bbind:[a-z]/];
+    return sveltePatterns.some(pattern => pattern.test(diffContent));
+  }
+  
+  /**
+   * 检查是否包含Angular模板变更
+   */
+  containsAngularTemplateChanges(diffContent) {
+    const angularPatterns = [/\*ng(If|For|Switch)/, /@(if|for|switch|defer)\s*[({]/, /\[\(ngModel\)\]/, /\((click|change|submit|ngSubmit)\)=/];
+    return angularPatterns.some(pattern => pattern.test(diffContent));
+  }
+  
   /**
    * 检查是否包含样式变更
    */
@@ -10,73 +10,58 @@
  * 脚本会对比两个版本的前端组件快照，并输出变动 JSON 列表。
  */
 
-const cp = require('child_process');
-const execSync = (cmd, options) => {
-  return cp.execSync(cmd, {
-    maxBuffer: 1024 * 1024 * 50, // 50MB
-    ...options
-  });
-};
 const path = require('path');
 const fs = require('fs');
-const os = require('os');
 const { extractSnapshotsForFile } = require('./snapshotExtractors');
 const { diffSnapshots } = require('./snapshotDiff');
+const { GitRepository } = require('../shared/git');
 
-/** 获取仓库根目录 */
-function getRepoRoot() {
-  try {
-    return execSync('git rev-parse --show-toplevel', { encoding: 'utf-8' }).trim();
-  } catch (err) {
+/** 定位当前目录所在的 git 仓库 */
+function openRepository() {
+  const repo = GitRepository.discover(process.cwd());
+  if (!repo) {
     console.error('⚠️  无法定位 git 仓库根目录，请确认当前目录在仓库内。');
     process.exit(1);
   }
+  return repo;
 }
 
 /**
  * 获取指定 commit 对某文件的内容
  * @returns {string|null} 文件内容或 null（文件不存在）
  */
-function getFileContentAtCommit(commit, filePath) {
+function getFileContentAtCommit(repo, commit, filePath) {
   if (commit === 'WORKTREE') {
     // 读取工作区文件
     try {
-      return fs.readFileSync(filePath, 'utf-8');
+      return fs.readFileSync(path.join(repo.root, filePath), 'utf-8');
     } catch (err) {
       return null;
     }
   }
-  try {
-    return execSync(`git show ${commit}:${filePath}`, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'ignore'] });
-  } catch (err) {
-    return null; // 文件在该 commit 不存在
-  }
+  return repo.show(commit, filePath); // 文件在该 commit 不存在时为 null
 }
 
 /**
- * 列出 base 与 head 之间变动的文件集合
+ * 列出 base 与 head 之间变动的文件集合（开启重命名/复制检测）
+ * @returns {Array} [{ status, path, oldPath, similarity }]
  */
-function listChangedFiles(base, head) {
-  const diffRange = head === 'WORKTREE' ? `${base}` : `${base} ${head}`;
-  const cmd = head === 'WORKTREE'
-    ? `git diff --name-only ${diffRange}`
-    : `git diff --name-only ${diffRange}`; // 同命令，分开写便于理解
-  const output = execSync(cmd, { encoding: 'utf-8' });
-  return output.split(/\r?\n/).filter(Boolean);
+function listChangedFiles(repo, base, head) {
+  return repo.diffNameStatus(head === 'WORKTREE' ? [base] : [base, head]);
 }
 
-const SUPPORTED_EXTS = ['.js', '.jsx', '.ts', '.tsx', '.vue'];
+const SUPPORTED_EXTS = ['.js', '.jsx', '.ts', '.tsx', '.vue', '.svelte'];
 
 /**
  * 提取某 commit 的组件快照（仅处理给定文件数组，若 content 为 null 跳过）
  */
-function getSnapshotsAtCommit(commit, files, repoRoot) {
+function getSnapshotsAtCommit(repo, commit, files) {
   const snapshots = [];
   files.forEach(file => {
-    if (!SUPPORTED_EXTS.includes(path.extname(file))) return;
-    const content = getFileContentAtCommit(commit, file);
+    if (!SUPPORTED_EXTS.includes(path.extname(file)) && !file.endsWith('.component.html')) return;
+    const content = getFileContentAtCommit(repo, commit, file);
     if (content == null) return;
-    const absPath = path.join(repoRoot, file);
+    const absPath = path.join(repo.root, file);
     const snaps = extractSnapshotsForFile(absPath, content);
     if (snaps && snaps.length) snapshots.push(...snaps);
   });
@@ -87,19 +72,28 @@ function getSnapshotsAtCommit(commit, files, repoRoot) {
  * 主函数：对比两个 commit 的快照差异
  */
 function analyzeMergeImpact(baseCommit, headCommit = 'WORKTREE') {
-  const repoRoot = getRepoRoot();
+  const repo = openRepository();
+  const repoRoot = repo.root;
 
   console.error(`🔍 仓库根目录: ${repoRoot}`);
   console.error(`📌 Base Commit: ${baseCommit}`);
   console.error(`📌 Head Commit: ${headCommit === 'WORKTREE' ? '工作区' : headCommit}`);
 
-  const changedFiles = listChangedFiles(baseCommit, headCommit);
-  console.error(`📄 变动文件数: ${changedFiles.length}`);
+  const entries = listChangedFiles(repo, baseCommit, headCommit);
+  console.error(`📄 变动文件数: ${entries.length}`);
+
+  // base 侧读取重命名前的路径，head 侧读取新路径
+  const baseFiles = entries.map(entry => entry.oldPath || entry.path);
+  const headFiles = entries.map(entry => entry.path);
+  const renames = {};
+  entries.filter(entry => entry.status === 'renamed').forEach(entry => {
+    renames[path.join(repoRoot, entry.oldPath)] = path.join(repoRoot, entry.path);
+  });
 
-  const baseSnapshots = getSnapshotsAtCommit(baseCommit, changedFiles, repoRoot);
-  const headSnapshots = getSnapshotsAtCommit(headCommit, changedFiles, repoRoot);
+  const baseSnapshots = getSnapshotsAtCommit(repo, baseCommit, baseFiles);
+  const headSnapshots = getSnapshotsAtCommit(repo, headCommit, headFiles);
 
-  const changes = diffSnapshots(baseSnapshots, headSnapshots);
+  const changes = diffSnapshots(baseSnapshots, headSnapshots, { renames });
   return { changes, baseSnapshotsCount: baseSnapshots.length, headSnapshotsCount: headSnapshots.length };
 }
 
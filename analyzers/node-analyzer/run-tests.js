@@ -14,7 +14,7 @@ const execSync = (cmd, options) => {
     ...options
   });
 };
-const { defaultErrorHandler, ErrorCodes } = require('./errorHandler');
+const { defaultErrorHandler, ErrorCodes } = require('../shared/errorHandler');
 
 /**
  * 测试运行器类
@@ -134,42 +134,37 @@ class TestRunner {
    * 运行单个测试文件
    */
   async runSingleTest(testFile) {
-    return new Promise((resolve) => {
-      const startTime = Date.now();
-      
-      try {
-        // 使用 Node.js 的 require 运行测试
-        const testModule = require(testFile);
-        
-        // 简单的测试执行器
-        const testResults = this.executeTestModule(testModule);
-        
-        const duration = Date.now() - startTime;
-        
-        resolve({
-          file: testFile,
-          success: testResults.success,
-          duration: duration,
-          tests: testResults.tests,
-          error: testResults.error
-        });
+    const startTime = Date.now();
 
-      } catch (error) {
-        const duration = Date.now() - startTime;
-        resolve({
-          file: testFile,
-          success: false,
-          duration: duration,
-          error: error.message
-        });
-      }
-    });
+    try {
+      // 使用 Node.js 的 require 运行测试
+      const testModule = require(testFile);
+
+      // 简单的测试执行器
+      const testResults = await this.executeTestModule(testModule);
+
+      return {
+        file: testFile,
+        success: testResults.success,
+        duration: Date.now() - startTime,
+        tests: testResults.tests,
+        error: testResults.error
+      };
+
+    } catch (error) {
+      return {
+        file: testFile,
+        success: false,
+        duration: Date.now() - startTime,
+        error: error.message
+      };
+    }
   }
 
   /**
-   * 执行测试模块
+   * 执行测试模块（测试函数可以返回 Promise）
    */
-  executeTestModule(testModule) {
+  async executeTestModule(testModule) {
     const results = {
       success: true,
       tests: [],
@@ -180,20 +175,21 @@ class TestRunner {
       // 查找 describe 和 test 函数
       if (typeof testModule === 'function') {
         // 如果模块导出一个函数，直接执行
-        testModule();
+        await testModule();
       } else if (typeof testModule === 'object') {
-        // 如果模块导出对象，查找测试函数
-        Object.keys(testModule).forEach(key => {
+        // 如果模块导出对象，依次执行其中的测试函数
+        for (const key of Object.keys(testModule)) {
           if (typeof testModule[key] === 'function') {
             try {
-              testModule[key]();
+              await testModule[key]();
               results.tests.push({ name: key, success: true });
             } catch (error) {
               results.tests.push({ name: key, success: false, error: error.message });
               results.success = false;
+              results.error = results.error || `${key}: ${error.message}`;
             }
           }
-        });
+        }
       }
     } catch (error) {
       results.success = false;
@@ -269,7 +265,7 @@ class TestRunner {
       });
     }
 
-    if (report.summary.successRate === 100) {
+    if (Number(report.summary.successRate) === 100) {
       console.log('\n🎉 所有测试通过！');
     } else {
       console.log('\n⚠️  部分测试失败，请检查代码。');
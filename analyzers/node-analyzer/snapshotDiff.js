@@ -25,16 +25,29 @@ function _diffArray(beforeArr = [], afterArr = []) {
   return { removed, added };
 }
 
+/**
+ * 按重命名映射把旧版本快照移到新路径，使移动后的组件与原组件对应
+ */
+function _applyRenames(snapshots, renames) {
+  return snapshots.map(s => {
+    const newPath = renames[s.filePath];
+    if (!newPath || newPath === s.filePath) return s;
+    return { ...s, filePath: newPath, previousFilePath: s.filePath };
+  });
+}
+
 /**
  * 对比两个版本的组件快照列表
  * @param {Array} baseSnapshots 旧版本快照列表
  * @param {Array} headSnapshots 新版本快照列表
+ * @param {Object} [options]
+ * @param {Object} [options.renames] 文件重命名映射 { 旧路径: 新路径 }，路径形式需与快照 filePath 一致
  * @returns {Array} changeList 组件变更列表
  */
-function diffSnapshots(baseSnapshots = [], headSnapshots = []) {
+function diffSnapshots(baseSnapshots = [], headSnapshots = [], options = {}) {
   const changes = [];
 
-  const baseMap = new Map(baseSnapshots.map(s => [_key(s), s]));
+  const baseMap = new Map(_applyRenames(baseSnapshots, options.renames || {}).map(s => [_key(s), s]));
   const headMap = new Map(headSnapshots.map(s => [_key(s), s]));
 
   // 1. 处理删除 & 修改
@@ -43,7 +56,7 @@ function diffSnapshots(baseSnapshots = [], headSnapshots = []) {
       // 组件被删除
       changes.push({
         component: baseSnap.componentName,
-        filePath: baseSnap.filePath,
+        filePath: baseSnap.previousFilePath || baseSnap.filePath,
         changeType: 'componentDeleted',
         before: null,
         after: null
@@ -54,6 +67,17 @@ function diffSnapshots(baseSnapshots = [], headSnapshots = []) {
     // 组件仍存在，比较字段差异
     const headSnap = headMap.get(k);
 
+    // 组件随文件移动
+    if (baseSnap.previousFilePath) {
+      changes.push({
+        component: baseSnap.componentName,
+        filePath: headSnap.filePath,
+        changeType: 'componentMoved',
+        before: baseSnap.previousFilePath,
+        after: headSnap.filePath
+      });
+    }
+
     // props
     const { removed: removedProps, added: addedProps } = _diffArray(baseSnap.props, headSnap.props);
     if (removedProps.length) {
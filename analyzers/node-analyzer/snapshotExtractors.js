@@ -1,6 +1,6 @@
 const path = require('path');
 const fs = require('fs');
-const { Project, SyntaxKind } = require('ts-morph');
+const { Project, Node, SyntaxKind } = require('ts-morph');
 const { parse } = require('@vue/compiler-sfc');
 
 /**
@@ -23,7 +23,12 @@ function createSnapshot(base) {
  * SnapshotExtractor 接口
  */
 class SnapshotExtractor {
-  support(ext) {
+  /**
+   * @param {string} ext 扩展名
+   * @param {string} filePath 文件路径（用于 .component.html 等按文件名识别的场景）
+   * @param {string} code 文件内容（用于 @Component 等按内容识别的场景）
+   */
+  support(ext, filePath, code) {
     return false;
   }
 
@@ -230,12 +235,240 @@ class VueSnapshotExtractor extends SnapshotExtractor {
   }
 }
 
-// 注册提取器
-const extractors = [new ReactSnapshotExtractor(), new VueSnapshotExtractor()];
+/**
+ * Svelte 组件快照提取器（兼容 Svelte 4 的 export let / on: 与 Svelte 5 的 $props / onclick）
+ */
+class SvelteSnapshotExtractor extends SnapshotExtractor {
+  support(ext) {
+    return ext === '.svelte';
+  }
+
+  extract(filePath, code) {
+    const scriptRegex = /<script\b([^>]*)>([\s\S]*?)<\/script>/g;
+    const scripts = [];
+    let m;
+    while ((m = scriptRegex.exec(code))) {
+      // context="module" 中的代码在组件实例之外执行，不计入组件行为
+      if (!/context\s*=\s*["']module["']/.test(m[1])) {
+        scripts.push(m[2]);
+      }
+    }
+    const script = scripts.join('\n');
+    const markup = code
+      .replace(/<script\b[^>]*>[\s\S]*?<\/script>/g, '')
+      .replace(/<style\b[^>]*>[\s\S]*?<\/style>/g, '');
+
+    const snapshot = createSnapshot({
+      componentName: path.basename(filePath, '.svelte'),
+      framework: 'svelte',
+      filePath,
+      props: this._extractSvelteProps(script),
+      hooksOrLifecycle: this._extractSvelteLifeCycles(script),
+      eventBindings: this._extractSvelteEvents(markup),
+      renderElements: this._extractSvelteTags(markup)
+    });
+
+    return [snapshot];
+  }
+
+  _extractSvelteProps(script) {
+    const props = [];
+    // Svelte 4: export let foo / export let foo = 1
+    const exportLetRegex = /export\s+let\s+(\w+)/g;
+    let m;
+    while ((m = exportLetRegex.exec(script))) {
+      props.push(m[1]);
+    }
+    // Svelte 5: let { foo, bar = 1, baz: alias } = $props()
+    const runeRegex = /let\s*{([^}]*)}\s*(?::[^=]+)?=\s*\$props\s*\(/g;
+    while ((m = runeRegex.exec(script))) {
+      m[1].split(',').forEach(part => {
+        const name = part.split('=')[0].split(':')[0].trim();
+        if (name && !name.startsWith('...')) {
+          props.push(name);
+        }
+      });
+    }
+    return [...new Set(props)];
+  }
+
+  _extractSvelteLifeCycles(script) {
+    const lifeCycles = [];
+    const lifeCycleNames = ['onMount', 'onDestroy', 'beforeUpdate', 'afterUpdate', '$effect', '$derived', '$state'];
+    lifeCycleNames.forEach(lc => {
+      if (new RegExp(`(^|[^\\w$])${lc.replace('$', '\\$')}(\\.\\w+)?\\s*\\(`).test(script)) {
+        lifeCycles.push(lc);
+      }
+    });
+    // 响应式语句 $: doubled = count * 2
+    if (/^\s*\$:/m.test(script)) {
+      lifeCycles.push('$:');
+    }
+    return lifeCycles;
+  }
+
+  _extractSvelteEvents(markup) {
+    // on:click|preventDefault={...}（Svelte 4）与 onclick={...}（Svelte 5）
+    const evtRegex = /\bon:([a-zA-Z0-9_-]+)|\son([a-z]+)\s*=\s*{/g;
+    const evts = [];
+    let m;
+    while ((m = evtRegex.exec(markup))) {
+      evts.push(m[1] || m[2]);
+    }
+    return [...new Set(evts)];
+  }
+
+  _extractSvelteTags(markup) {
+    const tagRegex = /<([A-Za-z][A-Za-z0-9-]*(?::[A-Za-z0-9-]+)?)\b/g;
+    const tags = [];
+    let m;
+    while ((m = tagRegex.exec(markup))) {
+      tags.push(m[1]);
+    }
+    return [...new Set(tags)];
+  }
+}
+
+const ANGULAR_LIFECYCLE_HOOKS = [
+  'ngOnChanges', 'ngOnInit', 'ngDoCheck', 'ngAfterContentInit', 'ngAfterContentChecked',
+  'ngAfterViewInit', 'ngAfterViewChecked', 'ngOnDestroy'
+];
+
+/**
+ * 提取 Angular 模板中的事件绑定：(click)="..." / on-click="..."，双向绑定 [(ngModel)] 不计入
+ */
+function extractAngularTemplateEvents(template) {
+  const evtRegex = /(?<!\[)\(([a-zA-Z0-9_.-]+)\)\s*=|\bon-([a-zA-Z0-9_-]+)\s*=/g;
+  const evts = [];
+  let m;
+  while ((m = evtRegex.exec(template))) {
+    evts.push(m[1] || m[2]);
+  }
+  return [...new Set(evts)];
+}
+
+function extractAngularTemplateTags(template) {
+  const tagRegex = /<([A-Za-z][A-Za-z0-9-]*)\b/g;
+  const tags = [];
+  let m;
+  while ((m = tagRegex.exec(template))) {
+    tags.push(m[1]);
+  }
+  return [...new Set(tags)];
+}
+
+/**
+ * Angular 组件快照提取器：带 @Component 装饰器的类
+ * props 取 @Input / @Output（含 input() / output() / model() 信号写法），内联 template 中的事件与标签一并提取
+ */
+class AngularSnapshotExtractor extends SnapshotExtractor {
+  constructor() {
+    super();
+    this.project = new Project({ useInMemoryFileSystem: true, compilerOptions: { experimentalDecorators: true } });
+  }
+
+  support(ext, filePath, code = '') {
+    return ext === '.ts' && /@Component\s*\(/.test(code);
+  }
+
+  extract(filePath, code) {
+    const sourceFile = this.project.createSourceFile(path.basename(filePath), code, { overwrite: true });
+    const snapshots = [];
+
+    sourceFile.getClasses().forEach(cls => {
+      const decorator = cls.getDecorator('Component');
+      if (!decorator) return;
+
+      const template = this._getTemplate(decorator.getArguments()[0]);
+      const props = [];
+      const events = [];
+
+      [...cls.getProperties(), ...cls.getSetAccessors()].forEach(member => {
+        if (member.getDecorator('Input') || member.getDecorator('Output')) {
+          props.push(member.getName());
+          return;
+        }
+        const initializer = typeof member.getInitializer === 'function' ? member.getInitializer() : null;
+        if (initializer && /^(input|output|model)(\.required)?\s*[<(]/.test(initializer.getText())) {
+          props.push(member.getName());
+        }
+      });
+
+      cls.getMethods().forEach(method => {
+        const hostListener = method.getDecorator('HostListener');
+        const eventArg = hostListener ? hostListener.getArguments()[0] : null;
+        if (eventArg && Node.isStringLiteral(eventArg)) {
+          events.push(eventArg.getLiteralValue());
+        }
+      });
+
+      snapshots.push(createSnapshot({
+        componentName: cls.getName() || 'AnonymousComponent',
+        framework: 'angular',
+        filePath,
+        props: [...new Set(props)],
+        hooksOrLifecycle: ANGULAR_LIFECYCLE_HOOKS.filter(hook => cls.getMethod(hook)),
+        eventBindings: [...new Set([...events, ...extractAngularTemplateEvents(template)])],
+        renderElements: extractAngularTemplateTags(template)
+      }));
+    });
+
+    return snapshots;
+  }
+
+  /**
+   * 读取 @Component({ template: `...` }) 中的内联模板，使用 templateUrl 时返回空字符串
+   */
+  _getTemplate(metadata) {
+    if (!metadata || !Node.isObjectLiteralExpression(metadata)) return '';
+    const templateProp = metadata.getProperty('template');
+    const initializer = templateProp && Node.isPropertyAssignment(templateProp) ? templateProp.getInitializer() : null;
+    if (!initializer) return '';
+    if (Node.isStringLiteral(initializer) || Node.isNoSubstitutionTemplateLiteral(initializer)) {
+      return initializer.getLiteralValue();
+    }
+    return initializer.getText();
+  }
+}
+
+/**
+ * Angular 外部模板快照提取器：foo-bar.component.html 对应 FooBarComponent
+ */
+class AngularTemplateSnapshotExtractor extends SnapshotExtractor {
+  support(ext, filePath = '') {
+    return filePath.endsWith('.component.html');
+  }
+
+  extract(filePath, code) {
+    const baseName = path.basename(filePath, '.component.html');
+    const componentName = baseName
+      .split(/[-_.]/)
+      .filter(part => part.length > 0)
+      .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+      .join('') + 'Component';
+
+    return [createSnapshot({
+      componentName,
+      framework: 'angular',
+      filePath,
+      eventBindings: extractAngularTemplateEvents(code),
+      renderElements: extractAngularTemplateTags(code)
+    })];
+  }
+}
+
+// 注册提取器（Angular 组件需先于 React 判断 .ts 文件）
+const extractors = [
+  new AngularSnapshotExtractor(),
+  new AngularTemplateSnapshotExtractor(),
+  new ReactSnapshotExtractor(),
+  new VueSnapshotExtractor(),
+  new SvelteSnapshotExtractor()
+];
 
 function extractSnapshotsForFile(filePath, code) {
   const ext = path.extname(filePath);
-  const extractor = extractors.find(ex => ex.support(ext));
+  const extractor = extractors.find(ex => ex.support(ext, filePath, code));
   if (!extractor) return [];
   try {
     return extractor.extract(filePath, code);
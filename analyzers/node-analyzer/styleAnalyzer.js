@@ -0,0 +1,297 @@
+/*
+ * Stylesheet Analyzer
+ * 将 .css / .scss / .less 解析为选择器、自定义属性、SCSS/LESS 变量与 mixin，
+ * 并把 CSS Modules 的类名与组件中的 styles.foo 用法对应起来
+ */
+
+const path = require('path');
+const postcss = require('postcss');
+const postcssScss = require('postcss-scss');
+const postcssLess = require('postcss-less');
+
+const STYLE_SYNTAXES = {
+  '.css': { name: 'css', parser: postcss },
+  '.scss': { name: 'scss', parser: postcssScss },
+  '.less': { name: 'less', parser: postcssLess }
+};
+
+// 缩进语法的 .sass 没有可用的 postcss 解析器，只识别为样式文件
+const STYLE_EXTENSIONS = [...Object.keys(STYLE_SYNTAXES), '.sass'];
+
+const CSS_MODULE_REGEX = /\.module\.(css|scss|sass|less)$/;
+
+// 组件中引入 CSS Module 的写法：默认导入、命名空间导入、require
+const CSS_MODULE_IMPORT_PATTERNS = [
+  /import\s+([A-Za-z_$][\w$]*)\s+from\s+['"]([^'"]+\.module\.(?:css|scss|sass|less))['"]/g,
+  /import\s+\*\s+as\s+([A-Za-z_$][\w$]*)\s+from\s+['"]([^'"]+\.module\.(?:css|scss|sass|less))['"]/g,
+  /(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*require\(\s*['"]([^'"]+\.module\.(?:css|scss|sass|less))['"]\s*\)/g
+];
+
+function isStyleFile(filePath) {
+  return STYLE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+function isCssModule(filePath) {
+  return CSS_MODULE_REGEX.test(filePath);
+}
+
+/**
+ * 按顶层逗号拆分选择器列表（忽略括号内的逗号，如 :is(a, b)）
+ */
+function _splitSelectorList(selector) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of selector) {
+    if (char === '(' || char === '[') depth++;
+    if (char === ')' || char === ']') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * 展开 SCSS / LESS 嵌套选择器：含 & 时替换为父选择器，否则作为后代选择器拼接
+ */
+function _resolveSelector(parentSelector, selector) {
+  const children = _splitSelectorList(selector);
+  if (!parentSelector) return children.join(', ');
+
+  const resolved = [];
+  _splitSelectorList(parentSelector).forEach(parent => {
+    children.forEach(child => {
+      resolved.push(child.includes('&') ? child.replace(/&/g, parent) : `${parent} ${child}`);
+    });
+  });
+  return resolved.join(', ');
+}
+
+/**
+ * 提取选择器中的类名，:global(...) 内的类名不受 CSS Modules 管理，予以忽略
+ */
+function extractClassNames(selector = '') {
+  const local = selector.replace(/:global\((?:[^()]|\([^()]*\))*\)/g, '');
+  const classNames = new Set();
+  for (const match of local.matchAll(/\.(-?[_a-zA-Z][\w-]*)/g)) {
+    classNames.add(match[1]);
+  }
+  return [...classNames];
+}
+
+/**
+ * 解析样式表
+ * @param {string} content 样式文件内容
+ * @param {string} filePath 文件路径（按扩展名选择 css / scss / less 语法）
+ * @returns {Object} { syntax, isModule, selectors, customProperties, variables, mixins, includes, parseError }
+ *   selectors: [{ name, selector, classNames, startLine, endLine }]，name 带 @media 等外层规则前缀，
+ *   selector 为展开嵌套后的完整选择器
+ */
+function parseStylesheet(content, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const syntax = STYLE_SYNTAXES[ext];
+  const result = {
+    syntax: syntax ? syntax.name : ext.replace('.', ''),
+    isModule: isCssModule(filePath),
+    selectors: [],
+    customProperties: [],
+    variables: [],
+    mixins: [],
+    includes: [],
+    parseError: null
+  };
+
+  if (!syntax) {
+    return result;
+  }
+
+  let root;
+  try {
+    root = syntax.parser.parse(content, { from: filePath });
+  } catch (error) {
+    result.parseError = error.reason || error.message;
+    return result;
+  }
+
+  const visit = (container, parentSelector, context) => {
+    (container.nodes || []).forEach(node => {
+      const startLine = node.source && node.source.start ? node.source.start.line : null;
+      const endLine = node.source && node.source.end ? node.source.end.line : startLine;
+
+      if (node.type === 'rule') {
+        // LESS 的 .mixin(@a) { } 定义
+        if (syntax.name === 'less' && /\)\s*(when\b.*)?$/.test(node.selector) && /^[.#][\w-]+\s*\(/.test(node.selector)) {
+          const name = node.selector.substring(0, node.selector.indexOf('(')).trim();
+          result.mixins.push({ name, params: node.selector.substring(name.length).trim(), startLine, endLine });
+          visit(node, parentSelector, context);
+          return;
+        }
+
+        const selector = _resolveSelector(parentSelector, node.selector);
+        result.selectors.push({
+          name: context ? `${context} ${selector}` : selector,
+          selector,
+          classNames: extractClassNames(selector),
+          startLine,
+          endLine
+        });
+        visit(node, selector, context);
+      } else if (node.type === 'decl') {
+        if (node.prop.startsWith('--')) {
+          result.customProperties.push({ name: node.prop, value: node.value, selector: parentSelector || null, line: startLine });
+        } else if (node.prop.startsWith('$')) {
+          result.variables.push({ name: node.prop, value: node.value, line: startLine });
+        }
+      } else if (node.type === 'atrule') {
+        if (syntax.name === 'less' && node.variable) {
+          result.variables.push({ name: `@${node.name}`, value: node.value, line: startLine });
+        } else if (syntax.name === 'less' && node.mixin) {
+          result.includes.push({ name: `${node.raws.identifier || ''}${node.name}`, line: startLine });
+        } else if (node.name === 'mixin') {
+          const name = node.params.split('(')[0].trim();
+          result.mixins.push({ name, params: node.params.substring(name.length).trim(), startLine, endLine });
+          visit(node, parentSelector, context);
+        } else if (node.name === 'include') {
+          result.includes.push({ name: node.params.split(/[\s(;]/)[0], line: startLine });
+          visit(node, parentSelector, context);
+        } else {
+          // @media / @supports 等条件规则：内部选择器带上规则前缀，便于区分同名选择器
+          const atContext = ['media', 'supports', 'container', 'layer'].includes(node.name)
+            ? [context, `@${node.name} ${node.params}`].filter(Boolean).join(' ')
+            : context;
+          visit(node, parentSelector, atContext);
+        }
+      }
+    });
+  };
+
+  visit(root, null, null);
+  return result;
+}
+
+/**
+ * 将样式表结构转换为可供 diff 映射的行范围条目（与方法列表同构）
+ * 嵌套时 mapHunksToMethods 会选择范围最小的条目，变量修改不会被算到外层选择器上
+ */
+function toStyleRanges(styles) {
+  if (!styles) return [];
+  return [
+    ...styles.selectors.map(entry => ({ name: entry.name, type: 'selector', startLine: entry.startLine, endLine: entry.endLine })),
+    ...styles.mixins.map(entry => ({ name: `@mixin ${entry.name}`, type: 'mixin', startLine: entry.startLine, endLine: entry.endLine })),
+    ...styles.customProperties.map(entry => ({ name: entry.selector ? `${entry.selector} ${entry.name}` : entry.name, type: 'custom-property', startLine: entry.line, endLine: entry.line })),
+    ...styles.variables.map(entry => ({ name: entry.name, type: 'variable', startLine: entry.line, endLine: entry.line }))
+  ];
+}
+
+/**
+ * 收集组件文件中对 CSS Module 类名的引用
+ * @param {string} content 组件内容
+ * @param {string} relativePath 组件相对路径（用于解析相对导入）
+ * @returns {Array} [{ module, className, line }]，module 为样式文件相对路径
+ */
+function collectCssModuleUsages(content = '', relativePath = '') {
+  const usages = [];
+  const bindings = new Map();
+
+  CSS_MODULE_IMPORT_PATTERNS.forEach(pattern => {
+    for (const match of content.matchAll(pattern)) {
+      // 仅解析相对路径导入，别名路径无法在此确定
+      if (!match[2].startsWith('.')) continue;
+      const modulePath = path.posix.normalize(path.posix.join(path.posix.dirname(relativePath), match[2]));
+      bindings.set(match[1], modulePath);
+    }
+  });
+
+  const lineOf = index => content.substring(0, index).split('\n').length;
+  bindings.forEach((modulePath, binding) => {
+    const usagePattern = new RegExp(`(?<![\\w$.])${binding.replace(/\$/g, '\\$')}(?:\\??\\.([A-Za-z_$][\\w$]*)|\\[\\s*(['"\`])([^'"\`]+)\\2\\s*\\])`, 'g');
+    for (const match of content.matchAll(usagePattern)) {
+      usages.push({ module: modulePath, className: match[1] || match[3], line: lineOf(match.index) });
+    }
+  });
+
+  return usages;
+}
+
+/**
+ * 构建 CSS Module 类名引用索引
+ * @param {Array} files [{ relativePath, content }]
+ * @returns {Map<string, Map<string, Array>>} 样式文件 -> 类名 -> [{ file, line }]
+ */
+function buildCssModuleUsageIndex(files = []) {
+  const index = new Map();
+  files.forEach(file => {
+    if (isStyleFile(file.relativePath)) return;
+    collectCssModuleUsages(file.content, file.relativePath).forEach(usage => {
+      if (!index.has(usage.module)) index.set(usage.module, new Map());
+      const classes = index.get(usage.module);
+      if (!classes.has(usage.className)) classes.set(usage.className, []);
+      classes.get(usage.className).push({ file: file.relativePath, line: usage.line });
+    });
+  });
+  return index;
+}
+
+/** foo-bar -> fooBar，对应 css-loader 的 camelCase 导出 */
+function _camelCase(className) {
+  return className.replace(/-+(\w)/g, (_, char) => char.toUpperCase());
+}
+
+/**
+ * 查找使用指定类名的组件
+ * @returns {Array} [{ file, classNames, lines }]
+ */
+function findAffectedComponents(classNames = [], relativePath, usageIndex) {
+  const classes = usageIndex && usageIndex.get(relativePath);
+  if (!classes) return [];
+
+  const byFile = new Map();
+  classNames.forEach(className => {
+    const references = [...new Set([className, _camelCase(className)])]
+      .flatMap(name => classes.get(name) || []);
+    references.forEach(reference => {
+      if (!byFile.has(reference.file)) byFile.set(reference.file, { file: reference.file, classNames: new Set(), lines: new Set() });
+      byFile.get(reference.file).classNames.add(className);
+      byFile.get(reference.file).lines.add(reference.line);
+    });
+  });
+
+  return [...byFile.values()]
+    .map(entry => ({
+      file: entry.file,
+      classNames: [...entry.classNames].sort(),
+      lines: [...entry.lines].sort((a, b) => a - b)
+    }))
+    .sort((a, b) => a.file.localeCompare(b.file));
+}
+
+/**
+ * 为 CSS Module 的选择器标注受影响的组件，并汇总到 styles.affectedComponents
+ */
+function attachAffectedComponents(styles, relativePath, usageIndex) {
+  if (!styles || !styles.isModule) return styles;
+  styles.selectors.forEach(entry => {
+    entry.affectedComponents = findAffectedComponents(entry.classNames, relativePath, usageIndex);
+  });
+  const allClassNames = [...new Set(styles.selectors.flatMap(entry => entry.classNames))];
+  styles.affectedComponents = findAffectedComponents(allClassNames, relativePath, usageIndex);
+  return styles;
+}
+
+module.exports = {
+  STYLE_EXTENSIONS,
+  isStyleFile,
+  isCssModule,
+  extractClassNames,
+  parseStylesheet,
+  toStyleRanges,
+  collectCssModuleUsages,
+  buildCssModuleUsageIndex,
+  findAffectedComponents,
+  attachAffectedComponents
+};
@@ -0,0 +1,176 @@
+/**
+ * 共享前端分类器（analyzers/shared/classifiers.js）的单元测试
+ */
+
+const assert = require('assert');
+const { FrontendChangeClassifier, CLASSIFICATION_SCHEMA_VERSION } = require('../../shared/classifiers');
+const { normalizeConfig } = require('../../shared/config');
+const { extractAstFacts } = require('../astFacts');
+
+const OPTIONS = { extractFacts: extractAstFacts };
+
+const BUTTON_COMPONENT = [
+  "import React, { useEffect, useState } from 'react';",
+  '',
+  'export default function SaveButton({ onSave }) {',
+  '  const [saving, setSaving] = useState(false);',
+  '  useEffect(() => {',
+  "    document.title = saving ? 'Saving' : 'Idle';",
+  '  }, [saving]);',
+  '  const handleClick = async () => {',
+  '    setSaving(true);',
+  '    await onSave();',
+  '  };',
+  '  return <button onClick={handleClick}>Save</button>;',
+  '}'
+].join('\n');
+
+function fileInfo(relativePath, content, extra = {}) {
+  return { relativePath, content, methods: [], imports: [], ...extra };
+}
+
+module.exports = {
+  'classifyChanges 返回带版本的结果结构': () => {
+    const result = FrontendChangeClassifier.classifyChanges([
+      fileInfo('src/SaveButton.jsx', BUTTON_COMPONENT),
+      fileInfo('src/theme.css', '.button { color: red; }')
+    ], null, OPTIONS);
+
+    assert.strictEqual(result.schemaVersion, CLASSIFICATION_SCHEMA_VERSION);
+    assert.strictEqual(result.classifications.length, 2);
+    assert.strictEqual(result.summary.schemaVersion, CLASSIFICATION_SCHEMA_VERSION);
+    assert.strictEqual(result.summary.totalFiles, 2);
+    assert.strictEqual(result.classifications[0].filePath, 'src/SaveButton.jsx');
+  },
+
+  '多标签分类按置信度排序，主类别为第一个标签': () => {
+    const { classification } = FrontendChangeClassifier.classifyFile('src/SaveButton.jsx', fileInfo('src/SaveButton.jsx', BUTTON_COMPONENT, {
+      methods: [{ name: 'handleClick', startLine: 8, endLine: 11 }]
+    }), null, OPTIONS);
+
+    const categories = classification.labels.map(label => label.category);
+    assert.ok(categories.includes('F1'));
+    assert.ok(categories.includes('F4'));
+    assert.strictEqual(classification.category, categories[0]);
+    assert.strictEqual(classification.confidence, classification.labels[0].confidence);
+    classification.labels.slice(1).forEach((label, index) => {
+      assert.ok(label.confidence <= classification.labels[index].confidence);
+    });
+  },
+
+  '没有类别达到阈值时保留排名第一的类别，同分按 F1 → F5 排序': () => {
+    const labels = FrontendChangeClassifier.selectLabels(
+      { F1: 0, F2: 10, F3: 0, F4: 10, F5: 0 },
+      { F1: [], F2: [], F3: [], F4: [], F5: [] }
+    );
+    assert.deepStrictEqual(labels.map(label => label.category), ['F2']);
+  },
+
+  '指标附带触发该规则的源码行': () => {
+    const { classification } = FrontendChangeClassifier.classifyFile('src/SaveButton.jsx', fileInfo('src/SaveButton.jsx', BUTTON_COMPONENT), null, OPTIONS);
+
+    const hooks = classification.indicators.find(indicator => indicator.rule === 'react-hooks');
+    assert.strictEqual(hooks.line, 4);
+    assert.strictEqual(hooks.source, 'const [saving, setSaving] = useState(false);');
+
+    const event = classification.indicators.find(indicator => indicator.rule === 'react-event');
+    assert.strictEqual(event.line, 12);
+  },
+
+  '注释与字符串中的关键字不产生指标': () => {
+    const content = [
+      '// useEffect(() => {}) onClick process.env',
+      "export const help = 'call useState or addEventListener';",
+      'export function noop() {}'
+    ].join('\n');
+    const { classification } = FrontendChangeClassifier.classifyFile('src/help.js', fileInfo('src/help.js', content), null, OPTIONS);
+
+    const rules = classification.indicators.map(indicator => indicator.rule);
+    ['react-hooks', 'react-event', 'env', 'dom-event', 'state-management'].forEach(rule => {
+      assert.ok(!rules.includes(rule), `不应包含 ${rule}`);
+    });
+  },
+
+  'changedLines 限定指标只来自变更行': () => {
+    const { classification } = FrontendChangeClassifier.classifyFile('src/SaveButton.jsx', fileInfo('src/SaveButton.jsx', BUTTON_COMPONENT, {
+      changedLines: [12]
+    }), null, OPTIONS);
+
+    classification.indicators.filter(indicator => indicator.line !== null).forEach(indicator => {
+      assert.strictEqual(indicator.line, 12);
+    });
+    assert.strictEqual(classification.category, 'F4');
+  },
+
+  '没有事实提取函数时只应用按路径判断的规则': () => {
+    const { classification } = FrontendChangeClassifier.classifyFile('src/SaveButton.jsx', fileInfo('src/SaveButton.jsx', BUTTON_COMPONENT));
+    assert.deepStrictEqual(classification.indicators.map(indicator => indicator.rule), ['component-file']);
+  },
+
+  '配置文件与重命名文件': () => {
+    const config = FrontendChangeClassifier.classifyFile('tsconfig.json', fileInfo('tsconfig.json', '{}'), null, OPTIONS);
+    assert.strictEqual(config.classification.category, 'F5');
+
+    const renamed = FrontendChangeClassifier.classifyFile('src/new/theme.css', fileInfo('src/new/theme.css', '', { oldPath: 'src/old/theme.css' }), null, OPTIONS);
+    assert.strictEqual(renamed.oldPath, 'src/old/theme.css');
+  },
+
+  'explain 模式给出每个分类的得分构成与未命中的规则': () => {
+    const info = fileInfo('src/SaveButton.jsx', BUTTON_COMPONENT, { changedLines: [12] });
+    const { classification } = FrontendChangeClassifier.classifyFile('src/SaveButton.jsx', info, null, { ...OPTIONS, explain: true });
+    const { explanation } = classification;
+
+    assert.deepStrictEqual(explanation.categories.map(entry => entry.category), ['F4', 'F2', 'F1', 'F3', 'F5']);
+    assert.strictEqual(explanation.primary.reason, 'F4 得分 30 高于 F2 的 20');
+
+    const f4 = explanation.categories[0];
+    assert.strictEqual(f4.score, 30);
+    assert.ok(f4.labeled);
+    const event = f4.matched.find(indicator => indicator.rule === 'react-event');
+    assert.deepStrictEqual([event.weight, event.line, event.source], [10, 12, 'return <button onClick={handleClick}>Save</button>;']);
+    assert.ok(f4.unmatched.some(rule => rule.rule === 'vue-event' && rule.weight === 10 && rule.check));
+
+    // 每条内置规则都出现在所属分类的 matched 或 unmatched 中
+    Object.entries(FrontendChangeClassifier.RULES).forEach(([rule, { category }]) => {
+      const entry = explanation.categories.find(candidate => candidate.category === category);
+      assert.ok([...entry.matched, ...entry.unmatched].some(item => item.rule === rule), `${rule} 应出现在 ${category} 的解释中`);
+    });
+
+    const text = FrontendChangeClassifier.formatExplanation({ filePath: 'src/SaveButton.jsx', classification });
+    assert.ok(text.includes('+ react-event (+10)'));
+    assert.ok(text.includes('@L12'));
+
+    const plain = FrontendChangeClassifier.classifyFile('src/SaveButton.jsx', info, null, OPTIONS);
+    assert.strictEqual(plain.classification.explanation, undefined);
+  },
+
+  'explain 模式说明停用规则后主类别的变化': () => {
+    const config = normalizeConfig({ weights: { 'form-element': 0 } });
+    const info = fileInfo('src/SaveButton.jsx', BUTTON_COMPONENT, { changedLines: [12] });
+    const { explanation } = FrontendChangeClassifier.classifyFile('src/SaveButton.jsx', info, config, { ...OPTIONS, explain: true }).classification;
+
+    assert.strictEqual(explanation.primary.category, 'F2');
+    assert.strictEqual(explanation.primary.reason, 'F2 得分 20 高于 F4 的 10；没有分类达到标签阈值 0.3，保留排名第一的分类');
+    const f4 = explanation.categories.find(entry => entry.category === 'F4');
+    assert.ok(f4.unmatched.some(rule => rule.rule === 'form-element' && rule.weight === 0 && rule.disabled));
+  },
+
+  'generateSummary 按标签与主类别分别统计': () => {
+    const { classifications, summary } = FrontendChangeClassifier.classifyChanges([
+      fileInfo('src/SaveButton.jsx', BUTTON_COMPONENT),
+      fileInfo('src/theme.css', '.button { color: red; }')
+    ], null, OPTIONS);
+
+    const labelCount = classifications.reduce((sum, entry) => sum + entry.classification.labels.length, 0);
+    const statsCount = Object.values(summary.categoryStats).reduce((sum, count) => sum + count, 0);
+    const primaryCount = Object.values(summary.primaryCategoryStats).reduce((sum, count) => sum + count, 0);
+    assert.strictEqual(statsCount, labelCount);
+    assert.strictEqual(primaryCount, 2);
+    assert.strictEqual(summary.primaryCategoryStats.F3, 1);
+    assert.ok(summary.averageConfidence > 0 && summary.averageConfidence <= 1);
+
+    const empty = FrontendChangeClassifier.generateSummary([]);
+    assert.strictEqual(empty.totalFiles, 0);
+    assert.deepStrictEqual(Object.keys(empty.categoryStats), ['F1', 'F2', 'F3', 'F4', 'F5']);
+  }
+};
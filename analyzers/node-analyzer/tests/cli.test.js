@@ -0,0 +1,94 @@
+/**
+ * 命令行退出码约定：0 无阻断问题，1 分析失败，2 发现高风险变更或新增循环依赖
+ * 在临时 git 仓库中运行 analyze.js，覆盖提交范围分析、循环依赖对比与 pre-commit 钩子（--staged）三种用法
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'analyze.js');
+
+const MATH = 'export function add(a, b) {\n  return a + b;\n}\n';
+const MATH_SWAPPED = 'export function add(a, b) {\n  return b + a;\n}\n';
+// math.js 反过来导入 total.js，形成 math → total → math 的循环
+const MATH_CYCLIC = "import { total } from './total';\n\nexport function add(a, b) {\n  return b + a;\n}\nexport const sum = items => total(items);\n";
+const TOTAL = "import { add } from './math';\n\nexport function total(items) {\n  return items.reduce(add, 0);\n}\n";
+
+function git(cwd, args) {
+  return execFileSync('git', ['-c', 'user.name=DiffSense', '-c', 'user.email=diffsense@example.com', ...args], {
+    cwd,
+    stdio: ['ignore', 'pipe', 'ignore']
+  }).toString();
+}
+
+function writeMath(repoDir, content) {
+  fs.writeFileSync(path.join(repoDir, 'src', 'math.js'), content);
+}
+
+/**
+ * 构造临时仓库：初始提交包含 src/math.js 与导入它的 src/total.js
+ */
+function buildRepo() {
+  const repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'diffsense-cli-'));
+  git(repoDir, ['init', '-q', '-b', 'master']);
+  fs.mkdirSync(path.join(repoDir, 'src'));
+  writeMath(repoDir, MATH);
+  fs.writeFileSync(path.join(repoDir, 'src', 'total.js'), TOTAL);
+  git(repoDir, ['add', '-A']);
+  git(repoDir, ['commit', '-q', '-m', 'init']);
+  return repoDir;
+}
+
+function runCli(targetDir, args) {
+  const result = spawnSync(process.execPath, [CLI, targetDir, 'json', ...args], { encoding: 'utf-8', timeout: 120000 });
+  return result.status;
+}
+
+module.exports = {
+  '钩子模式（--staged）：暂存区无高风险变更退出 0，引入循环依赖退出 2': () => {
+    const repoDir = buildRepo();
+    try {
+      writeMath(repoDir, MATH_SWAPPED);
+      git(repoDir, ['add', '-A']);
+      assert.strictEqual(runCli(repoDir, ['--staged', '--fail-on-high-risk']), 0);
+
+      writeMath(repoDir, MATH_CYCLIC);
+      git(repoDir, ['add', '-A']);
+      assert.strictEqual(runCli(repoDir, ['--staged', '--fail-on-high-risk']), 2);
+    } finally {
+      fs.rmSync(repoDir, { recursive: true, force: true });
+    }
+  },
+
+  '钩子模式（--staged）：不在 git 仓库中时分析失败，退出 1': () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diffsense-cli-nogit-'));
+    try {
+      assert.strictEqual(runCli(dir, ['--staged', '--fail-on-high-risk']), 1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  },
+
+  '提交范围与循环依赖对比：无问题退出 0，新增循环退出 2，引用无效退出 1': () => {
+    const repoDir = buildRepo();
+    try {
+      writeMath(repoDir, MATH_SWAPPED);
+      git(repoDir, ['commit', '-q', '-am', 'swap operands']);
+      writeMath(repoDir, MATH_CYCLIC);
+      git(repoDir, ['commit', '-q', '-am', 'introduce cycle']);
+
+      assert.strictEqual(runCli(repoDir, ['--start-commit', 'HEAD~2', '--end-commit', 'HEAD~1', '--fail-on-high-risk']), 0);
+      assert.strictEqual(runCli(repoDir, ['--start-commit', 'HEAD~1', '--end-commit', 'HEAD', '--fail-on-high-risk']), 2);
+      assert.strictEqual(runCli(repoDir, ['--start-commit', 'no-such-ref', '--end-commit', 'HEAD', '--fail-on-high-risk']), 1);
+
+      assert.strictEqual(runCli(repoDir, ['--circular-diff', '--start-commit', 'HEAD~2', '--end-commit', 'HEAD~1', '--fail-on-new-cycles']), 0);
+      assert.strictEqual(runCli(repoDir, ['--circular-diff', '--start-commit', 'HEAD~1', '--end-commit', 'HEAD', '--fail-on-new-cycles']), 2);
+      assert.strictEqual(runCli(repoDir, ['--circular-diff', '--start-commit', 'no-such-ref', '--fail-on-new-cycles']), 1);
+    } finally {
+      fs.rmSync(repoDir, { recursive: true, force: true });
+    }
+  }
+};
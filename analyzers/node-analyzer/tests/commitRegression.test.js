@@ -0,0 +1,262 @@
+/**
+ * 分类回归测试：基于 fixtures/commits 下的提交样例
+ * 每个样例目录包含 before/（父提交）、after/（被分析的提交）和 expected.json：
+ *   { "files": { "<相对路径>": { "category": "F1", "labels": ["F1", "F4"], "removedRules": ["react-event"] } } }
+ * 测试在临时目录中构造两次提交的 git 仓库，用 Git 模式分析最新提交并比较分类结果
+ *
+ * 另有一组测试使用 buildHistoryRepo 生成的分支历史（重命名、删除与合并提交），检查各 Git 模式的结果结构
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const FrontendAnalyzer = require('../analyze');
+const { CLASSIFICATION_SCHEMA_VERSION } = require('../../shared/classifiers');
+const { defaultErrorHandler, ErrorCodes } = require('../../shared/errorHandler');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'commits');
+
+function git(cwd, args) {
+  return execFileSync('git', ['-c', 'user.name=DiffSense', '-c', 'user.email=diffsense@example.com', ...args], {
+    cwd,
+    stdio: ['ignore', 'pipe', 'ignore']
+  }).toString();
+}
+
+/**
+ * 构造临时仓库：提交 before/，再用 after/ 的内容替换工作区并提交
+ */
+function buildFixtureRepo(fixtureDir) {
+  const repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'diffsense-fixture-'));
+  git(repoDir, ['init', '-q', '-b', 'master']);
+
+  fs.cpSync(path.join(fixtureDir, 'before'), repoDir, { recursive: true });
+  git(repoDir, ['add', '-A']);
+  git(repoDir, ['commit', '-q', '-m', 'before']);
+
+  fs.readdirSync(repoDir).filter(entry => entry !== '.git').forEach(entry => {
+    fs.rmSync(path.join(repoDir, entry), { recursive: true, force: true });
+  });
+  fs.cpSync(path.join(fixtureDir, 'after'), repoDir, { recursive: true });
+  git(repoDir, ['add', '-A']);
+  git(repoDir, ['commit', '-q', '-m', 'after']);
+
+  return repoDir;
+}
+
+async function analyzeFixture(name) {
+  const fixtureDir = path.join(FIXTURE_DIR, name);
+  const expected = JSON.parse(fs.readFileSync(path.join(fixtureDir, 'expected.json'), 'utf-8'));
+  const repoDir = buildFixtureRepo(fixtureDir);
+
+  try {
+    const result = await new FrontendAnalyzer(repoDir, { enableGitAnalysis: true, branch: 'master', commits: 1 }).analyze();
+    assert.strictEqual(result.commits.length, 1, `${name}: 应分析 1 个提交`);
+    return { commit: result.commits[0], expected };
+  } finally {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  }
+}
+
+function assertClassifications(name, commit, expected) {
+  assert.strictEqual(commit.classificationSummary.schemaVersion, CLASSIFICATION_SCHEMA_VERSION, `${name}: schemaVersion`);
+
+  const byFile = new Map(commit.changeClassifications.map(entry => [entry.filePath, entry.classification]));
+  Object.entries(expected.files).forEach(([file, expectation]) => {
+    const classification = byFile.get(file);
+    assert.ok(classification, `${name}: 缺少 ${file} 的分类结果`);
+    assert.strictEqual(classification.category, expectation.category, `${name}: ${file} 主类别`);
+    assert.deepStrictEqual(
+      classification.labels.map(label => label.category).sort(),
+      [...expectation.labels].sort(),
+      `${name}: ${file} 标签`
+    );
+    (expectation.removedRules || []).forEach(rule => {
+      assert.ok(
+        classification.indicators.some(indicator => indicator.rule === rule && indicator.removed),
+        `${name}: ${file} 应包含来自删除行的 ${rule} 指标`
+      );
+    });
+  });
+}
+
+/**
+ * 生成分支历史：
+ *
+ *   *   merge master        (feature，第一个父提交为 delete，第二个为 version)
+ *   |\
+ *   | * version            (master：新增 src/version.js)
+ *   * | delete             (feature：删除仍被 src/total.js 导入的 src/math.js)
+ *   * | rename             (feature：src/format.js → src/formatters.js，src/total.js 改为导入新路径)
+ *   |/
+ *   * base
+ */
+function buildHistoryRepo() {
+  const repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'diffsense-history-'));
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(repoDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(repoDir, file), content);
+  };
+
+  git(repoDir, ['init', '-q', '-b', 'master']);
+  write('src/math.js', 'export function add(a, b) {\n  return a + b;\n}\n');
+  const total = from => `import { add } from './math';\nimport { format } from '${from}';\n\nexport function total(items) {\n  return format(items.reduce(add, 0));\n}\n`;
+  write('src/total.js', total('./format'));
+  write('src/format.js', 'export const format = value => String(value);\n');
+  git(repoDir, ['add', '-A']);
+  git(repoDir, ['commit', '-q', '-m', 'base']);
+
+  git(repoDir, ['checkout', '-q', '-b', 'feature']);
+  git(repoDir, ['mv', 'src/format.js', 'src/formatters.js']);
+  write('src/total.js', total('./formatters'));
+  git(repoDir, ['commit', '-q', '-am', 'rename']);
+  git(repoDir, ['rm', '-q', 'src/math.js']);
+  git(repoDir, ['commit', '-q', '-m', 'delete']);
+
+  git(repoDir, ['checkout', '-q', 'master']);
+  write('src/version.js', 'export const VERSION = 1;\n');
+  git(repoDir, ['add', '-A']);
+  git(repoDir, ['commit', '-q', '-m', 'version']);
+
+  git(repoDir, ['checkout', '-q', 'feature']);
+  git(repoDir, ['merge', '-q', '--no-ff', '-m', 'merge master', 'master']);
+  return repoDir;
+}
+
+async function analyzeHistory(options) {
+  const repoDir = buildHistoryRepo();
+  try {
+    const result = await new FrontendAnalyzer(repoDir, { enableGitAnalysis: true, branch: 'feature', ...options }).analyze();
+    const hashes = {};
+    ['base', 'rename', 'delete', 'version', 'merge master'].forEach(subject => {
+      hashes[subject] = git(repoDir, ['log', '--all', '--format=%H', `--grep=^${subject}$`]).trim();
+    });
+    return { result, hashes };
+  } finally {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  }
+}
+
+function filesByPath(commit) {
+  return Object.fromEntries(commit.files.map(file => [file.relativePath, file]));
+}
+
+const tests = {};
+fs.readdirSync(FIXTURE_DIR).sort().forEach(name => {
+  tests[`fixture: ${name}`] = async () => {
+    const { commit, expected } = await analyzeFixture(name);
+    assertClassifications(name, commit, expected);
+  };
+});
+
+tests['细粒度修改：修改 useEffect 中逻辑的提交产生对应组件的修改项'] = async () => {
+  const { commit } = await analyzeFixture('react-hook-logic');
+
+  assert.deepStrictEqual(commit.granularErrors, []);
+  assert.deepStrictEqual(commit.modifications.map(modification => [modification.type, modification.file, modification.method]), [
+    ['hook-change', 'src/components/UserList.jsx', 'UserList'],
+    ['api-call-change', 'src/components/UserList.jsx', 'UserList'],
+    ['component-logic-change', 'src/components/UserList.jsx', 'UserList']
+  ]);
+};
+
+tests['细粒度修改：分析失败的文件记入 granularErrors，不与没有修改项混淆'] = () => {
+  const analyzer = new FrontendAnalyzer(os.tmpdir());
+  const { enableFileLog } = defaultErrorHandler;
+  // 不在工作目录留下错误日志文件
+  defaultErrorHandler.enableFileLog = false;
+  try {
+    const { modifications, errors } = analyzer.analyzeGranularChanges([
+      { relativePath: 'src/broken.js', content: Buffer.from('export const a = 1;\n') },
+      { relativePath: 'src/theme.css', content: '.a { color: red; }\n' }
+    ]);
+    assert.deepStrictEqual(errors.map(error => [error.file, error.code]), [['src/broken.js', ErrorCodes.UNKNOWN_ERROR]]);
+    assert.ok(errors[0].message);
+    assert.deepStrictEqual(modifications.map(modification => [modification.type, modification.file]), [['css-change', 'src/theme.css']]);
+  } finally {
+    defaultErrorHandler.enableFileLog = enableFileLog;
+  }
+};
+
+tests['--base：相对 merge-base 的累计变更作为整体分析，同时保留逐提交结果'] = async () => {
+  const { result, hashes } = await analyzeHistory({ base: 'master', riskThreshold: 0 });
+
+  // 合并 master 之后，merge-base 是 master 的最新提交
+  assert.strictEqual(result.gitChanges.gitOptions.mergeBase, hashes.version);
+  assert.deepStrictEqual(result.commits.map(commit => commit.commitId), [hashes['merge master'], hashes.delete, hashes.rename]);
+
+  const { cumulative } = result;
+  assert.strictEqual(cumulative.commitId, `${hashes.version}..${hashes['merge master']}`);
+  assert.strictEqual(cumulative.mergeBase, hashes.version);
+  assert.strictEqual(cumulative.commitCount, 3);
+  // 来自 master 的 src/version.js 不属于分支自身的变更
+  assert.deepStrictEqual(cumulative.changedFiles.sort(), ['src/formatters.js', 'src/math.js', 'src/total.js']);
+
+  // 风险评估基于累计结果：阈值为 0 时每个累计变更的文件都记为高风险
+  assert.deepStrictEqual(result.riskAssessment.highRiskFiles.map(file => [file.path, file.commitId]).sort(), [
+    ['src/formatters.js', cumulative.commitId],
+    ['src/math.js', cumulative.commitId],
+    ['src/total.js', cumulative.commitId]
+  ]);
+};
+
+tests['重命名：结果带 oldPath，依赖图对比把移动后的路径视为同一个文件'] = async () => {
+  const { result, hashes } = await analyzeHistory({ branch: 'feature~2', commits: 1 });
+  const [commit] = result.commits;
+  assert.strictEqual(commit.commitId, hashes.rename);
+
+  assert.deepStrictEqual(commit.changes.find(change => change.path === 'src/formatters.js'), {
+    path: 'src/formatters.js', status: 'renamed', oldPath: 'src/format.js', similarity: 100
+  });
+  const moved = filesByPath(commit)['src/formatters.js'];
+  assert.deepStrictEqual([moved.changeStatus, moved.oldPath, moved.newPath], ['renamed', 'src/format.js', 'src/formatters.js']);
+  assert.strictEqual(commit.changeClassifications.find(entry => entry.filePath === 'src/formatters.js').oldPath, 'src/format.js');
+
+  // total.js 的导入随文件移动更新，不算新增或删除的依赖边
+  assert.deepStrictEqual([commit.dependencyChanges.addedEdges, commit.dependencyChanges.removedEdges], [[], []]);
+};
+
+tests['删除文件：从父提交读取内容，列出被移除的导出与仍引用它的文件'] = async () => {
+  const { result, hashes } = await analyzeHistory({ branch: 'feature~1', commits: 1 });
+  const [commit] = result.commits;
+  assert.strictEqual(commit.commitId, hashes.delete);
+
+  const deleted = filesByPath(commit)['src/math.js'];
+  assert.strictEqual(deleted.changeStatus, 'deleted');
+  assert.deepStrictEqual(deleted.removedExports, ['add']);
+  assert.deepStrictEqual(deleted.methods.map(method => method.name), ['add']);
+  assert.deepStrictEqual(deleted.danglingImporters, [{ file: 'src/total.js', specifiers: ['./math'] }]);
+  // 悬空的导入方计入影响范围
+  assert.ok(commit.impactedBy.some(entry => entry.file === 'src/total.js'));
+};
+
+tests['合并提交：first-parent 与第一个父提交比较，each-parent 逐个父提交比较，skip 跳过'] = async () => {
+  const firstParent = await analyzeHistory({ commits: 1 });
+  const merge = firstParent.hashes['merge master'];
+  assert.strictEqual(firstParent.result.gitChanges.gitOptions.mergeMode, 'first-parent');
+  assert.deepStrictEqual(firstParent.result.commits.map(commit => [commit.commitId, commit.isMerge, commit.parentIndex, commit.parent, commit.changedFiles]), [
+    [merge, true, 1, firstParent.hashes.delete, ['src/version.js']]
+  ]);
+
+  const eachParent = await analyzeHistory({ commits: 1, mergeMode: 'each-parent' });
+  const { hashes } = eachParent;
+  assert.strictEqual(eachParent.result.gitChanges.gitOptions.mergeMode, 'each-parent');
+  const entries = eachParent.result.commits;
+  assert.deepStrictEqual(entries.map(commit => [commit.commitId, commit.parentIndex, commit.parent, commit.diffRef]), [
+    [hashes['merge master'], 1, hashes.delete, `${hashes['merge master']}^1..${hashes['merge master']}`],
+    [hashes['merge master'], 2, hashes.version, `${hashes['merge master']}^2..${hashes['merge master']}`]
+  ]);
+  // 与 master 一侧比较时，分支上的重命名与删除都出现在结果中
+  const secondParent = filesByPath(entries[1]);
+  assert.strictEqual(secondParent['src/formatters.js'].oldPath, 'src/format.js');
+  assert.strictEqual(secondParent['src/math.js'].changeStatus, 'deleted');
+  assert.deepStrictEqual(secondParent['src/math.js'].danglingImporters, [{ file: 'src/total.js', specifiers: ['./math'] }]);
+
+  const skip = await analyzeHistory({ commits: 1, mergeMode: 'skip' });
+  assert.strictEqual(skip.result.gitChanges.gitOptions.mergeMode, 'skip');
+  assert.deepStrictEqual(skip.result.commits.map(commit => [commit.isMerge, commit.skipped, commit.files]), [[true, true, []]]);
+};
+
+module.exports = tests;
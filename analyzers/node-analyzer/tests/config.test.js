@@ -0,0 +1,161 @@
+/**
+ * 项目配置（analyzers/shared/config.js）及其在分类器、细粒度分析器中的应用
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { globToRegExp, normalizeConfig, loadConfig, findConfigFile } = require('../../shared/config');
+const { FrontendChangeClassifier } = require('../../shared/classifiers');
+const FrontendGranularAnalyzer = require('../granularAnalyzer');
+const { extractAstFacts } = require('../astFacts');
+
+const OPTIONS = { extractFacts: extractAstFacts };
+
+const CHECKOUT = [
+  "import React, { useState } from 'react';",
+  '',
+  'export default function Checkout() {',
+  '  const [total, setTotal] = useState(0);',
+  "  const enabled = flags.isEnabled('discount');",
+  '  useTracking(total);',
+  '  return <p>{total}</p>;',
+  '}'
+].join('\n');
+
+module.exports = {
+  'glob 转换支持 **、*、{a,b}': () => {
+    assert.ok(globToRegExp('src/payments/**').test('src/payments/api/charge.ts'));
+    assert.ok(globToRegExp('**/*.vue').test('Profile.vue'));
+    assert.ok(globToRegExp('**/*.vue').test('src/views/Profile.vue'));
+    assert.ok(!globToRegExp('src/*.js').test('src/lib/a.js'));
+    assert.ok(globToRegExp('src/**/*.{ts,tsx}').test('src/a/b/c.tsx'));
+    assert.ok(!globToRegExp('src/**/*.{ts,tsx}').test('src/a/b/c.js'));
+  },
+
+  '无效配置抛出 INVALID_CONFIG 错误': () => {
+    assert.throws(() => normalizeConfig({ categories: { F1: {} } }), /与内置分类重复/);
+    assert.throws(() => normalizeConfig({ rules: [{ id: 'x', category: 'missing', paths: ['src/**'] }] }), /未定义/);
+    assert.throws(() => normalizeConfig({ rules: [{ id: 'x', category: 'F1' }] }), /至少需要/);
+    assert.throws(() => normalizeConfig({ weights: { 'react-hooks': -1 } }), /非负数/);
+    assert.throws(() => normalizeConfig({ weights: { 'react-hook': 0 } }), /weights\.react-hook 没有对应的规则 id/);
+    const config = normalizeConfig({
+      rules: [{ id: 'feature-flag', category: 'F5', keywords: ['isEnabled('] }],
+      weights: { 'feature-flag': 10 }
+    });
+    assert.deepStrictEqual(config.weights, { 'feature-flag': 10 });
+  },
+
+  '从目录向上查找配置文件，到仓库根目录为止': () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'diffsense-config-'));
+    try {
+      fs.mkdirSync(path.join(root, '.git'));
+      fs.mkdirSync(path.join(root, 'packages', 'web'), { recursive: true });
+      assert.strictEqual(findConfigFile(path.join(root, 'packages', 'web')), null);
+
+      fs.writeFileSync(path.join(root, '.diffsenserc'), JSON.stringify({ paths: { 'src/payments/**': 'critical' } }));
+      const config = loadConfig(path.join(root, 'packages', 'web'));
+      assert.strictEqual(config.file, path.join(root, '.diffsenserc'));
+      assert.strictEqual(config.categories.critical.name, 'critical');
+      assert.strictEqual(config.rules.length, 1);
+
+      fs.writeFileSync(path.join(root, '.diffsense.json'), '{ invalid');
+      assert.throws(() => loadConfig(root), /配置文件无效/);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  },
+
+  '分类器应用自定义分类、关键字与 AST 规则': () => {
+    const config = normalizeConfig({
+      categories: { critical: { name: '关键模块变更', description: '支付流程' } },
+      paths: { 'src/payments/**': 'critical' },
+      rules: [
+        { id: 'feature-flag', category: 'F5', weight: 30, keywords: ['/isEnabled\\(/'] },
+        { id: 'tracking-hook', category: 'F1', weight: 20, ast: { fact: 'hookCalls', name: '/^useTrack/' } }
+      ]
+    });
+    const { classification } = FrontendChangeClassifier.classifyFile('src/payments/Checkout.jsx', {
+      relativePath: 'src/payments/Checkout.jsx',
+      content: CHECKOUT,
+      methods: []
+    }, config, OPTIONS);
+
+    assert.strictEqual(classification.category, 'F1');
+    const byRule = new Map(classification.indicators.map(indicator => [indicator.rule, indicator]));
+    assert.strictEqual(byRule.get('feature-flag').line, 5);
+    assert.strictEqual(byRule.get('tracking-hook').line, 6);
+    assert.strictEqual(byRule.get('path:src/payments/**').category, 'critical');
+    assert.ok(classification.labels.some(label => label.category === 'critical' && label.categoryName === '关键模块变更'));
+
+    const { summary } = FrontendChangeClassifier.classifyChanges([{ relativePath: 'src/payments/Checkout.jsx', content: CHECKOUT }], config, OPTIONS);
+    assert.strictEqual(summary.categoryStats.critical, 1);
+  },
+
+  '自定义规则的关键字同样匹配被删除的行': () => {
+    const config = normalizeConfig({
+      rules: [{ id: 'feature-flag', category: 'F5', weight: 30, keywords: ['isEnabled('] }]
+    });
+    const { classification } = FrontendChangeClassifier.classifyFile('src/Checkout.jsx', {
+      relativePath: 'src/Checkout.jsx',
+      content: CHECKOUT.replace("  const enabled = flags.isEnabled('discount');\n", ''),
+      methods: [],
+      changedLines: [],
+      removedLines: [{ line: 5, source: "const enabled = flags.isEnabled('discount');" }]
+    }, config, OPTIONS);
+
+    const hit = classification.indicators.find(indicator => indicator.rule === 'feature-flag');
+    assert.deepStrictEqual([hit.line, hit.removed], [5, true]);
+  },
+
+  '权重覆盖：0 停用内置规则': () => {
+    const fileInfo = { relativePath: 'src/Checkout.jsx', content: CHECKOUT, methods: [] };
+    const config = normalizeConfig({ weights: { 'component-file': 0, 'react-hooks': 60 } });
+    const { classification } = FrontendChangeClassifier.classifyFile('src/Checkout.jsx', fileInfo, config, OPTIONS);
+
+    const rules = classification.indicators.map(indicator => indicator.rule);
+    assert.ok(!rules.includes('component-file'));
+    assert.strictEqual(classification.indicators.find(indicator => indicator.rule === 'react-hooks').weight, 60);
+  },
+
+  '细粒度分析器按 diff 变更行输出自定义规则修改项': () => {
+    const config = normalizeConfig({
+      rules: [{ id: 'feature-flag', category: 'F5', weight: 30, keywords: ['isEnabled('] }]
+    });
+    const diff = [
+      '@@ -4,0 +5,1 @@',
+      "+  const enabled = flags.isEnabled('discount');"
+    ].join('\n');
+    const modifications = new FrontendGranularAnalyzer(config).analyzeFileChanges('src/Checkout.jsx', [], diff, CHECKOUT);
+    const custom = modifications.find(modification => modification.type === 'feature-flag');
+
+    assert.ok(custom);
+    assert.strictEqual(custom.category, 'F5');
+    assert.strictEqual(custom.line, 5);
+    assert.strictEqual(custom.confidence, 0.3);
+  },
+
+  '权重覆盖同样作用于自定义规则，0 时不产生修改项与指标': () => {
+    const rules = [{ id: 'feature-flag', category: 'F5', weight: 30, keywords: ['isEnabled('] }];
+    const diff = [
+      '@@ -4,0 +5,1 @@',
+      "+  const enabled = flags.isEnabled('discount');"
+    ].join('\n');
+    const analyze = config => new FrontendGranularAnalyzer(config).analyzeFileChanges('src/Checkout.jsx', [], diff, CHECKOUT)
+      .filter(modification => modification.type === 'feature-flag');
+    const indicators = config => FrontendChangeClassifier.classifyFile('src/Checkout.jsx', {
+      relativePath: 'src/Checkout.jsx',
+      content: CHECKOUT,
+      methods: []
+    }, config, OPTIONS).classification.indicators.filter(indicator => indicator.rule === 'feature-flag');
+
+    const boosted = normalizeConfig({ rules, weights: { 'feature-flag': 80 } });
+    assert.deepStrictEqual(analyze(boosted).map(modification => modification.confidence), [0.8]);
+    assert.deepStrictEqual(indicators(boosted).map(indicator => indicator.weight), [80]);
+
+    const disabled = normalizeConfig({ rules, weights: { 'feature-flag': 0 } });
+    assert.deepStrictEqual(analyze(disabled), []);
+    assert.deepStrictEqual(indicators(disabled), []);
+  }
+};
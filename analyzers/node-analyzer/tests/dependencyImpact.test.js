@@ -0,0 +1,113 @@
+/**
+ * dependencyImpact.js：反向依赖传播、循环依赖查找与依赖图比较
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const FrontendAnalyzer = require('../analyze');
+const { AnalysisThresholds } = require('../../shared/constants');
+const {
+  buildReverseGraph,
+  findImpactedModules,
+  findCircularDependencies,
+  normalizeCycle,
+  diffDependencyGraphs
+} = require('../dependencyImpact');
+
+const GRAPH = {
+  'src/App.vue': ['src/Card.jsx', 'src/store.js'],
+  'src/Card.jsx': ['src/format.js'],
+  'src/Page.svelte': ['src/format.js'],
+  'src/store.js': ['src/format.js'],
+  'src/util.js': ['src/format.js'],
+  'src/format.js': []
+};
+
+module.exports = {
+  'buildReverseGraph 记录每个文件的导入方': () => {
+    const reverse = buildReverseGraph(GRAPH);
+    assert.deepStrictEqual([...reverse.get('src/format.js')].sort(), ['src/Card.jsx', 'src/Page.svelte', 'src/store.js', 'src/util.js']);
+    assert.strictEqual(reverse.has('src/App.vue'), false);
+  },
+
+  'findImpactedModules 按最短路径深度返回受影响模块并识别组件': () => {
+    const impacted = findImpactedModules(GRAPH, ['src/format.js'], {
+      isComponent: file => file === 'src/util.js' ? 'angular' : false
+    });
+
+    assert.deepStrictEqual(impacted.map(entry => [entry.file, entry.depth, entry.via]), [
+      ['src/Card.jsx', 1, 'src/format.js'],
+      ['src/Page.svelte', 1, 'src/format.js'],
+      ['src/store.js', 1, 'src/format.js'],
+      ['src/util.js', 1, 'src/format.js'],
+      ['src/App.vue', 2, 'src/Card.jsx']
+    ]);
+    const frameworks = Object.fromEntries(impacted.map(entry => [entry.file, entry.framework]));
+    assert.deepStrictEqual(frameworks, {
+      'src/Card.jsx': 'react',
+      'src/Page.svelte': 'svelte',
+      'src/store.js': null,
+      'src/util.js': 'angular',
+      'src/App.vue': 'vue'
+    });
+    assert.strictEqual(impacted.find(entry => entry.file === 'src/store.js').type, 'module');
+  },
+
+  'findImpactedModules 遵守最大深度且不返回变更文件本身': () => {
+    const shallow = findImpactedModules(GRAPH, ['src/format.js'], { maxDepth: 1 });
+    assert.ok(shallow.every(entry => entry.depth === 1));
+
+    const both = findImpactedModules(GRAPH, ['src/format.js', 'src/Card.jsx']);
+    assert.ok(!both.some(entry => entry.file === 'src/Card.jsx'));
+    assert.strictEqual(both.find(entry => entry.file === 'src/App.vue').depth, 1);
+  },
+
+  'findImpactedModules 深度 0 不传播，深度 1 只返回直接导入方，未指定时使用默认深度': () => {
+    assert.deepStrictEqual(findImpactedModules(GRAPH, ['src/format.js'], { maxDepth: 0 }), []);
+
+    const direct = findImpactedModules(GRAPH, ['src/format.js'], { maxDepth: 1 });
+    assert.deepStrictEqual(direct.map(entry => entry.file), ['src/Card.jsx', 'src/Page.svelte', 'src/store.js', 'src/util.js']);
+
+    [undefined, NaN].forEach(maxDepth => {
+      assert.ok(findImpactedModules(GRAPH, ['src/format.js'], { maxDepth }).some(entry => entry.file === 'src/App.vue'));
+    });
+  },
+
+  '分析器的 impactDepth：0 保留，未传值时取默认深度，命令行拒绝负数': () => {
+    assert.strictEqual(new FrontendAnalyzer('.', { impactDepth: 0 }).options.impactDepth, 0);
+    assert.strictEqual(new FrontendAnalyzer('.', { impactDepth: undefined }).options.impactDepth, AnalysisThresholds.MAX_DEPENDENCY_DEPTH);
+
+    const cli = spawnSync(process.execPath, [path.join(__dirname, '..', 'analyze.js'), '.', 'json', '--impact-depth', '-1'], { encoding: 'utf-8' });
+    assert.strictEqual(cli.status, 1);
+    assert.ok(cli.stderr.includes('--impact-depth 必须是非负整数'));
+  },
+
+  'findCircularDependencies 与 madge circular() 结果一致': () => {
+    const circular = findCircularDependencies({ a: ['b'], b: ['c', 'a'], c: ['a', 'd'], d: ['d'] });
+    assert.deepStrictEqual(circular, [['a', 'b', 'c'], ['d'], ['a', 'b']]);
+    assert.deepStrictEqual(findCircularDependencies(GRAPH), []);
+  },
+
+  'normalizeCycle 旋转到字典序最小的文件开头': () => {
+    assert.deepStrictEqual(normalizeCycle(['c.js', 'a.js', 'b.js']), ['a.js', 'b.js', 'c.js']);
+    assert.deepStrictEqual(normalizeCycle([]), []);
+  },
+
+  'diffDependencyGraphs 比较导入边与循环依赖并识别重命名': () => {
+    const before = {
+      graph: { 'a.js': ['b.js'], 'b.js': ['a.js'], 'old.js': ['a.js'] },
+      circular: [['b.js', 'a.js']]
+    };
+    const after = {
+      graph: { 'a.js': ['c.js'], 'c.js': ['a.js'], 'b.js': [], 'new.js': ['a.js'] },
+      circular: [['c.js', 'a.js']]
+    };
+
+    const diff = diffDependencyGraphs(before, after, { 'old.js': 'new.js' });
+    assert.deepStrictEqual(diff.addedEdges, [{ from: 'a.js', to: 'c.js' }, { from: 'c.js', to: 'a.js' }]);
+    assert.deepStrictEqual(diff.removedEdges, [{ from: 'a.js', to: 'b.js' }, { from: 'b.js', to: 'a.js' }]);
+    assert.deepStrictEqual(diff.newCircular, [['a.js', 'c.js']]);
+    assert.deepStrictEqual(diff.resolvedCircular, [['a.js', 'b.js']]);
+  }
+};
@@ -0,0 +1,172 @@
+/**
+ * diffParser.js：unified diff 解析、hunk 到方法的映射、变更范围视图与分类范围
+ */
+
+const assert = require('assert');
+const { parseUnifiedDiff, mapHunksToMethods, buildChangeScope, buildClassificationScope, formatHunks } = require('../diffParser');
+
+const DIFF = [
+  'diff --git a/src/a.js b/src/a.js',
+  'index 1111111..2222222 100644',
+  '--- a/src/a.js',
+  '+++ b/src/a.js',
+  '@@ -2,3 +2,4 @@ function load() {',
+  ' const x = 1;',
+  '-const y = 2;',
+  '+const y = 3;',
+  '+const z = 4;',
+  ' return x;',
+  'diff --git a/new.js b/new.js',
+  'new file mode 100644',
+  '--- /dev/null',
+  '+++ b/new.js',
+  '@@ -0,0 +1 @@',
+  '+export default 1;'
+].join('\n');
+
+module.exports = {
+  'parseUnifiedDiff 解析文件路径、hunk 与行号': () => {
+    const files = parseUnifiedDiff(DIFF);
+    assert.strictEqual(files.length, 2);
+
+    const [modified, added] = files;
+    assert.deepStrictEqual([modified.oldPath, modified.newPath], ['src/a.js', 'src/a.js']);
+    const [hunk] = modified.hunks;
+    assert.deepStrictEqual([hunk.oldStart, hunk.oldLines, hunk.newStart, hunk.newLines], [2, 3, 2, 4]);
+    assert.strictEqual(hunk.header, 'function load() {');
+    assert.deepStrictEqual(hunk.lines, [
+      { type: '-', content: 'const y = 2;', oldLine: 3 },
+      { type: '+', content: 'const y = 3;', newLine: 3 },
+      { type: '+', content: 'const z = 4;', newLine: 4 }
+    ]);
+
+    assert.deepStrictEqual([added.oldPath, added.newPath], [null, 'new.js']);
+    assert.strictEqual(added.hunks[0].newLines, 1);
+  },
+
+  'parseUnifiedDiff 还原 git 引用的非 ASCII 路径': () => {
+    const [file] = parseUnifiedDiff([
+      'diff --git "a/src/\\344\\270\\255.js" "b/src/\\344\\270\\255.js"',
+      '--- "a/src/\\344\\270\\255.js"',
+      '+++ "b/src/\\344\\270\\255.js"',
+      '@@ -1 +1 @@',
+      '-a',
+      '+b'
+    ].join('\n'));
+    assert.strictEqual(file.newPath, 'src/中.js');
+  },
+
+  'formatHunks 保留 hunk 头与增删行（不含上下文行）': () => {
+    const hunks = parseUnifiedDiff(DIFF)[0].hunks;
+    const text = formatHunks(hunks);
+    assert.strictEqual(text, '@@ -2,3 +2,4 @@ function load() {\n-const y = 2;\n+const y = 3;\n+const z = 4;');
+
+    const [reparsed] = parseUnifiedDiff(text)[0].hunks;
+    assert.deepStrictEqual(reparsed.lines.map(line => line.type + line.content), hunks[0].lines.map(line => line.type + line.content));
+  },
+
+  'mapHunksToMethods 区分新增、修改与删除的方法': () => {
+    const hunks = parseUnifiedDiff([
+      '@@ -1,6 +1,6 @@',
+      ' function keep() {',
+      '-  return 1;',
+      '+  return 2;',
+      ' }',
+      '-function gone() {',
+      '-}',
+      '+function fresh() {',
+      '+}'
+    ].join('\n'))[0].hunks;
+    const before = [{ name: 'keep', startLine: 1, endLine: 3 }, { name: 'gone', startLine: 4, endLine: 5 }];
+    const after = [{ name: 'keep', startLine: 1, endLine: 3 }, { name: 'fresh', startLine: 4, endLine: 5 }];
+
+    const { changedMethods, unscopedLines } = mapHunksToMethods(hunks, after, before);
+    const byName = new Map(changedMethods.map(method => [method.name, method]));
+    assert.strictEqual(byName.get('keep').changeType, 'modified');
+    assert.deepStrictEqual([byName.get('keep').addedLines, byName.get('keep').removedLines], [[2], [2]]);
+    assert.strictEqual(byName.get('gone').changeType, 'deleted');
+    assert.strictEqual(byName.get('gone').after, null);
+    assert.strictEqual(byName.get('fresh').changeType, 'added');
+    assert.deepStrictEqual(byName.get('fresh').after, { startLine: 4, endLine: 5 });
+    assert.strictEqual(unscopedLines.length, 0);
+  },
+
+  'mapHunksToMethods 按起始行区分同名方法': () => {
+    // 类方法 render 与顶层函数 render 同名；前面插入 2 行后只修改了顶层函数
+    const hunks = parseUnifiedDiff([
+      '@@ -0,0 +1,2 @@',
+      '+// header',
+      '+',
+      '@@ -6,3 +8,3 @@',
+      ' function render() {',
+      '-  return 1;',
+      '+  return 2;',
+      ' }'
+    ].join('\n'))[0].hunks;
+    const before = [
+      { name: 'render', type: 'function', startLine: 1, endLine: 3 },
+      { name: 'render', type: 'function', startLine: 6, endLine: 8 }
+    ];
+    const after = [
+      { name: 'render', type: 'function', startLine: 3, endLine: 5 },
+      { name: 'render', type: 'function', startLine: 8, endLine: 10 }
+    ];
+
+    const { changedMethods, unscopedLines } = mapHunksToMethods(hunks, after, before);
+    assert.strictEqual(changedMethods.length, 1);
+    const [render] = changedMethods;
+    assert.strictEqual(render.changeType, 'modified');
+    assert.deepStrictEqual(render.before, { startLine: 6, endLine: 8 });
+    assert.deepStrictEqual(render.after, { startLine: 8, endLine: 10 });
+    assert.deepStrictEqual([render.addedLines, render.removedLines], [[9], [7]]);
+    assert.strictEqual(unscopedLines.length, 2);
+  },
+
+  'mapHunksToMethods 将嵌套方法中的变更归到最内层': () => {
+    const hunks = parseUnifiedDiff('@@ -3 +3 @@\n-  a();\n+  b();')[0].hunks;
+    const methods = [{ name: 'outer', startLine: 1, endLine: 6 }, { name: 'inner', startLine: 2, endLine: 4 }];
+    const { changedMethods } = mapHunksToMethods(hunks, methods, methods);
+    assert.deepStrictEqual(changedMethods.map(method => method.name), ['inner']);
+  },
+
+  'buildChangeScope 只保留被修改的方法体、删除行与方法外的变更行': () => {
+    const content = ['function a() {', '  return 2;', '}', 'function b() {', '  return 0;', '}', 'const c = 1;'].join('\n');
+    const hunks = parseUnifiedDiff('@@ -2 +2 @@\n-  return 1;\n+  return 2;\n@@ -7 +7 @@\n-const c = 0;\n+const c = 1;')[0].hunks;
+    const methods = [{ name: 'a', startLine: 1, endLine: 3 }, { name: 'b', startLine: 4, endLine: 6 }];
+    const { changedMethods } = mapHunksToMethods(hunks, methods, methods);
+
+    const scope = buildChangeScope({ content, hunks, methods, changedMethods });
+    assert.strictEqual(scope.content, ['function a() {', '  return 2;', '}', '  return 1;', 'const c = 0;', 'const c = 1;'].join('\n'));
+    assert.deepStrictEqual(scope.methods, [methods[0]]);
+
+    const renamed = buildChangeScope({ content, oldPath: 'old.js', hunks: [], methods });
+    assert.strictEqual(renamed.content, '');
+  },
+
+  'buildClassificationScope 只保留新增行与变更前版本中删除行上的 AST 事实': () => {
+    const before = ['function List() {', '  useEffect(load, []);', '  return null;', '}'].join('\n');
+    const content = ['function List() {', '  const [items] = useState([]);', '  return null;', '}'].join('\n');
+    const hunks = parseUnifiedDiff('@@ -2 +2 @@\n-  useEffect(load, []);\n+  const [items] = useState([]);')[0].hunks;
+    const reads = [];
+    const scope = buildClassificationScope(
+      { relativePath: 'src/List.jsx', oldPath: 'src/OldList.jsx', content, hunks, methods: [], changedMethods: [] },
+      oldPath => {
+        reads.push(oldPath);
+        return before;
+      }
+    );
+
+    assert.deepStrictEqual(reads, ['src/OldList.jsx']);
+    assert.deepStrictEqual(scope.changedLines, [2]);
+    assert.deepStrictEqual(scope.removedLines, [{ line: 2, source: 'useEffect(load, []);' }]);
+    assert.deepStrictEqual(scope.astFacts.hookCalls.map(fact => [fact.name, fact.line, !!fact.removed]), [
+      ['useState', 2, false],
+      ['useEffect', 2, true]
+    ]);
+
+    // 没有 diff 时沿用 buildChangeScope，不读取变更前的内容
+    const whole = buildClassificationScope({ relativePath: 'src/List.jsx', content, methods: [] }, () => assert.fail('不应读取'));
+    assert.strictEqual(whole.content, content);
+    assert.strictEqual(whole.astFacts, undefined);
+  }
+};
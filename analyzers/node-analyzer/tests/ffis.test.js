@@ -0,0 +1,95 @@
+/**
+ * FFIS 文件重要度：等级阈值（shared/constants.js 的 FFIS_*_THRESHOLD）与 fileMetrics 的 ffis_score 取值范围
+ */
+
+const assert = require('assert');
+const FrontendAnalyzer = require('../analyze');
+const FFISScorer = require('../ffisScorer');
+const { AnalysisThresholds } = require('../../shared/constants');
+
+// 各项中心性都取满分的页面组件
+const HUB_PAGE = [
+  "import React, { useState } from 'react';",
+  '',
+  'export default function Dashboard() {',
+  ...Array.from({ length: 12 }, (_, i) => `  const [value${i}, setValue${i}] = useState(${i});`),
+  "  fetch('/api/dashboard');",
+  '  return (',
+  ...Array.from({ length: 10 }, (_, i) => `${'  '.repeat(i + 2)}<section>`),
+  ...Array.from({ length: 60 }, (_, i) => `<button onClick={() => setValue${i % 12}(${i})}>${i}</button>`),
+  ...Array.from({ length: 10 }, (_, i) => `${'  '.repeat(11 - i)}</section>`),
+  '  );',
+  '}'
+].join('\n');
+
+function level(ffis) {
+  return FFISScorer.getImportanceLevel(ffis).importanceLevel;
+}
+
+module.exports = {
+  '重要性等级在 0.6 / 0.4 / 0.3 处切换，阈值本身归入较高等级': () => {
+    assert.strictEqual(AnalysisThresholds.FFIS_CORE_THRESHOLD, 0.6);
+    assert.strictEqual(AnalysisThresholds.FFIS_KEY_THRESHOLD, 0.4);
+    assert.strictEqual(AnalysisThresholds.FFIS_NORMAL_THRESHOLD, 0.3);
+
+    assert.strictEqual(level(1), '核心文件');
+    assert.strictEqual(level(0.6), '核心文件');
+    assert.strictEqual(level(0.5999), '关键文件');
+    assert.strictEqual(level(0.4), '关键文件');
+    assert.strictEqual(level(0.3999), '普通文件');
+    assert.strictEqual(level(0.3), '普通文件');
+    assert.strictEqual(level(0.2999), '辅助文件');
+    assert.strictEqual(level(0), '辅助文件');
+    assert.deepStrictEqual(FFISScorer.getImportanceLevel(0.6), { importanceLevel: '核心文件', importanceStars: '⭐⭐⭐⭐' });
+  },
+
+  'calculateFFIS 的等级与评分一致，评分不超过 1.0': () => {
+    const dependencyGraph = {
+      'src/pages/Dashboard.jsx': ['src/a.js', 'src/b.js', 'src/c.js'],
+      'src/a.js': ['src/pages/Dashboard.jsx'],
+      'src/b.js': ['src/pages/Dashboard.jsx'],
+      'src/c.js': ['src/pages/Dashboard.jsx']
+    };
+    const classification = { filePath: 'src/pages/Dashboard.jsx', classification: { category: 'F1', confidence: 1 } };
+    const hub = FFISScorer.calculateFFIS({ relativePath: 'src/pages/Dashboard.jsx', content: HUB_PAGE, methods: [] }, dependencyGraph, null, classification);
+    assert.strictEqual(hub.ffis, 1);
+    assert.strictEqual(hub.importanceLevel, '核心文件');
+
+    const empty = FFISScorer.calculateFFIS({ relativePath: 'empty.js', content: '', methods: [] });
+    assert.strictEqual(empty.ffis, 0);
+    assert.strictEqual(empty.importanceLevel, '辅助文件');
+  },
+
+  'fileMetrics 的 ffis_score 为 0-100 的整数，同一文件只保留第一次评分并按评分降序': () => {
+    const analyzer = new FrontendAnalyzer(__dirname);
+    const dependencyGraph = { 'src/pages/Dashboard.jsx': ['src/a.js'], 'src/a.js': ['src/pages/Dashboard.jsx'] };
+    const files = analyzer.scoreFilesWithFFIS([
+      { relativePath: 'empty.js', content: '', methods: [] },
+      { relativePath: 'src/pages/Dashboard.jsx', content: HUB_PAGE, methods: [] },
+      { relativePath: 'src/a.js', content: 'export const a = 1;\n', methods: [] }
+    ], dependencyGraph, [{ filePath: 'src/pages/Dashboard.jsx', classification: { category: 'F1', confidence: 1 } }]);
+
+    const metrics = analyzer.buildFileMetrics([
+      ...files,
+      { relativePath: 'src/a.js', ffis: 0.9, importanceLevel: '核心文件' },
+      { relativePath: 'unscored.js' }
+    ]);
+    assert.deepStrictEqual(metrics.map(metric => metric.path), ['src/pages/Dashboard.jsx', 'src/a.js', 'empty.js']);
+    const scored = new Map(files.map(file => [file.relativePath, file]));
+    metrics.forEach(metric => {
+      assert.ok(Number.isInteger(metric.ffis_score) && metric.ffis_score >= 0 && metric.ffis_score <= 100, `${metric.path}: ${metric.ffis_score}`);
+      // 重复出现的 src/a.js 保留第一次的评分
+      assert.strictEqual(metric.ffis_score, Math.round(scored.get(metric.path).ffis * 100));
+      assert.strictEqual(metric.importance_level, scored.get(metric.path).importanceLevel);
+    });
+    assert.strictEqual(metrics[2].ffis_score, 0);
+
+    assert.deepStrictEqual(analyzer.buildFileMetrics([
+      { relativePath: 'src/x.js', ffis: 0.4567, importanceLevel: '关键文件' },
+      { relativePath: 'src/y.js', ffis: 1, importanceLevel: '核心文件' }
+    ]), [
+      { path: 'src/y.js', ffis_score: 100, importance_level: '核心文件' },
+      { path: 'src/x.js', ffis_score: 46, importance_level: '关键文件' }
+    ]);
+  }
+};
@@ -0,0 +1,6 @@
+import React from 'react';
+import styles from './Card.module.scss';
+
+export default function Card({ title }) {
+  return <h3 className={styles.cardTitle}>{title}</h3>;
+}
@@ -0,0 +1,7 @@
+import React from 'react';
+import { flags } from '../flags';
+
+export default function Checkout({ total }) {
+  const showDiscount = flags.isEnabled('discount');
+  return <p className="total">{showDiscount ? total * 0.9 : total}</p>;
+}
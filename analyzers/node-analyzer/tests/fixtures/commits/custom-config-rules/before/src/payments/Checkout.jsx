@@ -0,0 +1,6 @@
+import React from 'react';
+import { flags } from '../flags';
+
+export default function Checkout({ total }) {
+  return <p className="total">{total}</p>;
+}
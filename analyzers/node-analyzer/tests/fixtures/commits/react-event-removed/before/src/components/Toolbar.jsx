@@ -0,0 +1,10 @@
+import React from 'react';
+
+export default function Toolbar({ onRefresh, title }) {
+  return (
+    <div className="toolbar">
+      <h2>{title}</h2>
+      <button type="button" onClick={onRefresh}>Refresh</button>
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+import React, { useEffect, useState } from 'react';
+
+export default function UserList({ api }) {
+  const [users, setUsers] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    async function load() {
+      const response = await api.get('/users');
+      if (!cancelled) setUsers(response.data);
+    }
+    load();
+    return () => { cancelled = true; };
+  }, [api]);
+
+  return (
+    <ul>
+      {users.map(user => <li key={user.id}>{user.name}</li>)}
+    </ul>
+  );
+}
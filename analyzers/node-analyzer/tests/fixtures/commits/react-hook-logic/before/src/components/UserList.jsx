@@ -0,0 +1,15 @@
+import React, { useEffect, useState } from 'react';
+
+export default function UserList({ api }) {
+  const [users, setUsers] = useState([]);
+
+  useEffect(() => {
+    api.get('/users').then(response => setUsers(response.data));
+  }, [api]);
+
+  return (
+    <ul>
+      {users.map(user => <li key={user.id}>{user.name}</li>)}
+    </ul>
+  );
+}
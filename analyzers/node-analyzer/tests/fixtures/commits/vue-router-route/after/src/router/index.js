@@ -0,0 +1,11 @@
+import { createRouter, createWebHistory } from 'vue-router';
+import Home from '../views/Home.vue';
+import Settings from '../views/Settings.vue';
+
+export default createRouter({
+  history: createWebHistory(),
+  routes: [
+    { path: '/', component: Home },
+    { path: '/settings', component: Settings }
+  ]
+});
@@ -0,0 +1,25 @@
+import { Component, EventEmitter, HostListener, Input, OnInit, Output } from '@angular/core';
+
+@Component({
+  selector: 'app-user-card',
+  templateUrl: './user-card.component.html'
+})
+export class UserCardComponent implements OnInit {
+  @Input() user: { name: string };
+  @Output() selected = new EventEmitter<string>();
+
+  ngOnInit(): void {
+    this.selected.emit(this.user.name);
+  }
+
+  @HostListener('keydown', ['$event'])
+  onKeydown(event: KeyboardEvent): void {
+    if (event.key === 'Enter') {
+      this.select();
+    }
+  }
+
+  select(): void {
+    this.selected.emit(this.user.name);
+  }
+}
@@ -0,0 +1,5 @@
+import React from 'react';
+
+const cardStyles = require('./Card.module.scss');
+
+export const Badge = ({ text }) => <span className={cardStyles['title']}>{text}</span>;
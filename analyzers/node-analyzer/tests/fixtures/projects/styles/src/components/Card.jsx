@@ -0,0 +1,12 @@
+import React from 'react';
+import styles from './Card.module.scss';
+
+export function Card({ title, children }) {
+  return (
+    <div className={styles.card}>
+      <h3 className={styles.title}>{title}</h3>
+      {children}
+      <footer className={styles.cardFooter} />
+    </div>
+  );
+}
@@ -0,0 +1,3 @@
+export function track(event, value) {
+  return { event, value };
+}
@@ -0,0 +1,3 @@
+export function formatTitle(title) {
+  return title.trim();
+}
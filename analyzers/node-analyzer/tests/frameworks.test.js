@@ -0,0 +1,141 @@
+/**
+ * 组件文件解析：分析 fixtures/projects 下的样例项目，检查方法、导入、组件快照与分类
+ */
+
+const assert = require('assert');
+const path = require('path');
+const FrontendAnalyzer = require('../analyze');
+const { FrontendChangeClassifier } = require('../../shared/classifiers');
+const { extractAstFacts } = require('../astFacts');
+
+const PROJECT_DIR = path.join(__dirname, 'fixtures', 'projects');
+
+/**
+ * 分析样例项目，返回 { files, snapshots }：files 以相对路径为键，snapshots 为组件快照（filePath 为相对路径）
+ */
+async function analyzeProject(name) {
+  const projectDir = path.join(PROJECT_DIR, name);
+  const analyzer = new FrontendAnalyzer(projectDir);
+  const result = await analyzer.analyzeCode();
+  return {
+    files: new Map(result.files.map(file => [file.relativePath, file])),
+    snapshots: analyzer.componentSnapshots.map(snapshot => ({
+      ...snapshot,
+      filePath: path.relative(projectDir, snapshot.filePath).replace(/\\/g, '/')
+    }))
+  };
+}
+
+function classify(fileInfo) {
+  const { classification } = FrontendChangeClassifier.classifyFile(fileInfo.relativePath, fileInfo, undefined, { extractFacts: extractAstFacts });
+  return {
+    labels: classification.labels.map(label => label.category).sort(),
+    rules: [...new Set(classification.indicators.map(indicator => indicator.rule))].sort()
+  };
+}
+
+function methodSpans(fileInfo) {
+  return fileInfo.methods.map(method => [method.name, method.type, method.startLine, method.endLine]);
+}
+
+function callTargets(fileInfo, methodName) {
+  const method = fileInfo.methods.find(entry => entry.name === methodName);
+  return method.resolvedCalls.filter(call => call.resolved && call.file !== fileInfo.relativePath)
+    .map(call => `${call.name} -> ${call.file}:${call.method}`);
+}
+
+module.exports = {
+  'Vue：Options API 的 methods/computed/watch 作为方法输出，行号对应 .vue 文件': async () => {
+    const { files } = await analyzeProject('vue');
+    const todoList = files.get('src/components/TodoList.vue');
+
+    assert.deepStrictEqual(methodSpans(todoList), [
+      ['methods.toggle', 'method', 38, 41],
+      ['computed.visible', 'computed', 17, 19],
+      ['computed.selected', 'computed', 21, 23],
+      ['computed.selected.set', 'computed', 24, 26],
+      ['watch.items', 'watch', 31, 33]
+    ]);
+    assert.deepStrictEqual(todoList.imports.map(imp => [imp.module, imp.imports]), [['../utils', ['formatTitle']]]);
+    assert.deepStrictEqual(todoList.exports, [{ module: null, exports: ['default'] }]);
+    assert.deepStrictEqual(callTargets(todoList, 'methods.toggle'), ['formatTitle -> src/utils.js:formatTitle']);
+  },
+
+  'Vue：<script setup lang="ts"> 按 TS 分析': async () => {
+    const { files } = await analyzeProject('vue');
+    const counter = files.get('src/components/Counter.vue');
+
+    assert.deepStrictEqual(methodSpans(counter), [
+      ['increment', 'function', 7, 9],
+      ['label', 'arrow-function', 11, 11]
+    ]);
+    const increment = counter.methods.find(method => method.name === 'increment');
+    assert.deepStrictEqual(increment.parameters, [{ name: 'step', type: 'number', optional: true, defaultValue: '1' }]);
+    assert.strictEqual(increment.returnType, 'void');
+    assert.deepStrictEqual(counter.imports.map(imp => imp.module), ['vue', '../utils']);
+    assert.deepStrictEqual(callTargets(counter, 'label'), ['formatTitle -> src/utils.js:formatTitle']);
+  },
+
+  'Svelte：实例脚本与 context="module" 脚本分别分析，快照包含 props、生命周期与事件修饰符': async () => {
+    const { files, snapshots } = await analyzeProject('svelte');
+    const toggle = files.get('src/Toggle.svelte');
+
+    assert.deepStrictEqual(methodSpans(toggle), [
+      ['createId', 'function', 2, 4],
+      ['toggle', 'function', 14, 17]
+    ]);
+    assert.deepStrictEqual(toggle.methods.map(method => method.isExported), [true, false]);
+    assert.deepStrictEqual(toggle.exports.flatMap(exp => exp.exports), ['createId', 'label', 'checked']);
+    assert.deepStrictEqual(callTargets(toggle, 'toggle'), ['track -> src/analytics.js:track']);
+
+    assert.deepStrictEqual(snapshots, [{
+      componentName: 'Toggle',
+      framework: 'svelte',
+      filePath: 'src/Toggle.svelte',
+      props: ['label', 'checked'],
+      hooksOrLifecycle: ['onMount'],
+      eventBindings: ['change'],
+      renderElements: ['label', 'input', 'span']
+    }]);
+    assert.deepStrictEqual(classify(toggle), {
+      labels: ['F1', 'F4'],
+      rules: ['component-file', 'event-handler', 'form-element', 'svelte-event', 'svelte-lifecycle']
+    });
+  },
+
+  'Angular：组件类与外部模板分别生成快照，双向绑定不计为事件': async () => {
+    const { files, snapshots } = await analyzeProject('angular');
+    const component = files.get('src/app/user-card.component.ts');
+    const template = files.get('src/app/user-card.component.html');
+
+    assert.deepStrictEqual(methodSpans(component), [
+      ['UserCardComponent.ngOnInit', 'method', 11, 13],
+      ['UserCardComponent.onKeydown', 'method', 15, 20],
+      ['UserCardComponent.select', 'method', 22, 24]
+    ]);
+    assert.ok(component.methods.find(method => method.name === 'UserCardComponent.onKeydown').resolvedCalls
+      .some(call => call.name === 'select' && call.method === 'UserCardComponent.select'));
+
+    const byFile = new Map(snapshots.map(snapshot => [snapshot.filePath, snapshot]));
+    assert.deepStrictEqual(byFile.get('src/app/user-card.component.ts'), {
+      componentName: 'UserCardComponent',
+      framework: 'angular',
+      filePath: 'src/app/user-card.component.ts',
+      props: ['user', 'selected'],
+      hooksOrLifecycle: ['ngOnInit'],
+      eventBindings: ['keydown'],
+      renderElements: []
+    });
+    const templateSnapshot = byFile.get('src/app/user-card.component.html');
+    assert.strictEqual(templateSnapshot.componentName, 'UserCardComponent');
+    assert.deepStrictEqual(templateSnapshot.eventBindings, ['click', 'blur']);
+    assert.deepStrictEqual(templateSnapshot.renderElements, ['div', 'h3', 'input']);
+
+    assert.deepStrictEqual(classify(component), {
+      labels: ['F1', 'F4'],
+      rules: ['angular-event', 'angular-lifecycle', 'component-file', 'event-handler']
+    });
+    assert.deepStrictEqual(classify(template).labels, ['F4']);
+    assert.ok(classify(template).rules.includes('angular-event'));
+  }
+};
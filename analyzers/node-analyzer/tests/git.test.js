@@ -0,0 +1,91 @@
+/**
+ * 共享 Git 服务（analyzers/shared/git.js）：NUL 分隔的 log 与 name-status 解析
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { GitRepository, parseNameStatus, parseLog } = require('../../shared/git');
+
+// 与 LOG_FIELDS 顺序一致的单条记录
+function logRecord(fields) {
+  return [
+    fields.hash, fields.parents || '', fields.subject || '', fields.body || '',
+    'Alice', 'alice@example.com', '2024-01-02T03:04:05+08:00',
+    'Bob', 'bob@example.com', '2024-01-02T04:05:06+08:00',
+    fields.coAuthors || ''
+  ].join('\0');
+}
+
+module.exports = {
+  'parseNameStatus 解析增删改与重命名、复制': () => {
+    const output = ['A', 'src/new.js', 'M', 'src/a.js', 'D', 'src/gone.js', 'R087', 'src/old.js', 'src/moved.js', 'C100', 'src/a.js', 'src/copy.js', ''].join('\0');
+    assert.deepStrictEqual(parseNameStatus(output), [
+      { status: 'added', path: 'src/new.js', oldPath: null, similarity: null },
+      { status: 'modified', path: 'src/a.js', oldPath: null, similarity: null },
+      { status: 'deleted', path: 'src/gone.js', oldPath: null, similarity: null },
+      { status: 'renamed', path: 'src/moved.js', oldPath: 'src/old.js', similarity: 87 },
+      { status: 'copied', path: 'src/copy.js', oldPath: 'src/a.js', similarity: 100 }
+    ]);
+  },
+
+  'parseNameStatus 原样保留含换行、制表符的路径': () => {
+    const output = ['M', '\nlead.js', 'R100', 'tab\tname.js', 'line\nbreak.js', ''].join('\0');
+    assert.deepStrictEqual(parseNameStatus(output).map(entry => [entry.oldPath, entry.path]), [
+      [null, '\nlead.js'],
+      ['tab\tname.js', 'line\nbreak.js']
+    ]);
+    assert.deepStrictEqual(parseNameStatus(''), []);
+  },
+
+  'parseLog 按字段数切分记录，主题与正文中的任意字符不影响解析': () => {
+    const output = [
+      logRecord({ hash: 'b'.repeat(40), parents: `${'a'.repeat(40)} ${'c'.repeat(40)}`, subject: 'Merge: a | b', body: 'line 1\n\n%x00 line 2\n' }),
+      logRecord({ hash: 'a'.repeat(40), subject: 'init', coAuthors: 'Carol <carol@example.com>\x1fDave <dave@example.com>' })
+    ].join('\0') + '\0';
+
+    const commits = parseLog(output);
+    assert.strictEqual(commits.length, 2);
+    const [merge, root] = commits;
+    assert.deepStrictEqual(merge.parents, ['a'.repeat(40), 'c'.repeat(40)]);
+    assert.strictEqual(merge.subject, 'Merge: a | b');
+    assert.strictEqual(merge.body, 'line 1\n\n%x00 line 2');
+    assert.deepStrictEqual(merge.author, { name: 'Alice', email: 'alice@example.com', date: '2024-01-02T03:04:05+08:00' });
+    assert.deepStrictEqual(merge.committer, { name: 'Bob', email: 'bob@example.com', date: '2024-01-02T04:05:06+08:00' });
+    assert.deepStrictEqual(merge.coAuthors, []);
+
+    assert.deepStrictEqual(root.parents, []);
+    assert.deepStrictEqual(root.coAuthors, [
+      { name: 'Carol', email: 'carol@example.com' },
+      { name: 'Dave', email: 'dave@example.com' }
+    ]);
+    assert.deepStrictEqual(parseLog(''), []);
+  },
+
+  'GitRepository 读取真实仓库的 log 与 name-status': () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'diffsense-git-test-'));
+    const git = args => execFileSync('git', ['-c', 'user.name=Alice', '-c', 'user.email=alice@example.com', ...args], { cwd: root, stdio: 'ignore' });
+    try {
+      git(['init', '-q']);
+      fs.writeFileSync(path.join(root, '\nlead.js'), 'export const a = 1;\n');
+      git(['add', '.']);
+      git(['commit', '-q', '-m', 'first\n\nbody\n\nCo-authored-by: Carol <carol@example.com>']);
+      git(['mv', '\nlead.js', 'moved.js']);
+      git(['commit', '-q', '-m', 'second']);
+
+      const repo = new GitRepository(root);
+      const commits = repo.log(['-n', '2']);
+      assert.deepStrictEqual(commits.map(commit => commit.subject), ['second', 'first']);
+      assert.deepStrictEqual(commits[0].parents, [commits[1].hash]);
+      assert.deepStrictEqual(commits[1].coAuthors, [{ name: 'Carol', email: 'carol@example.com' }]);
+
+      assert.deepStrictEqual(repo.diffNameStatus(['HEAD~1', 'HEAD']), [
+        { status: 'renamed', path: 'moved.js', oldPath: '\nlead.js', similarity: 100 }
+      ]);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  }
+};
@@ -0,0 +1,218 @@
+/**
+ * 方法提取与调用图：在临时目录中写入一个小项目，用 analyzeCode 解析后检查方法记录与调用目标
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FrontendAnalyzer = require('../analyze');
+
+const PROJECT = {
+  'src/format.js': [
+    'export function format(value) {',
+    '  return String(value);',
+    '}',
+    '',
+    'export const api = {',
+    '  get(id) {',
+    '    return fetch(`/items/${id}`);',
+    '  }',
+    '};'
+  ],
+  'src/Panel.tsx': [
+    "import React, { forwardRef, memo } from 'react';",
+    "import { format as fmt, api } from './format';",
+    '',
+    'export class Store {',
+    '  async load(id: number): Promise<string> {',
+    '    const item = await api.get(id);',
+    '    return fmt(item);',
+    '  }',
+    '}',
+    '',
+    'export const Badge = memo(({ label }: { label: string }) => (',
+    '  <span>{fmt(label)}</span>',
+    '));',
+    '',
+    'export function Panel({ title }) {',
+    '  return <div>{title}</div>;',
+    '}',
+    '',
+    'function helper(count = 1, name?: string) {',
+    '  return fmt(count) + name;',
+    '}',
+    '',
+    'export function* ids(limit: number) {',
+    '  for (let id = 0; id < limit; id++) {',
+    '    yield id;',
+    '  }',
+    '}',
+    '',
+    'export const Field = forwardRef(function Field(props, ref) {',
+    '  return <input ref={ref} {...props} />;',
+    '});',
+    '',
+    'export const toLabel = function (value) {',
+    '  return fmt(value);',
+    '};'
+  ],
+  'src/legacy.js': [
+    "const { format: toText } = require('./format');",
+    '',
+    'exports.describe = function (value) {',
+    '  return toText(value);',
+    '};'
+  ],
+  'src/widget.js': [
+    "import { format } from './format';",
+    '',
+    'export class Widget {',
+    '  render(value) {',
+    '    return format(value);',
+    '  }',
+    '}',
+    '',
+    'export const loadWidget = async (id) => {',
+    '  const widget = new Widget();',
+    '  return widget.render(id);',
+    '};',
+    '',
+    'export default function mount(el) {',
+    '  el.textContent = format(el.id);',
+    '}'
+  ]
+};
+
+/**
+ * 写入 PROJECT 并分析，返回 { analyzer, result, methods, projectDir }，methods 以 文件:方法名 为键
+ */
+async function analyzeProject() {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'diffsense-methods-'));
+  try {
+    Object.entries(PROJECT).forEach(([file, lines]) => {
+      fs.mkdirSync(path.dirname(path.join(projectDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(projectDir, file), lines.join('\n') + '\n');
+    });
+
+    const analyzer = new FrontendAnalyzer(projectDir);
+    const result = await analyzer.analyzeCode();
+    const methods = {};
+    result.files.forEach(file => file.methods.forEach(method => {
+      methods[`${file.relativePath}:${method.name}`] = method;
+    }));
+    return { analyzer, result, methods, projectDir };
+  } catch (error) {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+async function withProject(check) {
+  const analysis = await analyzeProject();
+  try {
+    await check(analysis);
+  } finally {
+    fs.rmSync(analysis.projectDir, { recursive: true, force: true });
+  }
+}
+
+function callTargets(method) {
+  return method.resolvedCalls.map(call => `${call.name} -> ${call.external ? call.module : call.file}:${call.method}`);
+}
+
+module.exports = {
+  '通过导入别名的调用解析到定义所在的文件与方法': () => withProject(({ analyzer, result, methods }) => {
+    assert.deepStrictEqual(callTargets(methods['src/Panel.tsx:helper']), ['fmt -> src/format.js:format']);
+    assert.deepStrictEqual(callTargets(methods['src/Panel.tsx:Store.load']), [
+      'get -> src/format.js:api.get',
+      'fmt -> src/format.js:format'
+    ]);
+    assert.ok(methods['src/Panel.tsx:helper'].resolvedCalls.every(call => call.resolved && !call.external));
+
+    const edges = result.callGraph.edges.map(edge => edge.data.id);
+    assert.ok(edges.includes('src/Panel.tsx:helper->src/format.js:format'));
+    assert.ok(!edges.some(edge => edge.endsWith(':fmt')));
+
+    // 类型检查器不可用时，按导入声明中的别名匹配
+    const fileInfo = {
+      relativePath: 'src/Panel.tsx',
+      imports: [{ module: './format', imports: ['format'], defaultImport: null, namespaceImport: null, aliases: { fmt: 'format' } }]
+    };
+    assert.deepStrictEqual(analyzer.resolveCallByImports('fmt', 'fmt', fileInfo), {
+      name: 'fmt', method: 'format', file: 'src/format.js', module: null, external: false, resolved: true
+    });
+  }),
+
+  'JS 文件与 TS 一样提取类方法、默认导出、异步箭头函数与 CommonJS 导出，并解析调用': () => withProject(({ result, methods }) => {
+    const summary = key => {
+      const method = methods[key];
+      return [method.type, method.startLine, method.endLine, method.isAsync, method.isExported, callTargets(method)];
+    };
+    assert.deepStrictEqual(summary('src/widget.js:Widget.render'), ['method', 4, 6, false, true, ['format -> src/format.js:format']]);
+    assert.deepStrictEqual(summary('src/widget.js:loadWidget'), ['arrow-function', 9, 12, true, true, ['render -> src/widget.js:Widget.render']]);
+    assert.deepStrictEqual(summary('src/widget.js:mount'), ['function', 14, 16, false, true, ['format -> src/format.js:format']]);
+    // require 解构时的重命名同样按别名解析
+    assert.deepStrictEqual(summary('src/legacy.js:describe'), ['function', 3, 5, false, true, ['toText -> src/format.js:format']]);
+
+    const edges = result.callGraph.edges.map(edge => edge.data.id);
+    assert.ok(edges.includes('src/widget.js:loadWidget->src/widget.js:Widget.render'));
+    assert.ok(edges.includes('src/legacy.js:describe->src/format.js:format'));
+  }),
+
+  '方法记录包含起止行、参数类型、返回类型与 async/generator/导出标记': () => withProject(({ methods }) => {
+    const record = key => {
+      const { resolvedCalls, calls, ...rest } = methods[key];
+      return rest;
+    };
+
+    assert.deepStrictEqual(record('src/Panel.tsx:Store.load'), {
+      name: 'Store.load',
+      signature: 'Store.load(id)',
+      type: 'method',
+      line: 5,
+      startLine: 5,
+      endLine: 8,
+      parameters: [{ name: 'id', type: 'number', optional: false, defaultValue: null }],
+      returnType: 'Promise<string>',
+      isAsync: true,
+      isGenerator: false,
+      isExported: true
+    });
+
+    const helper = record('src/Panel.tsx:helper');
+    assert.deepStrictEqual([helper.startLine, helper.endLine, helper.isExported], [19, 21, false]);
+    assert.deepStrictEqual(helper.parameters, [
+      { name: 'count', type: 'number', optional: true, defaultValue: '1' },
+      { name: 'name', type: 'string', optional: true, defaultValue: null }
+    ]);
+    assert.strictEqual(helper.returnType, 'string');
+
+    const ids = record('src/Panel.tsx:ids');
+    assert.deepStrictEqual([ids.startLine, ids.endLine, ids.isGenerator, ids.isAsync], [23, 27, true, false]);
+
+    // 未标注类型的 JS 参数为 any，返回类型由推断得到
+    const format = record('src/format.js:format');
+    assert.deepStrictEqual([format.startLine, format.endLine], [1, 3]);
+    assert.deepStrictEqual(format.parameters, [{ name: 'value', type: 'any', optional: false, defaultValue: null }]);
+    assert.strictEqual(format.returnType, 'string');
+  }),
+
+  '箭头函数、函数表达式、memo/forwardRef 包装组件与对象字面量方法作为独立方法提取': () => withProject(({ result, methods }) => {
+    const panel = result.files.find(file => file.relativePath === 'src/Panel.tsx');
+    assert.deepStrictEqual(panel.methods.map(method => method.name).sort(), [
+      'Badge', 'Field', 'Panel', 'Store.load', 'helper', 'ids', 'toLabel'
+    ]);
+
+    const span = key => {
+      const method = methods[key];
+      return [method.type, method.startLine, method.endLine, method.wrappers || []];
+    };
+    assert.deepStrictEqual(span('src/Panel.tsx:Badge'), ['component', 11, 13, ['memo']]);
+    assert.deepStrictEqual(span('src/Panel.tsx:Field'), ['component', 29, 31, ['forwardRef']]);
+    assert.deepStrictEqual(span('src/Panel.tsx:Panel'), ['component', 15, 17, []]);
+    assert.deepStrictEqual(span('src/Panel.tsx:toLabel'), ['function', 33, 35, []]);
+    assert.deepStrictEqual(span('src/format.js:api.get'), ['method', 6, 8, []]);
+    assert.deepStrictEqual(callTargets(methods['src/Panel.tsx:Badge']), ['fmt -> src/format.js:format']);
+  })
+};
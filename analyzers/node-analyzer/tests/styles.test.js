@@ -0,0 +1,89 @@
+/**
+ * 样式文件分析：选择器、自定义属性、SCSS/LESS 变量与 mixin，以及 CSS Module 类名与组件用法的对应
+ * 样例项目位于 fixtures/projects/styles
+ */
+
+const assert = require('assert');
+const path = require('path');
+const FrontendAnalyzer = require('../analyze');
+const { parseStylesheet } = require('../styleAnalyzer');
+
+const PROJECT_DIR = path.join(__dirname, 'fixtures', 'projects', 'styles');
+
+async function analyzeStyles() {
+  const result = await new FrontendAnalyzer(PROJECT_DIR).analyzeCode();
+  return new Map(result.files.filter(file => file.styles).map(file => [file.relativePath, file.styles]));
+}
+
+function selectorSpans(styles) {
+  return styles.selectors.map(entry => [entry.name, entry.classNames, entry.startLine, entry.endLine]);
+}
+
+module.exports = {
+  'CSS：选择器列表、@media 内的选择器与自定义属性': async () => {
+    const theme = (await analyzeStyles()).get('src/theme.css');
+
+    assert.strictEqual(theme.syntax, 'css');
+    assert.strictEqual(theme.isModule, false);
+    assert.deepStrictEqual(selectorSpans(theme), [
+      [':root', [], 1, 3],
+      ['.button, .link:hover', ['button', 'link'], 5, 8],
+      ['@media (max-width: 600px) .button', ['button'], 11, 14]
+    ]);
+    assert.deepStrictEqual(theme.customProperties, [
+      { name: '--brand-color', value: '#0052cc', selector: ':root', line: 2 },
+      { name: '--button-padding', value: '4px', selector: '.button', line: 12 }
+    ]);
+  },
+
+  'SCSS / LESS：展开嵌套选择器，提取变量、mixin 定义与引用': async () => {
+    const styles = await analyzeStyles();
+    const card = styles.get('src/components/Card.module.scss');
+    const legacy = styles.get('src/legacy.less');
+
+    assert.deepStrictEqual(selectorSpans(card), [
+      ['.card', ['card'], 7, 18],
+      ['.card:hover', ['card'], 11, 13],
+      ['.card .title', ['card', 'title'], 15, 17],
+      ['.card-footer', ['card-footer'], 20, 22],
+      // :global(...) 中的类名不属于 CSS Module
+      [':global(.dark) .unused', ['unused'], 24, 26]
+    ]);
+    assert.deepStrictEqual(card.variables, [{ name: '$card-radius', value: '8px', line: 1 }]);
+    assert.deepStrictEqual(card.mixins, [{ name: 'elevated', params: '($depth: 1)', startLine: 3, endLine: 5 }]);
+    assert.deepStrictEqual(card.includes, [{ name: 'elevated', line: 9 }]);
+
+    assert.deepStrictEqual(selectorSpans(legacy), [['.panel', ['panel'], 7, 10]]);
+    assert.deepStrictEqual(legacy.variables, [{ name: '@gutter', value: '12px', line: 1 }]);
+    assert.deepStrictEqual(legacy.mixins, [{ name: '.bordered', params: '(@width: 1px)', startLine: 3, endLine: 5 }]);
+    assert.deepStrictEqual(legacy.includes, [{ name: '.bordered', line: 9 }]);
+  },
+
+  'CSS Module：选择器列出使用其类名的组件（styles.foo、camelCase 与 require 写法）': async () => {
+    const card = (await analyzeStyles()).get('src/components/Card.module.scss');
+    const affected = new Map(card.selectors.map(entry => [entry.name, entry.affectedComponents]));
+
+    assert.deepStrictEqual(affected.get('.card'), [
+      { file: 'src/components/Card.jsx', classNames: ['card'], lines: [6] }
+    ]);
+    assert.deepStrictEqual(affected.get('.card .title'), [
+      { file: 'src/components/Badge.jsx', classNames: ['title'], lines: [5] },
+      { file: 'src/components/Card.jsx', classNames: ['card', 'title'], lines: [6, 7] }
+    ]);
+    // .card-footer 在组件中以 styles.cardFooter 引用
+    assert.deepStrictEqual(affected.get('.card-footer'), [
+      { file: 'src/components/Card.jsx', classNames: ['card-footer'], lines: [9] }
+    ]);
+    assert.deepStrictEqual(affected.get(':global(.dark) .unused'), []);
+    assert.deepStrictEqual(card.affectedComponents.map(entry => entry.file), ['src/components/Badge.jsx', 'src/components/Card.jsx']);
+  },
+
+  '无法解析的样式表记录 parseError': () => {
+    const styles = parseStylesheet('.card {\n  color: red;\n', 'src/broken.css');
+    assert.ok(styles.parseError);
+    assert.deepStrictEqual(styles.selectors, []);
+
+    // .sass 没有可用的解析器，只返回语法名
+    assert.strictEqual(parseStylesheet('.card\n  color: red\n', 'src/legacy.sass').syntax, 'sass');
+  }
+};
@@ -103,7 +103,7 @@ class ProjectInferenceEngine {
                         fileWorldModel.push({
                             path: relativePath,
                             ext,
-                            languageType: this.getLanguageType(ext),
+                            languageType: this.getLanguageType(ext, entry.name),
                             frameworkSignal: this.detectFrameworkSignals(entry.name),
                             uiSignals: uiSignals,
                             importGraph: []
@@ -182,7 +182,7 @@ class ProjectInferenceEngine {
                         fileWorldModel.push({
                             path: relativePath,
                             ext,
-                            languageType: this.getLanguageType(ext),
+                            languageType: this.getLanguageType(ext, entry.name),
                             frameworkSignal: this.detectFrameworkSignals(entry.name),
                             uiSignals: this.detectUISignals(fullPath),
                             importGraph: []
@@ -198,9 +198,12 @@ class ProjectInferenceEngine {
         return { files: fileWorldModel };
     }
 
-    getLanguageType(ext) {
+    getLanguageType(ext, fileName = '') {
         if (['.tsx', '.jsx'].includes(ext)) return 'react';
         if (ext === '.vue') return 'vue';
+        if (ext === '.svelte') return 'svelte';
+        // Angular 组件按命名约定识别：*.component.ts 及其外部模板 *.component.html
+        if (/\.component\.(ts|html)$/.test(fileName)) return 'angular';
         if (ext === '.ts') return 'ts';
         if (ext === '.js') return 'js';
         return 'other';
@@ -1,6 +1,4 @@
-const { execSync } = require('child_process');
-const fs = require('fs');
-const path = require('path');
+const { GitRepository } = require('./git');
 
 /**
  * 安全的分支切换工具类
@@ -9,6 +7,7 @@ const path = require('path');
 class SafeBranchSwitcher {
     constructor(repoPath) {
         this.repoPath = repoPath;
+        this.repo = new GitRepository(repoPath);
         this.originalBranch = null;
         this.originalSha = null;
         this.temporaryBranch = null;
@@ -43,26 +42,15 @@ class SafeBranchSwitcher {
 
     /**
      * 执行Git命令
-     * @param {string} cmd - Git命令
+     * @param {Array<string>} args - Git参数
      * @param {Object} options - 额外选项
      * @returns {string} 命令输出
      */
-    execGit(cmd, options = {}) {
-        const execOptions = {
-            cwd: this.repoPath,
-            encoding: 'utf8',
-            stdio: ['pipe', 'pipe', 'pipe'],
-            maxBuffer: 1024 * 1024 * 50 // 50MB
-        };
-        
-        try {
-            return execSync(cmd, execOptions).trim();
-        } catch (error) {
-            if (options.ignoreErrors) {
-                return '';
-            }
-            throw new Error(`Git命令失败: ${cmd}\n错误: ${error.message}`);
+    execGit(args, options = {}) {
+        if (options.ignoreErrors) {
+            return this.repo.tryExec(args, { trim: true }) || '';
         }
+        return this.repo.exec(args, { trim: true });
     }
 
     /**
@@ -71,8 +59,8 @@ class SafeBranchSwitcher {
     saveCurrentEnvironment() {
         try {
             // 获取当前分支名
-            const currentBranch = this.execGit('git rev-parse --abbrev-ref HEAD');
-            const currentSha = this.execGit('git rev-parse HEAD');
+            const currentBranch = this.execGit(['rev-parse', '--abbrev-ref', 'HEAD']);
+            const currentSha = this.execGit(['rev-parse', 'HEAD']);
             
             if (currentBranch === 'HEAD') {
                 // HEAD detached状态
@@ -97,7 +85,7 @@ class SafeBranchSwitcher {
      */
     checkCleanWorkingDirectory() {
         try {
-            const statusOutput = this.execGit('git status --porcelain', { ignoreErrors: true });
+            const statusOutput = this.execGit(['status', '--porcelain'], { ignoreErrors: true });
             const hasUncommittedChanges = statusOutput.length > 0;
             
             if (hasUncommittedChanges) {
@@ -121,8 +109,7 @@ class SafeBranchSwitcher {
         // 1. 尝试获取远程分支
         try {
             console.log(`正在获取远程分支: origin/${targetBranch}`);
-            const fetchCmd = `git fetch --no-tags --prune origin +refs/heads/${targetBranch}:refs/remotes/origin/${targetBranch}`;
-            this.execGit(fetchCmd);
+            this.execGit(['fetch', '--no-tags', '--prune', 'origin', `+refs/heads/${targetBranch}:refs/remotes/origin/${targetBranch}`]);
             console.log(`成功获取远程分支: origin/${targetBranch}`);
         } catch (error) {
             console.error(`获取远程分支失败: ${error.message}`);
@@ -131,7 +118,7 @@ class SafeBranchSwitcher {
         
         // 2. 验证远程分支是否存在
         try {
-            this.execGit(`git show-ref --verify --quiet refs/remotes/origin/${targetBranch}`);
+            this.execGit(['show-ref', '--verify', '--quiet', `refs/remotes/origin/${targetBranch}`]);
         } catch (error) {
             const message = `远程分支 origin/${targetBranch} 不存在，请确认分支名称是否正确`;
             throw new Error(message);
@@ -142,8 +129,7 @@ class SafeBranchSwitcher {
         
         try {
             console.log(`创建临时分支: ${this.temporaryBranch}`);
-            const checkoutCmd = `git switch -C ${this.temporaryBranch} origin/${targetBranch}`;
-            this.execGit(checkoutCmd);
+            this.execGit(['switch', '-C', this.temporaryBranch, `origin/${targetBranch}`]);
             console.log(`成功切换到临时分支: ${this.temporaryBranch}`);
         } catch (error) {
             throw new Error(`创建临时分支失败: ${error.message}`);
@@ -158,17 +144,17 @@ class SafeBranchSwitcher {
             // 1. 切换回原始分支
             if (this.isDetachedHead) {
                 console.log(`恢复到detached HEAD状态: ${this.originalSha}`);
-                this.execGit(`git switch --detach ${this.originalSha}`);
+                this.execGit(['switch', '--detach', this.originalSha]);
             } else {
                 console.log(`切换回原始分支: ${this.originalBranch}`);
-                this.execGit(`git switch ${this.originalBranch}`);
+                this.execGit(['switch', this.originalBranch]);
             }
             
             // 2. 删除临时分支
             if (this.temporaryBranch) {
                 console.log(`删除临时分支: ${this.temporaryBranch}`);
                 try {
-                    this.execGit(`git branch -D ${this.temporaryBranch}`);
+                    this.execGit(['branch', '-D', this.temporaryBranch]);
                     console.log(`成功删除临时分支: ${this.temporaryBranch}`);
                 } catch (error) {
                     console.warn(`删除临时分支失败: ${error.message}`);
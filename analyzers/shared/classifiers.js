@@ -3,73 +3,110 @@
  * 提供统一的前端代码分类逻辑，减少代码重复
  */
 
-const { defaultErrorHandler, ErrorCodes, ErrorSeverity } = require('../node-analyzer/errorHandler');
+const { defaultErrorHandler, ErrorCodes, ErrorSeverity } = require('./errorHandler');
+const { AnalysisThresholds } = require('./constants');
+const { createFacts, filterFactsByLines } = require('./facts');
+const { evaluateRules, resolveRuleWeight } = require('./config');
+const { BUILTIN_CATEGORIES, BUILTIN_RULES } = require('./rules');
 
 /**
- * 前端代码修改分类器 - 适用于 React / Vue / JS/TS
- * 提取自重复的analyze.js文件
+ * 分类结果结构版本，随 classifyChanges / generateSummary 的输出一起返回
+ * 结构不兼容地变化时递增，CLI 与 VSCode 扩展据此判断能否读取结果
+ * v2: 多标签 labels、带行号的结构化指标、{ schemaVersion, classifications, summary } 批量结果
+ */
+const CLASSIFICATION_SCHEMA_VERSION = 2;
+
+/**
+ * 前端代码修改分类器 - 适用于 React / Vue / Svelte / Angular / JS/TS
+ * CLI（analyze.js）与 VSCode 扩展共用的唯一实现
  */
 class FrontendChangeClassifier {
   
   static get CATEGORIES() {
-    return {
-      F1: { code: 'F1', name: '组件行为变更', description: 'useEffect / methods 中的逻辑变化' },
-      F2: { code: 'F2', name: 'UI结构调整', description: 'JSX/Template 中的标签结构调整' },
-      F3: { code: 'F3', name: '样式改动', description: '类名变化、内联样式/模块CSS/SCSS调整' },
-      F4: { code: 'F4', name: '交互事件修改', description: 'onClick / @click 等事件绑定/方法重写' },
-      F5: { code: 'F5', name: '依赖/配置变动', description: 'router/store/i18n 配置、env、构建工具配置' }
-    };
+    return { ...BUILTIN_CATEGORIES };
+  }
+
+  /**
+   * 内置分类规则（shared/rules.js）：规则 id → { category, weight, check }
+   */
+  static get RULES() {
+    return { ...BUILTIN_RULES };
+  }
+
+  /**
+   * 分类列表：内置 F1–F5 加上项目配置中的自定义分类
+   */
+  static getCategories(config = null) {
+    return { ...this.CATEGORIES, ...(config ? config.categories : {}) };
   }
 
   /**
    * 对文件进行前端代码分类
+   * 返回所有达到标签阈值的类别（labels），category 为排名第一的主类别
+   * 指标基于 AST 事实计算，每条指标为 { rule, category, weight, description, line, source }
+   * @param {Object|null} [config] 项目配置（shared/config.js 的 loadConfig 结果）：权重覆盖与自定义规则
+   * @param {Object} [options] { explain, extractFacts }：explain 为 true 时在 classification.explanation 中附带完整的评分过程；
+   *   extractFacts(content, filePath) 为 AST 事实提取函数（node-analyzer/astFacts.js 的 extractAstFacts），见 getFacts
    */
-  static classifyFile(filePath, fileInfo) {
+  static classifyFile(filePath, fileInfo, config = null, options = {}) {
     try {
       // 输入验证
       defaultErrorHandler.validateInput(filePath, 'string', 'filePath');
       defaultErrorHandler.validateInput(fileInfo, 'object', 'fileInfo');
 
-      const indicators = [];
-      const categoryScores = {
-        F1: 0, F2: 0, F3: 0, F4: 0, F5: 0
-      };
+      const categories = this.getCategories(config);
+      const categoryIndicators = {};
+      const categoryScores = {};
+      Object.keys(categories).forEach(code => {
+        categoryIndicators[code] = [];
+        categoryScores[code] = 0;
+      });
+      const facts = this.getFacts(filePath, fileInfo, options.extractFacts);
 
       // F1: 组件行为变更检测
-      categoryScores.F1 = this.calculateBehaviorChangeScore(filePath, fileInfo, indicators);
+      categoryScores.F1 = this.calculateBehaviorChangeScore(filePath, fileInfo, categoryIndicators.F1, facts, config);
       
       // F2: UI结构调整检测
-      categoryScores.F2 = this.calculateUIStructureScore(filePath, fileInfo, indicators);
+      categoryScores.F2 = this.calculateUIStructureScore(filePath, fileInfo, categoryIndicators.F2, facts, config);
       
       // F3: 样式改动检测
-      categoryScores.F3 = this.calculateStyleChangeScore(filePath, fileInfo, indicators);
+      categoryScores.F3 = this.calculateStyleChangeScore(filePath, fileInfo, categoryIndicators.F3, facts, config);
       
       // F4: 交互事件修改检测
-      categoryScores.F4 = this.calculateEventChangeScore(filePath, fileInfo, indicators);
+      categoryScores.F4 = this.calculateEventChangeScore(filePath, fileInfo, categoryIndicators.F4, facts, config);
       
       // F5: 依赖/配置变动检测
-      categoryScores.F5 = this.calculateDependencyChangeScore(filePath, fileInfo, indicators);
+      categoryScores.F5 = this.calculateDependencyChangeScore(filePath, fileInfo, categoryIndicators.F5, facts, config);
 
-      // 选择得分最高的类别
-      const bestCategory = Object.keys(categoryScores).reduce((a, b) => 
-        categoryScores[a] > categoryScores[b] ? a : b
-      );
+      // 项目配置中的自定义规则
+      this.applyCustomRules(filePath, fileInfo, facts, config, categoryScores, categoryIndicators);
 
-      const confidence = Math.min(categoryScores[bestCategory], 100) / 100;
-      const category = this.CATEGORIES[bestCategory];
+      const labels = this.selectLabels(categoryScores, categoryIndicators, config);
+      const primary = labels[0];
 
-      return {
-        filePath: fileInfo.relativePath,
+      const result = {
+        filePath: fileInfo.relativePath || filePath,
         classification: {
-          category: bestCategory,
-          categoryName: category.name,
-          description: category.description,
-          reason: this.buildReason(bestCategory, indicators),
-          confidence: confidence,
-          indicators: indicators
+          category: primary.category,
+          categoryName: primary.categoryName,
+          description: categories[primary.category].description,
+          reason: this.buildReason(primary.category, primary.indicators),
+          confidence: primary.confidence,
+          indicators: Object.values(categoryIndicators).flat(),
+          labels
         },
         changedMethods: fileInfo.methods ? fileInfo.methods.map(m => m.name) : []
       };
+
+      if (options.explain) {
+        result.classification.explanation = this.buildExplanation(categoryScores, categoryIndicators, labels, config);
+      }
+
+      // 移动/重命名的文件保留原路径，便于与历史结果对应
+      if (fileInfo.oldPath) {
+        result.oldPath = fileInfo.oldPath;
+      }
+      return result;
     } catch (error) {
       return defaultErrorHandler.handleError(error, {
         operation: 'classifyFile',
@@ -79,47 +116,266 @@ class FrontendChangeClassifier {
     }
   }
 
+  /**
+   * 选出分类标签：分数降序，同分按分类声明顺序（F1 → F5，随后是自定义分类），结果与对象遍历顺序无关
+   * 没有类别达到阈值（配置中的 labelThreshold 或 CLASSIFICATION_LABEL_THRESHOLD）时保留排名第一的类别
+   */
+  static selectLabels(categoryScores, categoryIndicators, config = null) {
+    const threshold = this.getLabelThreshold(config);
+    const ranked = this.rankCategories(categoryScores, categoryIndicators, config);
+
+    const labels = ranked.filter(label => label.confidence >= threshold);
+    return labels.length > 0 ? labels : ranked.slice(0, 1);
+  }
+
+  /**
+   * 按置信度降序排列所有分类，同分按分类声明顺序
+   */
+  static rankCategories(categoryScores, categoryIndicators, config = null) {
+    const categories = this.getCategories(config);
+    const order = Object.keys(categories);
+    return order
+      .map(code => ({
+        category: code,
+        categoryName: categories[code].name,
+        confidence: Math.min(categoryScores[code], 100) / 100,
+        indicators: categoryIndicators[code]
+      }))
+      .sort((a, b) => b.confidence - a.confidence || order.indexOf(a.category) - order.indexOf(b.category));
+  }
+
+  static getLabelThreshold(config = null) {
+    return config && config.labelThreshold !== undefined
+      ? config.labelThreshold
+      : AnalysisThresholds.CLASSIFICATION_LABEL_THRESHOLD;
+  }
+
+  /**
+   * 构建分类解释：每个分类的得分构成、命中的规则（权重与源码位置）、评估过但未命中的规则，以及主类别的选择依据
+   * @returns {Object} { threshold, primary: { category, reason }, categories: [...] }，categories 按排名排列：
+   *   { category, categoryName, rank, score, cappedScore, confidence, labeled, matched, unmatched }
+   *   score 为命中规则权重之和，cappedScore 为计入置信度的分数（上限 100）；
+   *   unmatched 中 disabled 表示规则被 weights 设为 0
+   */
+  static buildExplanation(categoryScores, categoryIndicators, labels, config = null) {
+    const threshold = this.getLabelThreshold(config);
+    const labeled = new Set(labels.map(label => label.category));
+    const candidates = [
+      ...Object.entries(this.RULES).map(([rule, { category, weight, check }]) => ({ rule, category, weight, check })),
+      ...(config ? config.rules : []).map(rule => ({ rule: rule.id, category: rule.category, weight: rule.weight, check: rule.description, custom: true }))
+    ];
+
+    const categories = this.rankCategories(categoryScores, categoryIndicators, config).map((entry, index) => {
+      const matched = entry.indicators.map(({ category, ...indicator }) => indicator);
+      const fired = new Set(matched.map(indicator => indicator.rule));
+      const unmatched = candidates
+        .filter(candidate => candidate.category === entry.category && !fired.has(candidate.rule))
+        .map(({ category, weight, ...candidate }) => {
+          const effective = resolveRuleWeight(config, candidate.rule, weight);
+          return { ...candidate, weight: effective, ...(effective === 0 ? { disabled: true } : {}) };
+        });
+
+      return {
+        category: entry.category,
+        categoryName: entry.categoryName,
+        rank: index + 1,
+        score: matched.reduce((sum, indicator) => sum + indicator.weight, 0),
+        cappedScore: Math.min(categoryScores[entry.category], 100),
+        confidence: entry.confidence,
+        labeled: labeled.has(entry.category),
+        matched,
+        unmatched
+      };
+    });
+
+    return {
+      threshold,
+      primary: { category: labels[0].category, reason: this.buildPrimaryReason(categories, threshold) },
+      categories
+    };
+  }
+
+  /**
+   * 说明主类别为何排在第一：与第二名比较分数，同分时说明按分类顺序取舍
+   */
+  static buildPrimaryReason(rankedCategories, threshold) {
+    const [first, second] = rankedCategories;
+    let reason;
+    if (!second) {
+      reason = `${first.category} 得分 ${first.cappedScore}`;
+    } else if (first.cappedScore > second.cappedScore) {
+      reason = `${first.category} 得分 ${first.cappedScore} 高于 ${second.category} 的 ${second.cappedScore}`;
+    } else {
+      reason = `${first.category} 与 ${second.category} 同分 ${first.cappedScore}，按分类顺序取 ${first.category}`;
+    }
+    if (first.confidence < threshold) {
+      reason += `；没有分类达到标签阈值 ${threshold}，保留排名第一的分类`;
+    }
+    return reason;
+  }
+
+  /**
+   * 将分类解释格式化为文本，供命令行 --explain 输出
+   * @param {Object} result classifyFile 的结果（需以 explain 模式生成）
+   */
+  static formatExplanation(result) {
+    const { category, categoryName, explanation } = result.classification;
+    if (!explanation) {
+      return `${result.filePath}: ${category} ${categoryName}`;
+    }
+
+    const lines = [`${result.filePath}: ${category} ${categoryName}（${explanation.primary.reason}）`];
+    explanation.categories.forEach(entry => {
+      const capped = entry.cappedScore !== entry.score ? `，计 ${entry.cappedScore}` : '';
+      lines.push(`  ${entry.rank}. ${entry.category} ${entry.categoryName}: 得分 ${entry.score}${capped}，置信度 ${entry.confidence.toFixed(2)}${entry.labeled ? '，已标注' : ''}`);
+      entry.matched.forEach(indicator => {
+        const location = indicator.line !== null ? ` @${indicator.removed ? '删除行 ' : ''}L${indicator.line}: ${indicator.source}` : '';
+        lines.push(`     + ${indicator.rule} (+${indicator.weight}) ${indicator.description}${location}`);
+      });
+      entry.unmatched.forEach(rule => {
+        lines.push(`     - ${rule.rule} (${rule.disabled ? '已停用' : rule.weight}) ${rule.check}`);
+      });
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * 应用项目配置中的自定义规则（路径 glob、关键字、AST 事实匹配），命中的规则计入其分类
+   * 关键字只在变更行上匹配：提供 fileInfo.changedLines 时取这些行，否则取全部内容；
+   * fileInfo.removedLines（变更前版本中被删除的行 [{ line, source }]）同样参与匹配，命中时标记 removed
+   */
+  static applyCustomRules(filePath, fileInfo, facts, config, categoryScores, categoryIndicators) {
+    if (!config || config.rules.length === 0) return;
+
+    const contentLines = (fileInfo.content || '').split('\n');
+    const lineNumbers = Array.isArray(fileInfo.changedLines)
+      ? fileInfo.changedLines
+      : contentLines.map((_, index) => index + 1);
+    const lines = lineNumbers
+      .filter(line => line >= 1 && line <= contentLines.length)
+      .map(line => ({ line, source: contentLines[line - 1].trim() }));
+    (fileInfo.removedLines || []).forEach(({ line, source }) => lines.push({ line, source, removed: true }));
+
+    evaluateRules(config, { filePath, lines, facts }).forEach(hit => {
+      const { rule } = hit;
+      categoryScores[rule.category] = Math.min(
+        categoryScores[rule.category] + this.addIndicator(categoryIndicators[rule.category], {
+          rule: rule.id,
+          category: rule.category,
+          weight: hit.weight,
+          description: rule.description,
+          custom: true
+        }, hit.line !== null ? hit : null, config),
+        100
+      );
+    });
+  }
+
+  /**
+   * 获取文件的 AST 事实：调用方预先提取的 fileInfo.astFacts 已按变更范围限定，直接使用；
+   * 否则用调用方提供的 extractFacts 解析 content，提供 fileInfo.changedLines 时只保留落在变更行上的事实。
+   * 两者都没有时没有事实，只有按文件路径判断的规则生效
+   */
+  static getFacts(filePath, fileInfo, extractFacts = null) {
+    if (fileInfo.astFacts) {
+      return fileInfo.astFacts;
+    }
+    if (!extractFacts) {
+      return createFacts();
+    }
+    const facts = extractFacts(fileInfo.content || '', filePath);
+    return Array.isArray(fileInfo.changedLines) ? filterFactsByLines(facts, fileInfo.changedLines) : facts;
+  }
+
+  /**
+   * 记录一条指标
+   * @param {Array} indicators 指标列表
+   * @param {Object} indicator { rule, category, weight, description }
+   * @param {Object} [fact] 触发该指标的事实，提供 line / source；按文件路径判断的规则没有对应行
+   * @param {Object|null} [config] 项目配置，weights 按规则 id 覆盖权重，权重为 0 的规则不记录
+   * @returns {number} 实际计入的权重
+   */
+  static addIndicator(indicators, indicator, fact = null, config = null) {
+    indicator = { ...indicator, weight: resolveRuleWeight(config, indicator.rule, indicator.weight) };
+    if (indicator.weight === 0) {
+      return 0;
+    }
+    indicators.push({
+      ...indicator,
+      line: fact ? fact.line : null,
+      source: fact ? fact.source : null,
+      // 来自变更前版本（被删除的行）的事实，line 为旧文件中的行号
+      ...(fact && fact.removed ? { removed: true } : {})
+    });
+    return indicator.weight;
+  }
+
+  /**
+   * 方法声明对应的事实（行号取方法起始行）
+   */
+  static methodFact(fileInfo, method) {
+    const line = method.startLine || method.line || null;
+    const source = line ? ((fileInfo.content || '').split('\n')[line - 1] || '').trim() : null;
+    return { line, source };
+  }
+
+  /**
+   * 将方法名拆成小写单词：Legacy.handleClick -> ['handle', 'click']
+   */
+  static methodNameWords(name = '') {
+    const last = name.split('.').pop();
+    return last.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[\s_$-]+/).filter(Boolean).map(word => word.toLowerCase());
+  }
+
+  static uniqueNames(facts) {
+    return [...new Set(facts.map(fact => fact.name))].join(', ');
+  }
+
   /**
    * F1: 计算组件行为变更分数
    */
-  static calculateBehaviorChangeScore(filePath, fileInfo, indicators) {
+  static calculateBehaviorChangeScore(filePath, fileInfo, indicators, facts, config = null) {
     let score = 0;
-    const content = fileInfo.content || '';
+    const add = (rule, description, fact) => {
+      score += this.addIndicator(indicators, { rule, category: 'F1', weight: this.RULES[rule].weight, description }, fact, config);
+    };
 
-    // React Hooks 相关
-    if (content.includes('useEffect') || content.includes('useState') || content.includes('useCallback')) {
-      score += 30;
-      indicators.push('检测到React Hooks使用');
+    // React Hooks 调用（来自路由 / 状态管理 / 国际化库的 Hook 计入 F5）
+    const hooks = facts.hookCalls.filter(fact => !fact.module);
+    if (hooks.length > 0) {
+      add('react-hooks', `React Hooks调用: ${this.uniqueNames(hooks)}`, hooks[0]);
     }
 
-    // Vue生命周期方法
-    if (content.includes('mounted') || content.includes('created') || content.includes('beforeDestroy')) {
-      score += 30;
-      indicators.push('检测到Vue生命周期方法');
-    }
+    // 各框架生命周期
+    const lifecycleRules = {
+      react: ['react-lifecycle', 'React类组件生命周期'],
+      vue: ['vue-lifecycle', 'Vue生命周期'],
+      svelte: ['svelte-lifecycle', 'Svelte生命周期或响应式语句'],
+      angular: ['angular-lifecycle', 'Angular生命周期钩子']
+    };
+    Object.entries(lifecycleRules).forEach(([framework, [rule, label]]) => {
+      const hits = facts.lifecycle.filter(fact => fact.framework === framework);
+      if (hits.length > 0) {
+        add(rule, `${label}: ${this.uniqueNames(hits)}`, hits[0]);
+      }
+    });
 
-    // 状态管理相关
-    if (content.includes('setState') || content.includes('this.state') || content.includes('reactive') || content.includes('ref(')) {
-      score += 25;
-      indicators.push('检测到状态管理逻辑');
+    // 状态声明与更新
+    if (facts.stateUpdates.length > 0) {
+      add('state-management', `状态管理: ${this.uniqueNames(facts.stateUpdates)}`, facts.stateUpdates[0]);
     }
 
-    // 业务逻辑方法名
-    const methods = fileInfo.methods || [];
-    methods.forEach(method => {
-      const methodName = method.name.toLowerCase();
-      if (methodName.includes('handle') || methodName.includes('process') || 
-          methodName.includes('fetch') || methodName.includes('submit') ||
-          methodName.includes('validate') || methodName.includes('calculate')) {
-        score += 15;
-        indicators.push(`业务逻辑方法: ${method.name}`);
+    // 业务逻辑方法名（按驼峰拆词匹配）
+    const businessWords = ['handle', 'process', 'fetch', 'submit', 'validate', 'calculate'];
+    (fileInfo.methods || []).forEach(method => {
+      if (this.methodNameWords(method.name).some(word => businessWords.includes(word))) {
+        add('business-method', `业务逻辑方法: ${method.name}`, this.methodFact(fileInfo, method));
       }
     });
 
     // 异步处理
-    if (content.includes('async') || content.includes('await') || content.includes('.then(') || content.includes('Promise')) {
-      score += 20;
-      indicators.push('检测到异步处理逻辑');
+    if (facts.asyncOps.length > 0) {
+      add('async', `异步处理: ${this.uniqueNames(facts.asyncOps)}`, facts.asyncOps[0]);
     }
 
     return Math.min(score, 100);
@@ -128,42 +384,53 @@ class FrontendChangeClassifier {
   /**
    * F2: 计算UI结构调整分数
    */
-  static calculateUIStructureScore(filePath, fileInfo, indicators) {
+  static calculateUIStructureScore(filePath, fileInfo, indicators, facts, config = null) {
     let score = 0;
-    const content = fileInfo.content || '';
+    const add = (rule, description, fact) => {
+      score += this.addIndicator(indicators, { rule, category: 'F2', weight: this.RULES[rule].weight, description }, fact, config);
+    };
 
-    // JSX 结构变化
-    const jsxElements = content.match(/<[A-Z][A-Za-z0-9]*|<[a-z][a-z0-9-]*/g) || [];
+    // JSX 结构
+    const jsxElements = facts.elements.filter(fact => fact.framework === 'react');
     if (jsxElements.length > 5) {
-      score += 35;
-      indicators.push(`检测到${jsxElements.length}个JSX元素`);
+      add('jsx-structure', `检测到${jsxElements.length}个JSX元素`, jsxElements[0]);
     }
 
-    // Vue template 结构
-    if (content.includes('<template>') || content.includes('v-if') || content.includes('v-for')) {
-      score += 35;
-      indicators.push('检测到Vue模板结构');
-    }
+    // 各框架模板结构
+    const templateRules = {
+      vue: ['vue-template', 'Vue模板结构'],
+      svelte: ['svelte-template', 'Svelte模板结构'],
+      angular: ['angular-template', 'Angular模板结构']
+    };
+    Object.entries(templateRules).forEach(([framework, [rule, label]]) => {
+      const blocks = facts.controlFlow.filter(fact => fact.framework === framework);
+      const elements = facts.elements.filter(fact => fact.framework === framework);
+      // Vue 模板本身即结构；Svelte / Angular 需要出现控制流块
+      const hits = framework === 'vue' ? [...blocks, ...elements] : blocks;
+      if (hits.length > 0) {
+        add(rule, blocks.length > 0 ? `${label}: ${this.uniqueNames(blocks)}` : label, hits[0]);
+      }
+    });
 
     // 组件文件类型
-    if (filePath.endsWith('.jsx') || filePath.endsWith('.tsx') || filePath.endsWith('.vue')) {
-      score += 20;
-      indicators.push('组件文件类型');
+    if (filePath.endsWith('.jsx') || filePath.endsWith('.tsx') || filePath.endsWith('.vue') ||
+        filePath.endsWith('.svelte') || filePath.endsWith('.component.ts') || filePath.endsWith('.component.html')) {
+      add('component-file', '组件文件类型');
     }
 
-    // 布局相关组件
+    // 布局元素
     const layoutElements = ['div', 'section', 'article', 'header', 'footer', 'nav', 'main'];
     layoutElements.forEach(element => {
-      if (content.includes(`<${element}`) || content.includes(`<${element.toUpperCase()}`)) {
-        score += 5;
-        indicators.push(`布局元素: ${element}`);
+      const hit = facts.elements.find(fact => fact.name === element);
+      if (hit) {
+        add('layout-element', `布局元素: ${element}`, hit);
       }
     });
 
     // 条件渲染
-    if (content.includes('v-if') || content.includes('v-show') || content.includes('{') && content.includes('?')) {
-      score += 15;
-      indicators.push('检测到条件渲染');
+    const conditionals = facts.controlFlow.filter(fact => fact.kind === 'conditional');
+    if (conditionals.length > 0) {
+      add('conditional-rendering', `条件渲染: ${this.uniqueNames(conditionals)}`, conditionals[0]);
     }
 
     return Math.min(score, 100);
@@ -172,39 +439,47 @@ class FrontendChangeClassifier {
   /**
    * F3: 计算样式改动分数
    */
-  static calculateStyleChangeScore(filePath, fileInfo, indicators) {
+  static calculateStyleChangeScore(filePath, fileInfo, indicators, facts, config = null) {
     let score = 0;
-    const content = fileInfo.content || '';
+    const add = (rule, description, fact) => {
+      score += this.addIndicator(indicators, { rule, category: 'F3', weight: this.RULES[rule].weight, description }, fact, config);
+    };
 
     // CSS/SCSS文件
     if (filePath.endsWith('.css') || filePath.endsWith('.scss') || filePath.endsWith('.sass') || filePath.endsWith('.less')) {
-      score += 40;
-      indicators.push('样式文件');
+      add('style-file', '样式文件');
+    }
+
+    // 样式文件与 CSS-in-JS 库导入
+    const styleImports = facts.imports.filter(fact => fact.kind === 'style');
+    if (styleImports.length > 0) {
+      add('style-import', `样式导入: ${this.uniqueNames(styleImports)}`, styleImports[0]);
+    }
+
+    // 内联样式 / CSS-in-JS
+    if (facts.inlineStyles.length > 0) {
+      add('inline-style', `内联样式或CSS-in-JS: ${this.uniqueNames(facts.inlineStyles)}`, facts.inlineStyles[0]);
     }
 
-    // 样式相关导入
-    if (content.includes("import") && (content.includes(".css") || content.includes(".scss") || content.includes(".sass"))) {
-      score += 25;
-      indicators.push('检测到样式文件导入');
+    // className / class 属性
+    if (facts.classAttributes.length > 0) {
+      add('class-attribute', `检测到${facts.classAttributes.length}个className`, facts.classAttributes[0]);
     }
 
-    // 内联样式
-    if (content.includes('style=') || content.includes('styled-components') || content.includes('emotion')) {
-      score += 30;
-      indicators.push('检测到内联样式或CSS-in-JS');
+    // Tailwind 工具类
+    const utilityClasses = facts.classAttributes.filter(fact => /(^|\s)(bg|text|p|m|w|h)-/.test(fact.value || ''));
+    if (utilityClasses.length > 0) {
+      add('tailwind', 'Tailwind工具类', utilityClasses[0]);
     }
 
-    // className 变化
-    const classNameMatches = content.match(/className=["|'`][^"'`]*["|'`]/g) || [];
-    if (classNameMatches.length > 0) {
-      score += 20;
-      indicators.push(`检测到${classNameMatches.length}个className`);
+    // CSS Modules 引用
+    if (facts.styleRefs.length > 0) {
+      add('css-module', `CSS模块引用: ${this.uniqueNames(facts.styleRefs)}`, facts.styleRefs[0]);
     }
 
-    // CSS模块
-    if (content.includes('.module.css') || content.includes('styles.') || content.includes('classes.')) {
-      score += 25;
-      indicators.push('检测到CSS模块使用');
+    // 框架样式绑定（Vue :class、Angular [ngClass] / [style.x]、Svelte class:x）
+    if (facts.styleBindings.length > 0) {
+      add('style-binding', `框架样式绑定: ${this.uniqueNames(facts.styleBindings)}`, facts.styleBindings[0]);
     }
 
     return Math.min(score, 100);
@@ -213,42 +488,42 @@ class FrontendChangeClassifier {
   /**
    * F4: 计算交互事件修改分数
    */
-  static calculateEventChangeScore(filePath, fileInfo, indicators) {
+  static calculateEventChangeScore(filePath, fileInfo, indicators, facts, config = null) {
     let score = 0;
-    const content = fileInfo.content || '';
-
-    // React事件处理
-    const reactEvents = ['onClick', 'onChange', 'onSubmit', 'onBlur', 'onFocus', 'onKeyDown', 'onKeyUp'];
-    reactEvents.forEach(event => {
-      if (content.includes(event)) {
-        score += 10;
-        indicators.push(`React事件: ${event}`);
-      }
-    });
+    const add = (rule, description, fact) => {
+      score += this.addIndicator(indicators, { rule, category: 'F4', weight: this.RULES[rule].weight, description }, fact, config);
+    };
 
-    // Vue事件处理
-    const vueEvents = ['@click', '@change', '@submit', '@blur', '@focus', '@keydown', '@keyup'];
-    vueEvents.forEach(event => {
-      if (content.includes(event)) {
-        score += 10;
-        indicators.push(`Vue事件: ${event}`);
-      }
+    // 事件绑定：每个框架的每种事件计一次
+    const frameworkNames = { react: 'React', vue: 'Vue', svelte: 'Svelte', angular: 'Angular' };
+    const seen = new Set();
+    facts.events.forEach(fact => {
+      const key = `${fact.framework}:${fact.name}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      add(`${fact.framework}-event`, `${frameworkNames[fact.framework]}事件: ${fact.name}`, fact);
     });
 
-    // 事件处理函数
-    const methods = fileInfo.methods || [];
-    methods.forEach(method => {
-      const methodName = method.name.toLowerCase();
-      if (methodName.includes('handle') || methodName.includes('on') || methodName.includes('click')) {
-        score += 15;
-        indicators.push(`事件处理函数: ${method.name}`);
+    // 事件处理函数：被事件绑定引用、以 handle / on 开头，或包含 click / change / submit / toggle 的驼峰命名
+    const handlers = new Set(facts.events.map(fact => fact.handler).filter(Boolean));
+    const eventWords = ['click', 'change', 'submit', 'toggle'];
+    (fileInfo.methods || []).forEach(method => {
+      const words = this.methodNameWords(method.name);
+      if (handlers.has(method.name.split('.').pop()) || (words.length > 1 && ['handle', 'on'].includes(words[0])) ||
+          words.some(word => eventWords.includes(word))) {
+        add('event-handler', `事件处理函数: ${method.name}`, this.methodFact(fileInfo, method));
       }
     });
 
-    // 表单处理
-    if (content.includes('form') || content.includes('Form') || content.includes('input') || content.includes('button')) {
-      score += 20;
-      indicators.push('检测到表单元素');
+    // 原生 DOM 事件
+    if (facts.domEvents.length > 0) {
+      add('dom-event', `原生DOM事件绑定: ${this.uniqueNames(facts.domEvents)}`, facts.domEvents[0]);
+    }
+
+    // 表单元素
+    const formElements = facts.elements.filter(fact => /^(form|input|button|select|textarea)$/i.test(fact.name));
+    if (formElements.length > 0) {
+      add('form-element', `表单元素: ${this.uniqueNames(formElements)}`, formElements[0]);
     }
 
     return Math.min(score, 100);
@@ -257,128 +532,195 @@ class FrontendChangeClassifier {
   /**
    * F5: 计算依赖/配置变动分数
    */
-  static calculateDependencyChangeScore(filePath, fileInfo, indicators) {
+  static calculateDependencyChangeScore(filePath, fileInfo, indicators, facts, config = null) {
     let score = 0;
-    const content = fileInfo.content || '';
+    const add = (rule, description, fact) => {
+      score += this.addIndicator(indicators, { rule, category: 'F5', weight: this.RULES[rule].weight, description }, fact, config);
+    };
+    const fileName = filePath.split('/').pop();
 
     // 包依赖文件
-    if (filePath.includes('package.json') || filePath.includes('yarn.lock') || filePath.includes('package-lock.json')) {
-      score += 50;
-      indicators.push('依赖管理文件');
-    }
-
-    // 路由配置
-    if (content.includes('router') || content.includes('Route') || content.includes('useRouter') || content.includes('useNavigate')) {
-      score += 30;
-      indicators.push('检测到路由配置');
+    if (['package.json', 'yarn.lock', 'package-lock.json', 'pnpm-lock.yaml'].includes(fileName)) {
+      add('package-manifest', '依赖管理文件');
     }
 
-    // 状态管理
-    if (content.includes('store') || content.includes('redux') || content.includes('mobx') || content.includes('zustand')) {
-      score += 30;
-      indicators.push('检测到状态管理');
-    }
+    // 路由 / 状态管理 / 国际化：以真实的导入和 Hook 调用为准
+    const configDirs = {
+      router: /(^|\/)(router|routes)\//,
+      store: /(^|\/)(store|stores)\//,
+      i18n: /(^|\/)(i18n|locales?|lang)\//
+    };
+    const moduleRules = {
+      router: ['router', '路由'],
+      store: ['state-store', '状态管理'],
+      i18n: ['i18n', '国际化']
+    };
+    Object.entries(moduleRules).forEach(([kind, [rule, label]]) => {
+      const hits = [
+        ...facts.imports.filter(fact => fact.kind === kind),
+        ...facts.hookCalls.filter(fact => fact.module === kind),
+        ...(kind === 'i18n' ? facts.i18nCalls : [])
+      ].sort((a, b) => a.line - b.line);
+      if (hits.length > 0) {
+        add(rule, `${label}: ${this.uniqueNames(hits)}`, hits[0]);
+      } else if (configDirs[kind].test(filePath)) {
+        // 位于路由 / store / 语言包目录下、自身没有相关导入的配置文件（如路由表、语言包）
+        add(rule, `${label}配置目录`);
+      }
+    });
 
-    // 国际化
-    if (content.includes('i18n') || content.includes('useTranslation') || content.includes('t(')) {
-      score += 25;
-      indicators.push('检测到国际化配置');
+    // 环境变量
+    if (facts.envAccess.length > 0) {
+      add('env', `环境变量: ${this.uniqueNames(facts.envAccess)}`, facts.envAccess[0]);
+    } else if (fileName.startsWith('.env')) {
+      add('env', '环境配置文件');
     }
 
-    // 环境配置
-    if (content.includes('process.env') || content.includes('import.meta.env') || content.includes('.env')) {
-      score += 20;
-      indicators.push('检测到环境配置');
+    // 构建工具配置
+    if (/^(webpack|vite|rollup|babel|svelte|vue|next|nuxt|tailwind|postcss)\.config\.[cm]?[jt]s$/.test(fileName) ||
+        ['angular.json', '.babelrc', 'tsconfig.json'].includes(fileName)) {
+      add('build-config', '构建工具配置文件');
     }
 
-    // 构建工具配置
-    if (filePath.includes('webpack') || filePath.includes('vite') || filePath.includes('rollup') || filePath.includes('babel')) {
-      score += 35;
-      indicators.push('构建工具配置文件');
+    // Angular 模块与应用配置
+    if (filePath.endsWith('.module.ts') || filePath.endsWith('app.config.ts')) {
+      add('angular-module', 'Angular模块配置');
     }
 
     return Math.min(score, 100);
   }
 
   /**
-   * 构建分类原因说明
+   * 构建分类原因说明（按权重取前 3 个指标），完整的评分过程见 buildExplanation
    */
   static buildReason(category, indicators) {
     if (!indicators || indicators.length === 0) {
       return '基于文件类型和内容的一般性分类';
     }
     
-    const topIndicators = indicators.slice(0, 3); // 取前3个最重要的指标
-    return `主要指标: ${topIndicators.join(', ')}`;
+    const topIndicators = [...indicators].sort((a, b) => b.weight - a.weight).slice(0, 3);
+    return `主要指标: ${topIndicators.map(indicator => indicator.description).join(', ')}`;
   }
 
   /**
    * 批量分类文件变更
+   * @param {Array} files 文件信息列表（fileInfo，使用 relativePath 或 path 作为路径）
+   * @param {Object|null} [config] 项目配置
+   * @param {Object} [options] { explain, extractFacts }，见 classifyFile
+   * @returns {{ schemaVersion: number, classifications: Array, summary: Object }}
+   *   单个文件分类失败时记录错误并跳过该文件
    */
-  static classifyChanges(files) {
+  static classifyChanges(files, config = null, options = {}) {
     try {
       defaultErrorHandler.validateInput(files, 'array', 'files');
-      
-      return files.map(file => this.classifyFile(file.path, file));
+
+      const classifications = files
+        .map(file => this.classifyFile(file.relativePath || file.path, file, config, options))
+        .filter(result => result && result.classification);
+
+      return {
+        schemaVersion: CLASSIFICATION_SCHEMA_VERSION,
+        classifications,
+        summary: this.generateSummary(classifications, config)
+      };
     } catch (error) {
-      return defaultErrorHandler.handleError(error, {
+      defaultErrorHandler.handleError(error, {
         operation: 'classifyChanges',
         fileCount: files?.length
       });
+      return {
+        schemaVersion: CLASSIFICATION_SCHEMA_VERSION,
+        classifications: [],
+        summary: this.generateSummary([], config)
+      };
     }
   }
 
   /**
    * 生成分类摘要
+   * categoryStats 统计带有该类别标签的文件数（一个文件可计入多个类别），
+   * primaryCategoryStats 只统计主类别，averageConfidence 与 confidenceStats 基于主类别置信度
    */
-  static generateSummary(classifications) {
+  static generateSummary(classifications, config = null) {
+    const summary = {
+      schemaVersion: CLASSIFICATION_SCHEMA_VERSION,
+      totalFiles: 0,
+      categoryStats: {},
+      primaryCategoryStats: {},
+      categoryConfidence: {},
+      multiLabelFiles: 0,
+      averageConfidence: 0,
+      confidenceStats: {
+        high: 0,    // > 0.8
+        medium: 0,  // 0.5-0.8
+        low: 0      // <= 0.5
+      },
+      detailedClassifications: {}
+    };
+
+    Object.keys(this.getCategories(config)).forEach(category => {
+      summary.categoryStats[category] = 0;
+      summary.primaryCategoryStats[category] = 0;
+      summary.categoryConfidence[category] = 0;
+      summary.detailedClassifications[category] = [];
+    });
+
     try {
       defaultErrorHandler.validateInput(classifications, 'array', 'classifications');
-      
-      const summary = {
-        totalFiles: classifications.length,
-        byCategory: {},
-        confidenceStats: {
-          high: 0,    // > 0.8
-          medium: 0,  // 0.5-0.8
-          low: 0      // < 0.5
-        }
-      };
 
+      let totalConfidence = 0;
       classifications.forEach(classification => {
-        const category = classification.classification.category;
-        const confidence = classification.classification.confidence;
+        const { category, confidence } = classification.classification;
+        const labels = classification.classification.labels || [{ category, confidence }];
+
+        summary.totalFiles++;
+        summary.primaryCategoryStats[category]++;
+        totalConfidence += confidence;
+        if (labels.length > 1) {
+          summary.multiLabelFiles++;
+        }
 
-        // 统计分类
-        summary.byCategory[category] = (summary.byCategory[category] || 0) + 1;
+        labels.forEach(label => {
+          summary.categoryStats[label.category]++;
+          summary.categoryConfidence[label.category] += label.confidence;
+          summary.detailedClassifications[label.category].push(classification);
+        });
 
         // 统计置信度
-        if (confidence > 0.8) {
+        if (confidence > AnalysisThresholds.HIGH_CONFIDENCE_THRESHOLD) {
           summary.confidenceStats.high++;
-        } else if (confidence > 0.5) {
+        } else if (confidence > AnalysisThresholds.MEDIUM_CONFIDENCE_THRESHOLD) {
           summary.confidenceStats.medium++;
         } else {
           summary.confidenceStats.low++;
         }
       });
 
-      return summary;
+      // 各类别标签的平均置信度
+      Object.keys(summary.categoryConfidence).forEach(category => {
+        const count = summary.categoryStats[category];
+        summary.categoryConfidence[category] = count > 0 ? summary.categoryConfidence[category] / count : 0;
+      });
+      summary.averageConfidence = summary.totalFiles > 0 ? totalConfidence / summary.totalFiles : 0;
     } catch (error) {
-      return defaultErrorHandler.handleError(error, {
+      defaultErrorHandler.handleError(error, {
         operation: 'generateSummary',
         classificationCount: classifications?.length
       });
     }
+
+    return summary;
   }
 
   /**
    * 获取分类显示名称
    */
-  getCategoryDisplayName(category) {
+  static getCategoryDisplayName(category) {
     return this.CATEGORIES[category]?.name || category;
   }
 }
 
 module.exports = {
+  CLASSIFICATION_SCHEMA_VERSION,
   FrontendChangeClassifier
 }; 
\ No newline at end of file
@@ -0,0 +1,280 @@
+/**
+ * DiffSense 项目配置加载
+ * 从仓库中的 .diffsense.json / .diffsenserc（JSON）读取用户自定义的分类规则：
+ *
+ * {
+ *   "categories": { "critical": { "name": "关键模块变更", "description": "支付等关键路径" } },
+ *   "paths": { "src/payments/**": "critical" },
+ *   "rules": [
+ *     { "id": "feature-flag", "category": "F5", "weight": 25, "keywords": ["featureFlags.", "/isEnabled\\(/"] },
+ *     { "id": "tracking-hook", "category": "F1", "weight": 20, "paths": ["src/**"], "ast": { "fact": "hookCalls", "name": "/^useTrack/" } }
+ *   ],
+ *   "weights": { "component-file": 0, "react-hooks": 40 },
+ *   "labelThreshold": 0.3
+ * }
+ *
+ * - categories: 新增的分类，代码不能与 F1–F5 重复
+ * - paths: 路径 glob 到分类的简写，等价于只有 paths 的规则；未声明的分类按代码自动创建
+ * - rules: paths 限定适用的文件；keywords（子串，/.../ 为正则）或 ast（事实类型与字段匹配）在变更行上命中时触发，
+ *   两者都没有时路径匹配即触发
+ * - weights: 按规则 id 覆盖内置规则（或自定义规则）的权重，0 表示停用该规则；id 不存在时视为配置错误
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { defaultErrorHandler, ErrorCodes, ErrorSeverity } = require('./errorHandler');
+const { BUILTIN_CATEGORIES, BUILTIN_RULES } = require('./rules');
+
+const CONFIG_FILE_NAMES = ['.diffsense.json', '.diffsenserc'];
+
+// 未指定权重的自定义规则（含 paths 简写）使用的权重
+const DEFAULT_RULE_WEIGHT = 50;
+
+const BUILTIN_CATEGORY_CODES = Object.keys(BUILTIN_CATEGORIES);
+
+function _configError(message, file) {
+  return defaultErrorHandler.createError(ErrorCodes.INVALID_CONFIG, `配置文件无效 ${file || ''}: ${message}`, { file }, ErrorSeverity.HIGH);
+}
+
+/**
+ * 将 glob 转换为正则：支持 **、*、?、{a,b}，路径分隔符统一为 /
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // **/ 匹配零或多级目录，结尾的 ** 匹配任意内容
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = glob.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+        continue;
+      }
+      source += `(?:${glob.substring(i + 1, end).split(',').map(part => part.replace(/[.+^$()|[\]\\]/g, '\\$&')).join('|')})`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * 判断路径是否匹配任一 glob
+ */
+function matchesPath(patterns = [], filePath = '') {
+  const normalized = filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+  return patterns.some(pattern => globToRegExp(pattern.replace(/^\.\//, '')).test(normalized));
+}
+
+/**
+ * 关键字与字段匹配器：/.../flags 形式按正则匹配，其余按子串（关键字）或全等（AST 字段）匹配
+ */
+function _toMatcher(value, exact) {
+  const regex = typeof value === 'string' && value.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    const pattern = new RegExp(regex[1], regex[2]);
+    return text => typeof text === 'string' && pattern.test(text);
+  }
+  return exact ? text => text === value : text => typeof text === 'string' && text.includes(value);
+}
+
+function _normalizeRule(rule, index, isKnownCategory, file) {
+  if (!rule || typeof rule !== 'object') {
+    throw _configError(`rules[${index}] 必须是对象`, file);
+  }
+  const id = rule.id || `custom-rule-${index + 1}`;
+  if (!isKnownCategory(rule.category)) {
+    throw _configError(`规则 ${id} 的分类 ${rule.category} 未定义`, file);
+  }
+  if (rule.weight !== undefined && (typeof rule.weight !== 'number' || rule.weight < 0)) {
+    throw _configError(`规则 ${id} 的 weight 必须是非负数`, file);
+  }
+  if (rule.ast && (typeof rule.ast !== 'object' || typeof rule.ast.fact !== 'string')) {
+    throw _configError(`规则 ${id} 的 ast 必须包含事实类型 fact`, file);
+  }
+
+  const paths = [].concat(rule.paths || []);
+  const keywords = [].concat(rule.keywords || []);
+  if (paths.length === 0 && keywords.length === 0 && !rule.ast) {
+    throw _configError(`规则 ${id} 至少需要 paths、keywords 或 ast 之一`, file);
+  }
+
+  const astFields = rule.ast ? Object.entries(rule.ast).filter(([key]) => key !== 'fact') : [];
+  return {
+    id,
+    category: rule.category,
+    weight: rule.weight !== undefined ? rule.weight : DEFAULT_RULE_WEIGHT,
+    description: rule.description || `自定义规则: ${id}`,
+    paths,
+    keywords,
+    ast: rule.ast ? { fact: rule.ast.fact } : null,
+    matchKeyword: keywords.map(keyword => _toMatcher(keyword, false)),
+    matchAst: astFields.map(([key, value]) => ({ key, match: _toMatcher(value, true) }))
+  };
+}
+
+/**
+ * 校验并规范化配置对象
+ * @param {Object} raw 配置文件内容
+ * @param {string|null} file 配置文件路径（用于错误信息）
+ * @returns {Object} { file, categories, rules, weights, labelThreshold }
+ *   categories 只包含自定义分类：{ code: { code, name, description } }
+ */
+function normalizeConfig(raw = {}, file = null) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw _configError('顶层必须是 JSON 对象', file);
+  }
+
+  const categories = {};
+  const known = code => BUILTIN_CATEGORY_CODES.includes(code) || Boolean(categories[code]);
+  Object.entries(raw.categories || {}).forEach(([code, category]) => {
+    if (BUILTIN_CATEGORY_CODES.includes(code)) {
+      throw _configError(`分类 ${code} 与内置分类重复`, file);
+    }
+    categories[code] = {
+      code,
+      name: (category && category.name) || code,
+      description: (category && category.description) || ''
+    };
+  });
+
+  const rawRules = [...(raw.rules || [])];
+  Object.entries(raw.paths || {}).forEach(([glob, category]) => {
+    if (!known(category)) {
+      categories[category] = { code: category, name: category, description: '' };
+    }
+    rawRules.push({ id: `path:${glob}`, category, paths: [glob], description: `路径规则: ${glob}` });
+  });
+
+  const rules = rawRules.map((rule, index) => _normalizeRule(rule, index, known, file));
+
+  const ruleIds = new Set([...Object.keys(BUILTIN_RULES), ...rules.map(rule => rule.id)]);
+  const weights = raw.weights || {};
+  Object.entries(weights).forEach(([rule, weight]) => {
+    if (!ruleIds.has(rule)) {
+      throw _configError(`weights.${rule} 没有对应的规则 id`, file);
+    }
+    if (typeof weight !== 'number' || weight < 0) {
+      throw _configError(`weights.${rule} 必须是非负数`, file);
+    }
+  });
+
+  if (raw.labelThreshold !== undefined && (typeof raw.labelThreshold !== 'number' || raw.labelThreshold < 0 || raw.labelThreshold > 1)) {
+    throw _configError('labelThreshold 必须是 0 到 1 之间的数字', file);
+  }
+
+  return {
+    file,
+    categories,
+    rules,
+    weights,
+    labelThreshold: raw.labelThreshold
+  };
+}
+
+/**
+ * 从目录向上查找配置文件，到达包含 .git 的目录（仓库根目录）为止
+ * @returns {string|null}
+ */
+function findConfigFile(startDir) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    const found = CONFIG_FILE_NAMES.map(name => path.join(dir, name)).find(file => fs.existsSync(file));
+    if (found) return found;
+
+    const parent = path.dirname(dir);
+    if (fs.existsSync(path.join(dir, '.git')) || parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * 加载项目配置
+ * @param {string} location 配置文件路径，或从该目录向上查找 .diffsense.json / .diffsenserc
+ * @returns {Object|null} 规范化后的配置，没有配置文件时返回 null
+ */
+function loadConfig(location) {
+  const isFile = fs.existsSync(location) && fs.statSync(location).isFile();
+  const file = isFile ? location : findConfigFile(location);
+  if (!file) return null;
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw _configError(error.message, file);
+  }
+  return normalizeConfig(raw, file);
+}
+
+/**
+ * 规则的实际权重：配置的 weights 按规则 id 覆盖默认权重，内置规则与自定义规则相同
+ * @param {Object|null} config loadConfig 的结果
+ * @param {string} ruleId 规则 id
+ * @param {number} weight 规则的默认权重
+ */
+function resolveRuleWeight(config, ruleId, weight) {
+  return config && config.weights[ruleId] !== undefined ? config.weights[ruleId] : weight;
+}
+
+/**
+ * 对文件应用自定义规则
+ * @param {Object|null} config loadConfig 的结果
+ * @param {Object} target { filePath, lines: [{ line, source, removed }], facts }
+ *   lines 为参与关键字匹配的行（通常为变更行），facts 为 extractAstFacts 的结果（可选）
+ * @returns {Array} [{ rule, weight, line, source, removed }]，weight 为 resolveRuleWeight 得到的实际权重，
+ *   权重为 0（被 weights 停用）的规则不返回；每条规则最多命中一次，取第一处匹配
+ */
+function evaluateRules(config, { filePath, lines = [], facts = null }) {
+  if (!config) return [];
+  const hits = [];
+
+  config.rules.forEach(rule => {
+    const weight = resolveRuleWeight(config, rule.id, rule.weight);
+    if (weight === 0) return;
+    if (rule.paths.length > 0 && !matchesPath(rule.paths, filePath)) return;
+
+    if (rule.matchKeyword.length === 0 && !rule.ast) {
+      hits.push({ rule, weight, line: null, source: null, removed: false });
+      return;
+    }
+
+    const keywordHit = lines.find(entry => rule.matchKeyword.some(match => match(entry.source)));
+    if (keywordHit) {
+      hits.push({ rule, weight, line: keywordHit.line, source: keywordHit.source, removed: Boolean(keywordHit.removed) });
+      return;
+    }
+
+    const astHit = rule.ast && facts && (facts[rule.ast.fact] || []).find(fact => rule.matchAst.every(({ key, match }) => match(fact[key])));
+    if (astHit) {
+      hits.push({ rule, weight, line: astHit.line, source: astHit.source, removed: Boolean(astHit.removed) });
+    }
+  });
+
+  return hits;
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  DEFAULT_RULE_WEIGHT,
+  globToRegExp,
+  matchesPath,
+  normalizeConfig,
+  findConfigFile,
+  loadConfig,
+  resolveRuleWeight,
+  evaluateRules
+};
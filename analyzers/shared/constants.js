@@ -19,11 +19,18 @@ const AnalysisThresholds = {
   HIGH_CONFIDENCE_THRESHOLD: 0.8,
   MEDIUM_CONFIDENCE_THRESHOLD: 0.5,
   LOW_CONFIDENCE_THRESHOLD: 0.3,
+  // 多标签分类：置信度达到该值的类别都会作为标签输出
+  CLASSIFICATION_LABEL_THRESHOLD: 0.3,
   
   // 风险评分阈值
   HIGH_RISK_THRESHOLD: 0.8,
   MEDIUM_RISK_THRESHOLD: 0.5,
   LOW_RISK_THRESHOLD: 0.3,
+
+  // FFIS 重要度等级下限（核心 / 关键 / 普通文件），FFIS 上限为 1.0
+  FFIS_CORE_THRESHOLD: 0.6,
+  FFIS_KEY_THRESHOLD: 0.4,
+  FFIS_NORMAL_THRESHOLD: 0.3,
   
   // 性能阈值
   ANALYSIS_TIMEOUT_MS: 300000, // 5分钟
@@ -76,46 +83,6 @@ const FileTypes = {
   }
 };
 
-/**
- * 分类权重常量
- */
-const ClassificationWeights = {
-  // React Hooks权重
-  REACT_HOOKS_WEIGHT: 30,
-  VUE_LIFECYCLE_WEIGHT: 30,
-  STATE_MANAGEMENT_WEIGHT: 25,
-  BUSINESS_LOGIC_WEIGHT: 15,
-  ASYNC_PROCESSING_WEIGHT: 20,
-  
-  // UI结构权重
-  JSX_ELEMENTS_WEIGHT: 35,
-  VUE_TEMPLATE_WEIGHT: 35,
-  COMPONENT_FILE_WEIGHT: 20,
-  LAYOUT_ELEMENT_WEIGHT: 5,
-  CONDITIONAL_RENDERING_WEIGHT: 15,
-  
-  // 样式权重
-  STYLE_FILE_WEIGHT: 40,
-  STYLE_IMPORT_WEIGHT: 25,
-  INLINE_STYLE_WEIGHT: 30,
-  CLASSNAME_WEIGHT: 20,
-  CSS_MODULE_WEIGHT: 25,
-  
-  // 事件权重
-  REACT_EVENT_WEIGHT: 10,
-  VUE_EVENT_WEIGHT: 10,
-  EVENT_HANDLER_WEIGHT: 15,
-  FORM_ELEMENT_WEIGHT: 20,
-  
-  // 依赖权重
-  PACKAGE_FILE_WEIGHT: 50,
-  ROUTER_CONFIG_WEIGHT: 30,
-  STATE_STORE_WEIGHT: 30,
-  I18N_CONFIG_WEIGHT: 25,
-  ENV_CONFIG_WEIGHT: 20,
-  BUILD_CONFIG_WEIGHT: 35
-};
-
 /**
  * 正则表达式常量
  */
@@ -276,7 +243,6 @@ const CacheKeys = {
 module.exports = {
   AnalysisThresholds,
   FileTypes,
-  ClassificationWeights,
   RegexPatterns,
   ErrorMessages,
   AnalysisModes,
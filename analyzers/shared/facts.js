@@ -0,0 +1,65 @@
+/**
+ * AST 事实集合的结构与按行筛选、合并
+ * 事实由 node-analyzer/astFacts.js 的 extractAstFacts 提取，这里只包含不依赖解析器的部分，供共享分类器使用
+ */
+
+/**
+ * 空的事实集合，每种事实类型对应一个列表
+ */
+function createFacts() {
+  return {
+    imports: [],
+    hookCalls: [],
+    lifecycle: [],
+    stateUpdates: [],
+    asyncOps: [],
+    envAccess: [],
+    i18nCalls: [],
+    domEvents: [],
+    decorators: [],
+    elements: [],
+    events: [],
+    controlFlow: [],
+    classAttributes: [],
+    inlineStyles: [],
+    styleBindings: [],
+    styleRefs: [],
+    parseErrors: []
+  };
+}
+
+/**
+ * 只保留落在指定行上的事实（用于按 diff 变更行限定范围）
+ * @param {Object} facts extractAstFacts 的结果
+ * @param {Array<number>} lines 行号列表
+ */
+function filterFactsByLines(facts, lines) {
+  const lineSet = new Set(lines);
+  const filtered = createFacts();
+  Object.keys(filtered).forEach(type => {
+    filtered[type] = type === 'parseErrors' ? facts[type] : facts[type].filter(fact => lineSet.has(fact.line));
+  });
+  return filtered;
+}
+
+/**
+ * 合并变更后与变更前（被删除行）的事实，变更前的事实标记 removed: true
+ * @param {Object} afterFacts 变更后版本的事实
+ * @param {Object} removedFacts 变更前版本中落在删除行上的事实
+ */
+function mergeFacts(afterFacts, removedFacts) {
+  const merged = createFacts();
+  Object.keys(merged).forEach(type => {
+    merged[type] = [
+      ...(afterFacts[type] || []),
+      ...(removedFacts[type] || []).map(fact => (type === 'parseErrors' ? fact : { ...fact, removed: true }))
+    ];
+  });
+  return merged;
+}
+
+module.exports = {
+  createFacts,
+  filterFactsByLines,
+  mergeFacts
+};
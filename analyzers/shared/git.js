@@ -0,0 +1,317 @@
+/**
+ * DiffSense 共享 Git 仓库服务
+ * 统一仓库根目录发现（含 worktree / submodule）以及 log / diff / show 调用，
+ * 所有命令通过 execFile 参数数组执行，不经过 shell 拼接
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// git 空树对象，用于对初始提交做 diff
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+const MAX_BUFFER = 1024 * 1024 * 50; // 50MB
+
+const NAME_STATUS = {
+  A: 'added',
+  M: 'modified',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'copied',
+  T: 'modified',
+  U: 'modified'
+};
+
+// git log 字段：字段之间与记录之间（-z）都以 NUL 分隔，按字段数切分记录
+// 提交信息不可能包含 NUL，因此主题和正文中的任意字符都不会破坏解析
+const LOG_FIELDS = {
+  hash: '%H',
+  parents: '%P',
+  subject: '%s',
+  body: '%b',
+  authorName: '%an',
+  authorEmail: '%ae',
+  authorDate: '%aI',
+  committerName: '%cn',
+  committerEmail: '%ce',
+  committerDate: '%cI',
+  coAuthors: '%(trailers:key=Co-authored-by,valueonly,separator=%x1f)'
+};
+
+class GitError extends Error {
+  constructor(args, error) {
+    super(`Git命令失败: git ${args.join(' ')}\n错误: ${(error.stderr || error.message || '').toString().trim()}`);
+    this.name = 'GitError';
+    this.args = args;
+    this.status = error.status;
+    this.stdout = error.stdout ? error.stdout.toString() : '';
+  }
+}
+
+/**
+ * 解析 git diff --name-status -z 的输出（可带 -M / -C 重命名与复制检测）
+ * @param {string} output NUL 分隔的输出
+ * @returns {Array} [{ status, path, oldPath, similarity }]，path 为变更后的路径
+ */
+function parseNameStatus(output = '') {
+  const tokens = output.split('\0').filter(token => token.length > 0);
+  const entries = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const code = tokens[i];
+    const letter = code.charAt(0);
+    if (!NAME_STATUS[letter]) continue;
+
+    if (letter === 'R' || letter === 'C') {
+      entries.push({
+        status: NAME_STATUS[letter],
+        path: tokens[i + 2],
+        oldPath: tokens[i + 1],
+        similarity: parseInt(code.substring(1), 10) || null
+      });
+      i += 2;
+    } else {
+      entries.push({
+        status: NAME_STATUS[letter],
+        path: tokens[i + 1],
+        oldPath: null,
+        similarity: null
+      });
+      i += 1;
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * 解析 "Name <email>" 形式的身份信息
+ */
+function parseIdentity(value = '') {
+  const match = value.trim().match(/^(.*?)\s*<([^>]*)>$/);
+  if (!match) {
+    return { name: value.trim(), email: '' };
+  }
+  return { name: match[1], email: match[2] };
+}
+
+/**
+ * 解析 git log -z 按 LOG_FIELDS 格式输出的提交记录
+ * @param {string} output NUL 分隔的输出
+ * @returns {Array} 与 GitRepository#log 的返回值相同
+ */
+function parseLog(output = '') {
+  const fieldNames = Object.keys(LOG_FIELDS);
+  const values = output.split('\0');
+
+  const commits = [];
+  for (let i = 0; i + fieldNames.length <= values.length; i += fieldNames.length) {
+    const record = {};
+    fieldNames.forEach((name, index) => {
+      record[name] = values[i + index];
+    });
+    commits.push({
+      hash: record.hash,
+      parents: record.parents.split(' ').filter(parent => parent.length > 0),
+      subject: record.subject,
+      body: record.body.trim(),
+      author: { name: record.authorName, email: record.authorEmail, date: record.authorDate },
+      committer: { name: record.committerName, email: record.committerEmail, date: record.committerDate },
+      coAuthors: record.coAuthors.split('\x1f')
+        .filter(value => value.trim().length > 0)
+        .map(parseIdentity)
+    });
+  }
+  return commits;
+}
+
+/**
+ * 单个 Git 仓库（或 worktree / submodule 工作目录）的操作封装
+ */
+class GitRepository {
+  /**
+   * @param {string} root 仓库工作目录根路径
+   */
+  constructor(root) {
+    this.root = root;
+  }
+
+  /**
+   * 从任意目录向上发现仓库，找不到时返回 null
+   * worktree 与 submodule 的 .git 是文件而非目录，同样可以识别
+   */
+  static discover(startDir) {
+    const root = GitRepository.findRoot(startDir);
+    return root ? new GitRepository(root) : null;
+  }
+
+  /**
+   * 查找仓库根目录：先向上查找 .git（保留调用方的路径写法，便于计算相对路径），
+   * 找不到时再交给 git rev-parse --show-toplevel（如通过 GIT_DIR 指定的仓库）
+   */
+  static findRoot(startDir) {
+    const dir = path.resolve(startDir);
+    let current = dir;
+    while (current !== path.dirname(current)) {
+      if (fs.existsSync(path.join(current, '.git'))) {
+        return current;
+      }
+      current = path.dirname(current);
+    }
+
+    try {
+      const root = execFileSync('git', ['rev-parse', '--show-toplevel'], {
+        cwd: dir,
+        encoding: 'utf-8',
+        stdio: ['ignore', 'pipe', 'ignore']
+      }).trim();
+      return root ? path.resolve(root) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 执行 git 命令并返回标准输出
+   * @param {Array<string>} args git 参数
+   * @param {Object} [options]
+   * @param {Array<number>} [options.allowExitCodes] 视为成功的非零退出码（如 diff --no-index 的 1）
+   * @param {boolean} [options.trim] 是否去掉首尾空白，默认 false
+   */
+  exec(args, options = {}) {
+    try {
+      const output = execFileSync('git', args, {
+        cwd: options.cwd || this.root,
+        encoding: 'utf-8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        maxBuffer: MAX_BUFFER
+      });
+      return options.trim ? output.trim() : output;
+    } catch (error) {
+      if (options.allowExitCodes && options.allowExitCodes.includes(error.status) && error.stdout) {
+        const output = error.stdout.toString();
+        return options.trim ? output.trim() : output;
+      }
+      throw new GitError(args, error);
+    }
+  }
+
+  /**
+   * 执行 git 命令，失败时返回 null
+   */
+  tryExec(args, options = {}) {
+    try {
+      return this.exec(args, options);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 将引用解析为提交 sha，无法解析时返回 null
+   */
+  resolveRef(ref) {
+    return this.tryExec(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], { trim: true }) || null;
+  }
+
+  mergeBase(a, b) {
+    return this.tryExec(['merge-base', a, b], { trim: true }) || null;
+  }
+
+  /**
+   * 读取提交日志
+   * @param {Array<string>} revisions 修订范围参数，如 ['-n', '5', 'HEAD'] 或 ['a..b']
+   * @returns {Array} [{ hash, parents, subject, body, author, committer, coAuthors }]
+   *   author / committer 为 { name, email, date }，coAuthors 为 Co-authored-by 尾注 [{ name, email }]
+   */
+  log(revisions = []) {
+    const format = Object.values(LOG_FIELDS).join('%x00');
+    return parseLog(this.exec(['log', '-z', `--format=${format}`, ...revisions]));
+  }
+
+  /**
+   * 获取变更文件列表，开启 -M / -C 以识别重命名与复制
+   * @param {Array<string>} diffArgs 引用参数，如 ['a', 'b']、['--cached']
+   * @returns {Array} [{ status, path, oldPath, similarity }]（路径相对仓库根目录）
+   */
+  diffNameStatus(diffArgs = []) {
+    return parseNameStatus(this.exec(['diff', '--name-status', '-z', '-M', '-C', ...diffArgs]));
+  }
+
+  /**
+   * 获取 unified diff 文本
+   * @param {Array<string>} diffArgs diff 参数（引用、选项）
+   * @param {Array<string>} [paths] 限定的路径
+   */
+  diff(diffArgs = [], paths = []) {
+    const args = ['diff', ...diffArgs];
+    if (paths.length > 0) args.push('--', ...paths);
+    return this.exec(args, { allowExitCodes: diffArgs.includes('--no-index') ? [1] : [] });
+  }
+
+  /**
+   * 获取单个提交的 diff（可处理初始提交）
+   */
+  showCommitDiff(commit, diffArgs = [], paths = []) {
+    const args = ['show', '--format=', ...diffArgs, commit];
+    if (paths.length > 0) args.push('--', ...paths);
+    return this.exec(args);
+  }
+
+  /**
+   * 读取文件在指定引用处的内容，ref 为 null 时读取暂存区；文件不存在时返回 null
+   */
+  show(ref, repoRelativePath) {
+    const spec = ref ? `${ref}:${repoRelativePath}` : `:${repoRelativePath}`;
+    return this.tryExec(['show', spec]);
+  }
+
+  /**
+   * 判断文件是否已被跟踪
+   */
+  isTracked(repoRelativePath) {
+    return this.tryExec(['ls-files', '--error-unmatch', '--', repoRelativePath]) !== null;
+  }
+
+  /**
+   * 列出未跟踪（且未被忽略）的文件
+   */
+  listUntracked() {
+    return this.exec(['ls-files', '-z', '--others', '--exclude-standard'])
+      .split('\0')
+      .filter(file => file.length > 0);
+  }
+
+  /**
+   * 检出提交到临时 worktree（分离 HEAD）
+   */
+  addWorktree(dir, ref) {
+    this.exec(['worktree', 'add', '--detach', dir, ref]);
+  }
+
+  /**
+   * 删除 worktree，失败时直接删除目录并清理登记信息
+   */
+  removeWorktree(dir) {
+    if (this.tryExec(['worktree', 'remove', '--force', dir]) === null) {
+      fs.rmSync(dir, { recursive: true, force: true });
+      this.tryExec(['worktree', 'prune']);
+    }
+  }
+
+  /**
+   * 将暂存区内容导出到目录
+   */
+  checkoutIndex(targetDir) {
+    this.exec(['checkout-index', '--all', `--prefix=${targetDir}${path.sep}`]);
+  }
+}
+
+module.exports = {
+  GitRepository,
+  GitError,
+  parseNameStatus,
+  parseLog,
+  EMPTY_TREE
+};
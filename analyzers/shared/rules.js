@@ -0,0 +1,65 @@
+/**
+ * DiffSense 内置分类与分类规则
+ * 不依赖其他模块，classifiers.js 与 config.js（校验 weights 中的规则 id）共同读取
+ */
+
+const BUILTIN_CATEGORIES = {
+  F1: { code: 'F1', name: '组件行为变更', description: 'useEffect / methods 中的逻辑变化' },
+  F2: { code: 'F2', name: 'UI结构调整', description: 'JSX/Template 中的标签结构调整' },
+  F3: { code: 'F3', name: '样式改动', description: '类名变化、内联样式/模块CSS/SCSS调整' },
+  F4: { code: 'F4', name: '交互事件修改', description: 'onClick / @click 等事件绑定/方法重写' },
+  F5: { code: 'F5', name: '依赖/配置变动', description: 'router/store/i18n 配置、env、构建工具配置' }
+};
+
+/**
+ * 内置分类规则：规则 id → { category, weight, check }
+ * 各评分函数从这里读取默认权重（可被项目配置的 weights 覆盖），explain 模式据此列出未命中的规则
+ */
+const BUILTIN_RULES = {
+  // F1 组件行为变更
+  'react-hooks': { category: 'F1', weight: 30, check: 'React Hooks 调用（路由 / 状态管理 / 国际化库的 Hook 计入 F5）' },
+  'react-lifecycle': { category: 'F1', weight: 30, check: 'React 类组件生命周期方法' },
+  'vue-lifecycle': { category: 'F1', weight: 30, check: 'Vue 生命周期钩子' },
+  'svelte-lifecycle': { category: 'F1', weight: 30, check: 'Svelte 生命周期函数或 $: 响应式语句' },
+  'angular-lifecycle': { category: 'F1', weight: 30, check: 'Angular 生命周期钩子' },
+  'state-management': { category: 'F1', weight: 25, check: 'setState / useState 的 setter 等状态更新' },
+  'business-method': { category: 'F1', weight: 15, check: '名称含 handle / process / fetch / submit / validate / calculate 的方法' },
+  'async': { category: 'F1', weight: 20, check: 'async / await、.then、new Promise 等异步处理' },
+  // F2 UI结构调整
+  'jsx-structure': { category: 'F2', weight: 35, check: '超过 5 个 JSX 元素' },
+  'vue-template': { category: 'F2', weight: 35, check: 'Vue 模板元素或 v-if / v-for 等控制流指令' },
+  'svelte-template': { category: 'F2', weight: 35, check: 'Svelte {#if} / {#each} 等控制流块' },
+  'angular-template': { category: 'F2', weight: 35, check: 'Angular *ngIf / @if 等控制流' },
+  'component-file': { category: 'F2', weight: 20, check: '组件文件类型（.jsx / .tsx / .vue / .svelte / .component.ts / .component.html）' },
+  'layout-element': { category: 'F2', weight: 5, check: 'div、section、article、header、footer、nav、main 布局元素（每种元素计一次）' },
+  'conditional-rendering': { category: 'F2', weight: 15, check: '三元 / && 表达式、v-if、{#if} 等条件渲染' },
+  // F3 样式改动
+  'style-file': { category: 'F3', weight: 40, check: 'CSS / SCSS / Sass / Less 样式文件' },
+  'style-import': { category: 'F3', weight: 25, check: '样式文件导入' },
+  'inline-style': { category: 'F3', weight: 30, check: '内联 style 或 CSS-in-JS' },
+  'class-attribute': { category: 'F3', weight: 20, check: 'className / class 属性' },
+  'tailwind': { category: 'F3', weight: 25, check: 'class 属性中的 Tailwind 工具类' },
+  'css-module': { category: 'F3', weight: 25, check: 'CSS Module 类名引用（styles.xxx）' },
+  'style-binding': { category: 'F3', weight: 20, check: ':class / [ngClass] / class: 等框架样式绑定' },
+  // F4 交互事件修改
+  'react-event': { category: 'F4', weight: 10, check: 'React onXxx 事件属性（每种事件计一次）' },
+  'vue-event': { category: 'F4', weight: 10, check: 'Vue @xxx / v-on 事件绑定（每种事件计一次）' },
+  'svelte-event': { category: 'F4', weight: 10, check: 'Svelte on:xxx 事件绑定（每种事件计一次）' },
+  'angular-event': { category: 'F4', weight: 10, check: 'Angular (xxx) 事件绑定（每种事件计一次）' },
+  'event-handler': { category: 'F4', weight: 15, check: '被事件绑定引用、以 handle / on 开头或含 click / change / submit / toggle 的方法' },
+  'dom-event': { category: 'F4', weight: 20, check: 'addEventListener 等原生 DOM 事件绑定' },
+  'form-element': { category: 'F4', weight: 20, check: 'form、input、button、select、textarea 表单元素' },
+  // F5 依赖/配置变动
+  'package-manifest': { category: 'F5', weight: 50, check: 'package.json 与锁文件' },
+  'router': { category: 'F5', weight: 30, check: '路由库导入与 Hook，或 router / routes 目录下的文件' },
+  'state-store': { category: 'F5', weight: 30, check: '状态管理库导入与 Hook，或 store 目录下的文件' },
+  'i18n': { category: 'F5', weight: 25, check: '国际化库导入、Hook 与 t() 调用，或语言包目录下的文件' },
+  'env': { category: 'F5', weight: 20, check: 'process.env / import.meta.env 访问或 .env 文件' },
+  'build-config': { category: 'F5', weight: 35, check: 'webpack / vite / tsconfig 等构建工具配置文件' },
+  'angular-module': { category: 'F5', weight: 35, check: 'Angular 模块（.module.ts）与 app.config.ts' }
+};
+
+module.exports = {
+  BUILTIN_CATEGORIES,
+  BUILTIN_RULES
+};
@@ -100,7 +100,10 @@ class ClassificationResult {
       description: data.classification?.description || '',
       reason: data.classification?.reason || '',
       confidence: data.classification?.confidence || 0,
-      indicators: data.classification?.indicators || []
+      // 指标：{ rule, category, weight, description, line, source }（旧格式为描述字符串）
+      indicators: data.classification?.indicators || [],
+      // 多标签分类：[{ category, categoryName, confidence, indicators }]，第一个为主类别
+      labels: data.classification?.labels || []
     };
     this.changedMethods = data.changedMethods || [];
   }
@@ -130,6 +133,12 @@ class ClassificationResult {
     if (!Array.isArray(classificationResult.classification.indicators)) {
       throw new Error('indicators must be an array');
     }
+
+    const labels = classificationResult.classification.labels;
+    if (labels !== undefined && (!Array.isArray(labels) ||
+        labels.some(label => typeof label.confidence !== 'number' || label.confidence < 0 || label.confidence > 1))) {
+      throw new Error('labels must be an array of { category, confidence } with confidence between 0 and 1');
+    }
     
     return true;
   }
@@ -18,379 +18,10 @@ const execSync = (cmd, options) => {
 };
 const { Project } = require('ts-morph');
 const { extractSnapshotsForFile } = require('./snapshotExtractors');
-
-/**
- * 前端代码修改分类器 - 适用于 React / Vue / JS/TS
- */
-class FrontendChangeClassifier {
-  
-  static get CATEGORIES() {
-    return {
-      F1: { code: 'F1', name: '组件行为变更', description: 'useEffect / methods 中的逻辑变化' },
-      F2: { code: 'F2', name: 'UI结构调整', description: 'JSX/Template 中的标签结构调整' },
-      F3: { code: 'F3', name: '样式改动', description: '类名变化、内联样式/模块CSS/SCSS调整' },
-      F4: { code: 'F4', name: '交互事件修改', description: 'onClick / @click 等事件绑定/方法重写' },
-      F5: { code: 'F5', name: '依赖/配置变动', description: 'router/store/i18n 配置、env、构建工具配置' }
-    };
-  }
-
-  /**
-   * 对文件进行前端代码分类
-   */
-  static classifyFile(filePath, fileInfo) {
-    const indicators = [];
-    const categoryScores = {
-      F1: 0, F2: 0, F3: 0, F4: 0, F5: 0
-    };
-
-    // F1: 组件行为变更检测
-    categoryScores.F1 = this.calculateBehaviorChangeScore(filePath, fileInfo, indicators);
-    
-    // F2: UI结构调整检测
-    categoryScores.F2 = this.calculateUIStructureScore(filePath, fileInfo, indicators);
-    
-    // F3: 样式改动检测
-    categoryScores.F3 = this.calculateStyleChangeScore(filePath, fileInfo, indicators);
-    
-    // F4: 交互事件修改检测
-    categoryScores.F4 = this.calculateEventChangeScore(filePath, fileInfo, indicators);
-    
-    // F5: 依赖/配置变动检测
-    categoryScores.F5 = this.calculateDependencyChangeScore(filePath, fileInfo, indicators);
-
-    // 选择得分最高的类别
-    const bestCategory = Object.keys(categoryScores).reduce((a, b) => 
-      categoryScores[a] > categoryScores[b] ? a : b
-    );
-
-    const confidence = Math.min(categoryScores[bestCategory], 100) / 100;
-    const category = this.CATEGORIES[bestCategory];
-
-    return {
-      filePath: fileInfo.relativePath,
-      classification: {
-        category: bestCategory,
-        categoryName: category.name,
-        description: category.description,
-        reason: this.buildReason(bestCategory, indicators),
-        confidence: confidence,
-        indicators: indicators
-      },
-      changedMethods: fileInfo.methods ? fileInfo.methods.map(m => m.name) : []
-    };
-  }
-
-  /**
-   * F1: 计算组件行为变更分数
-   */
-  static calculateBehaviorChangeScore(filePath, fileInfo, indicators) {
-    let score = 0;
-    const content = fileInfo.content || '';
-
-    // React Hooks 相关
-    if (content.includes('useEffect') || content.includes('useState') || content.includes('useCallback')) {
-      score += 30;
-      indicators.push('检测到React Hooks使用');
-    }
-
-    // Vue生命周期方法
-    if (content.includes('mounted') || content.includes('created') || content.includes('beforeDestroy')) {
-      score += 30;
-      indicators.push('检测到Vue生命周期方法');
-    }
-
-    // 状态管理相关
-    if (content.includes('setState') || content.includes('this.state') || content.includes('reactive') || content.includes('ref(')) {
-      score += 25;
-      indicators.push('检测到状态管理逻辑');
-    }
-
-    // 业务逻辑方法名
-    const methods = fileInfo.methods || [];
-    methods.forEach(method => {
-      const methodName = method.name.toLowerCase();
-      if (methodName.includes('handle') || methodName.includes('process') || 
-          methodName.includes('fetch') || methodName.includes('submit') ||
-          methodName.includes('validate') || methodName.includes('calculate')) {
-        score += 15;
-        indicators.push(`业务逻辑方法: ${method.name}`);
-      }
-    });
-
-    // 异步处理
-    if (content.includes('async') || content.includes('await') || content.includes('.then(') || content.includes('Promise')) {
-      score += 20;
-      indicators.push('检测到异步处理逻辑');
-    }
-
-    return Math.min(score, 100);
-  }
-
-  /**
-   * F2: 计算UI结构调整分数
-   */
-  static calculateUIStructureScore(filePath, fileInfo, indicators) {
-    let score = 0;
-    const content = fileInfo.content || '';
-
-    // JSX 结构变化
-    const jsxElements = content.match(/<[A-Z][A-Za-z0-9]*|<[a-z][a-z0-9-]*/g) || [];
-    if (jsxElements.length > 5) {
-      score += 35;
-      indicators.push(`检测到${jsxElements.length}个JSX元素`);
-    }
-
-    // Vue template 结构
-    if (content.includes('<template>') || content.includes('v-if') || content.includes('v-for')) {
-      score += 35;
-      indicators.push('检测到Vue模板结构');
-    }
-
-    // 组件文件类型
-    if (filePath.endsWith('.jsx') || filePath.endsWith('.tsx') || filePath.endsWith('.vue')) {
-      score += 20;
-      indicators.push('组件文件类型');
-    }
-
-    // 布局相关组件
-    const layoutElements = ['div', 'section', 'article', 'header', 'footer', 'nav', 'main'];
-    layoutElements.forEach(element => {
-      if (content.includes(`<${element}`) || content.includes(`<${element.toUpperCase()}`)) {
-        score += 5;
-        indicators.push(`布局元素: ${element}`);
-      }
-    });
-
-    // 条件渲染
-    if (content.includes('v-if') || content.includes('v-show') || content.includes('{') && content.includes('?')) {
-      score += 15;
-      indicators.push('检测到条件渲染');
-    }
-
-    return Math.min(score, 100);
-  }
-
-  /**
-   * F3: 计算样式改动分数
-   */
-  static calculateStyleChangeScore(filePath, fileInfo, indicators) {
-    let score = 0;
-    const content = fileInfo.content || '';
-
-    // CSS/SCSS文件
-    if (filePath.endsWith('.css') || filePath.endsWith('.scss') || filePath.endsWith('.sass') || filePath.endsWith('.less')) {
-      score += 40;
-      indicators.push('样式文件');
-    }
-
-    // 样式相关导入
-    if (content.includes("import") && (content.includes(".css") || content.includes(".scss") || content.includes(".sass"))) {
-      score += 25;
-      indicators.push('检测到样式文件导入');
-    }
-
-    // 内联样式
-    if (content.includes('style=') || content.includes('styled-components') || content.includes('emotion')) {
-      score += 30;
-      indicators.push('检测到内联样式或CSS-in-JS');
-    }
-
-    // className 变化
-    const classNameMatches = content.match(/className=["|'`][^"'`]*["|'`]/g) || [];
-    if (classNameMatches.length > 0) {
-      score += 20;
-      indicators.push(`检测到${classNameMatches.length}个className`);
-    }
-
-    // CSS模块
-    if (content.includes('.module.css') || content.includes('styles.') || content.includes('classes.')) {
-      score += 25;
-      indicators.push('检测到CSS模块使用');
-    }
-
-    // Tailwind CSS
-    if (content.includes('tailwind') || content.match(/class.*=.*["'`][^"'`]*\b(bg-|text-|p-|m-|w-|h-)/)) {
-      score += 25;
-      indicators.push('检测到Tailwind CSS');
-    }
-
-    return Math.min(score, 100);
-  }
-
-  /**
-   * F4: 计算交互事件修改分数
-   */
-  static calculateEventChangeScore(filePath, fileInfo, indicators) {
-    let score = 0;
-    const content = fileInfo.content || '';
-
-    // React 事件处理
-    const reactEvents = ['onClick', 'onChange', 'onSubmit', 'onBlur', 'onFocus', 'onMouseOver', 'onKeyPress'];
-    reactEvents.forEach(event => {
-      if (content.includes(event)) {
-        score += 15;
-        indicators.push(`检测到React事件: ${event}`);
-      }
-    });
-
-    // Vue 事件处理
-    const vueEvents = ['@click', '@change', '@submit', '@blur', '@focus', 'v-on:'];
-    vueEvents.forEach(event => {
-      if (content.includes(event)) {
-        score += 15;
-        indicators.push(`检测到Vue事件: ${event}`);
-      }
-    });
-
-    // 事件处理方法
-    const methods = fileInfo.methods || [];
-    methods.forEach(method => {
-      const methodName = method.name.toLowerCase();
-      if (methodName.startsWith('on') || methodName.startsWith('handle') || 
-          methodName.includes('click') || methodName.includes('change') ||
-          methodName.includes('submit') || methodName.includes('toggle')) {
-        score += 10;
-        indicators.push(`事件处理方法: ${method.name}`);
-      }
-    });
-
-    // 原生DOM事件
-    if (content.includes('addEventListener') || content.includes('removeEventListener')) {
-      score += 20;
-      indicators.push('检测到原生DOM事件绑定');
-    }
-
-    // 表单处理
-    if (content.includes('<form') || content.includes('<input') || content.includes('<button')) {
-      score += 15;
-      indicators.push('检测到表单交互元素');
-    }
-
-    return Math.min(score, 100);
-  }
-
-  /**
-   * F5: 计算依赖/配置变动分数
-   */
-  static calculateDependencyChangeScore(filePath, fileInfo, indicators) {
-    let score = 0;
-
-    // 配置文件
-    const configFiles = [
-      'package.json', 'webpack.config.js', 'vite.config.js', 'vue.config.js',
-      'babel.config.js', 'tsconfig.json', '.env', 'tailwind.config.js',
-      'next.config.js', 'nuxt.config.js', 'angular.json'
-    ];
-    
-    if (configFiles.some(config => filePath.includes(config))) {
-      score += 50;
-      indicators.push('配置文件修改');
-    }
-
-    // 路由配置
-    if (filePath.includes('router') || filePath.includes('route') || filePath.includes('Routes')) {
-      score += 40;
-      indicators.push('路由配置文件');
-    }
-
-    // 状态管理配置
-    if (filePath.includes('store') || filePath.includes('redux') || filePath.includes('vuex') || filePath.includes('pinia')) {
-      score += 35;
-      indicators.push('状态管理配置');
-    }
-
-    // 国际化配置
-    if (filePath.includes('i18n') || filePath.includes('locale') || filePath.includes('lang')) {
-      score += 30;
-      indicators.push('国际化配置');
-    }
-
-    // 依赖导入变化
-    const imports = fileInfo.imports || [];
-    if (imports.length > 0) {
-      score += Math.min(imports.length * 5, 25);
-      indicators.push(`检测到${imports.length}个导入依赖`);
-    }
-
-    // 环境变量使用
-    const content = fileInfo.content || '';
-    if (content.includes('process.env') || content.includes('import.meta.env')) {
-      score += 20;
-      indicators.push('检测到环境变量使用');
-    }
-
-    return Math.min(score, 100);
-  }
-
-  /**
-   * 构建分类原因说明
-   */
-  static buildReason(category, indicators) {
-    const categoryName = this.CATEGORIES[category].name;
-    if (indicators.length === 0) {
-      return `分类为${categoryName}`;
-    }
-    return `分类为${categoryName}，主要依据: ${indicators.slice(0, 3).join(', ')}`;
-  }
-
-  /**
-   * 批量分类文件
-   */
-  static classifyChanges(files) {
-    const classifications = files.map(file => this.classifyFile(file.relativePath, file));
-    const summary = this.generateSummary(classifications);
-    
-    return { classifications, summary };
-  }
-
-  /**
-   * 生成分类摘要
-   */
-  static generateSummary(classifications) {
-    const categoryStats = {};
-    let totalConfidence = 0;
-    const detailedClassifications = {};
-
-    // 初始化统计
-    Object.keys(this.CATEGORIES).forEach(category => {
-      categoryStats[category] = 0;
-      detailedClassifications[category] = [];
-    });
-
-    // 统计分类结果
-    classifications.forEach(classification => {
-      const category = classification.classification.category;
-      categoryStats[category]++;
-      totalConfidence += classification.classification.confidence;
-      detailedClassifications[category].push(classification);
-    });
-
-    return {
-      totalFiles: classifications.length,
-      categoryStats,
-      averageConfidence: classifications.length > 0 ? totalConfidence / classifications.length : 0,
-      detailedClassifications
-    };
-  }
-
-  getCategoryDisplayName(category) {
-    const names = {
-      // 后端分类
-      'A1': '业务逻辑变更',
-      'A2': '接口变更',
-      'A3': '数据结构变更', 
-      'A4': '中间件/框架调整',
-      'A5': '非功能性修改',
-      // 前端分类
-      'F1': '组件行为变更',
-      'F2': 'UI结构调整',
-      'F3': '样式改动',
-      'F4': '交互事件修改',
-      'F5': '依赖/配置变动'
-    };
-    return names[category] || '未知类型';
-  }
-}
+// 与 analyzers/node-analyzer 共用同一个带版本的分类器，避免两份规则各自演化
+const { FrontendChangeClassifier } = require('../../analyzers/shared/classifiers');
+const { extractAstFacts } = require('../../analyzers/node-analyzer/astFacts');
+const { parseUnifiedDiff, mapHunksToMethods, buildClassificationScope } = require('../../analyzers/node-analyzer/diffParser');
 
 class FrontendAnalyzer {
   constructor(targetDir, options = {}) {
@@ -459,8 +90,9 @@ class FrontendAnalyzer {
                 const commitFiles = await this.analyzeChangedFilesForCommit(commitInfo.changedFiles, commitInfo.commitId);
                 console.error(`📝 提交 ${commitInfo.commitHash} 分析完成: ${commitFiles.length} 个文件`);
                 
-                // 应用前端代码分类
-                const { classifications, summary } = FrontendChangeClassifier.classifyChanges(commitFiles);
+                // 应用前端代码分类（仅针对变更涉及的方法与行，与 analyzers/node-analyzer 一致）
+                const scopes = this.buildClassificationScopes(commitFiles, commitInfo.commitId);
+                const { classifications, summary } = FrontendChangeClassifier.classifyChanges(scopes, null, { extractFacts: extractAstFacts });
                 
                 commitResults.push({
                   ...commitInfo,
@@ -474,7 +106,7 @@ class FrontendAnalyzer {
                   ...commitInfo,
                   files: [],
                   changeClassifications: [],
-                  classificationSummary: { totalFiles: 0, categoryStats: {}, averageConfidence: 0 }
+                  classificationSummary: FrontendChangeClassifier.generateSummary([])
                 });
               }
             }
@@ -508,7 +140,7 @@ class FrontendAnalyzer {
 
         // 3. 应用前端代码分类
         if (result.files && result.files.length > 0) {
-          const { classifications, summary } = FrontendChangeClassifier.classifyChanges(result.files);
+          const { classifications, summary } = FrontendChangeClassifier.classifyChanges(result.files, null, { extractFacts: extractAstFacts });
           result.changeClassifications = classifications;
           result.classificationSummary = summary;
         }
@@ -1176,15 +808,8 @@ class FrontendAnalyzer {
         const repoRelativePath = path.relative(repoRoot, fullRepoPath).replace(/\\/g, '/');
         
         // 获取该提交中该文件的内容
-        let fileContent = '';
-        try {
-          const showCmd = `git show ${commitHash}:${repoRelativePath}`;
-          fileContent = execSync(showCmd, { 
-            cwd: repoRoot, 
-            encoding: 'utf-8',
-            stdio: ['pipe', 'pipe', 'ignore']
-          });
-        } catch (e) {
+        const fileContent = this.readFileAtRef(repoRoot, commitHash, repoRelativePath);
+        if (fileContent === null) {
           // 文件可能被删除，跳过
           continue;
         }
@@ -1195,6 +820,15 @@ class FrontendAnalyzer {
         
         // 分析文件内容
         const fileInfo = await this.analyzeFileContent(fileContent, file);
+
+        // 解析该文件在本次提交中的 diff，并映射到方法，分类只针对变更涉及的方法与行
+        const hunks = parseUnifiedDiff(this.getFileDiff(repoRoot, commitHash, repoRelativePath)).flatMap(entry => entry.hunks);
+        if (hunks.length > 0) {
+          const beforeContent = this.readFileAtRef(repoRoot, `${commitHash}^`, repoRelativePath);
+          const beforeMethods = beforeContent ? (await this.analyzeFileContent(beforeContent, file)).methods : [];
+          fileInfo.hunks = hunks;
+          fileInfo.changedMethods = mapHunksToMethods(hunks, fileInfo.methods, beforeMethods).changedMethods;
+        }
         fileInfos.push(fileInfo);
       } catch (error) {
         console.error(`❌ 分析文件失败: ${file}`, error.message);
@@ -1204,6 +838,56 @@ class FrontendAnalyzer {
     return fileInfos;
   }
 
+  /**
+   * 读取指定引用处的文件内容，文件不存在时返回 null
+   */
+  readFileAtRef(repoRoot, ref, repoRelativePath) {
+    try {
+      return execSync(`git show "${ref}:${repoRelativePath}"`, {
+        cwd: repoRoot,
+        encoding: 'utf-8',
+        stdio: ['pipe', 'pipe', 'ignore']
+      });
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 获取文件在某个提交中的 diff，初始提交没有父提交时使用 git show
+   */
+  getFileDiff(repoRoot, commitHash, repoRelativePath) {
+    const options = { cwd: repoRoot, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'ignore'] };
+    try {
+      return execSync(`git diff ${commitHash}^ ${commitHash} -- "${repoRelativePath}"`, options);
+    } catch (e) {
+      try {
+        return execSync(`git show --format="" ${commitHash} -- "${repoRelativePath}"`, options);
+      } catch (showError) {
+        return '';
+      }
+    }
+  }
+
+  /**
+   * 构建提交中各文件的分类范围，变更前的内容读取自父提交
+   */
+  buildClassificationScopes(commitFiles, commitHash) {
+    let repoRoot = this.targetDir;
+    while (repoRoot !== path.dirname(repoRoot)) {
+      if (fs.existsSync(path.join(repoRoot, '.git'))) {
+        break;
+      }
+      repoRoot = path.dirname(repoRoot);
+    }
+
+    const readBeforeContent = oldPath => {
+      const repoRelativePath = path.relative(repoRoot, path.join(this.targetDir, oldPath)).replace(/\\/g, '/');
+      return this.readFileAtRef(repoRoot, `${commitHash}^`, repoRelativePath);
+    };
+    return commitFiles.map(file => buildClassificationScope(file, readBeforeContent));
+  }
+
   /**
    * 分析文件内容（不依赖文件系统）
    */